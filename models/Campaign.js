@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A giveaway wheel that runs alongside the main one (e.g. a weekly shirt wheel and a
+// monthly grand-prize wheel). Each campaign has its own settings, countdown, prize,
+// rounds, entry balances and socket room (`wheel:<campaignId>`).
+// The main wheel keeps using GameSettings.
+const campaignSchema = new Schema({
+    name: { type: String, required: true },
+    description: String,
+    status: {
+        type: String,
+        enum: ["draft", "active", "paused", "ended"],
+        default: "draft"
+    },
+    currentPrize: { type: String, default: 'Mystery Prize' },
+    prizeDescription: String,
+    // Ways to earn entries in this campaign (admin adjustments are always allowed)
+    entrySources: {
+        type: [{ type: String, enum: ["store_purchase", "purchase_code", "free_entry"] }],
+        default: ["store_purchase", "purchase_code", "free_entry"]
+    },
+    maxEntriesPerUser: { type: Number, default: 1000 }, // Most entries a user can hold in a round (0 = no limit)
+    autoSpin: { type: Boolean, default: false },
+    // Countdown timing, as on GameSettings
+    gameStartTime: Date,
+    gameEndTime: Date,
+    countdownActive: { type: Boolean, default: false },
+    nextSpinDate: Date,
+    lastSpinDate: Date,
+    // Provably fair draw commitment (published when the countdown starts)
+    serverSeedHash: String,
+    serverSeed: { type: String, select: false }, // Revealed only on the spin record
+    seedCommittedAt: Date,
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+campaignSchema.index({ status: 1 });
+
+// Update the updatedAt field before saving
+campaignSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+const Campaign = mongoose.model("Campaign", campaignSchema);
+module.exports = Campaign;
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A user's entry balance in one campaign; the campaign counterpart of User.totalEntries.
+// Like that balance it caches the sum of the user's EntryTransaction rows for the campaign.
+const campaignEntrySchema = new Schema({
+    campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign', required: true },
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    entries: { type: Number, default: 0 },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+campaignEntrySchema.index({ campaignId: 1, userId: 1 }, { unique: true });
+campaignEntrySchema.index({ userId: 1, entries: 1 });
+
+const CampaignEntry = mongoose.model("CampaignEntry", campaignEntrySchema);
+module.exports = CampaignEntry;
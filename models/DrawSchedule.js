@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Recurring draw for a wheel, e.g. every Friday at 20:00 Europe/London.
+// Occurrences are computed from the rule in `timeZone` (so they follow DST);
+// single occurrences can be skipped or postponed through `exceptions`.
+const drawScheduleSchema = new Schema({
+    name: { type: String, required: true },
+    campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign' }, // Unset for the main wheel
+    frequency: {
+        type: String,
+        enum: ["daily", "weekly", "monthly"],
+        required: true
+    },
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }], // Weekly: 0 = Sunday
+    dayOfMonth: { type: Number, min: 1, max: 31 }, // Monthly: shorter months use their last day
+    time: { type: String, required: true }, // Local draw time, HH:mm
+    timeZone: { type: String, required: true }, // IANA zone, e.g. Europe/London
+    active: { type: Boolean, default: true },
+    // Changes to single occurrences, keyed by the time the rule gives them
+    exceptions: [{
+        occurrence: { type: Date, required: true },
+        action: { type: String, enum: ["skip", "postpone"], required: true },
+        postponedTo: Date,
+        reason: String,
+        createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+        createdAt: { type: Date, default: Date.now }
+    }],
+    lastOccurrenceAt: Date, // Occurrence of the last completed draw
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+drawScheduleSchema.index({ active: 1, campaignId: 1 });
+
+// Update the updatedAt field before saving
+drawScheduleSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+const DrawSchedule = mongoose.model("DrawSchedule", drawScheduleSchema);
+module.exports = DrawSchedule;
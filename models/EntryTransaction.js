@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Append-only ledger of every change to a user's wheel entries.
+// User.totalEntries (main wheel) and CampaignEntry.entries (campaigns) are cached
+// balances that can be rebuilt from these rows.
+const entryTransactionSchema = new Schema({
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign' }, // Unset for the main wheel
+    roundId: { type: Schema.Types.ObjectId, ref: 'Round' },
+    delta: { type: Number, required: true },
+    reason: {
+        type: String,
+        enum: [
+            "registration",
+            "store_purchase",
+            "purchase_code",
+            "free_entry", // Approved no-purchase-necessary request
+            "admin_adjustment",
+            "draw_spent",
+            "draw_voided", // Spent entries given back when a spin is voided
+            "purchase_refund", // Entries taken back when a store order is refunded
+            "game_reset",
+            "opening_balance" // Balance recorded for accounts created before the ledger
+        ],
+        required: true
+    },
+    note: String, // Required for admin adjustments
+    // Document that caused the change, e.g. a Purchase, PurchaseCode or Spin
+    sourceType: String,
+    sourceId: Schema.Types.ObjectId,
+    actorId: { type: Schema.Types.ObjectId, ref: 'User' },
+    balanceAfter: Number,
+    createdAt: { type: Date, default: Date.now }
+});
+
+entryTransactionSchema.index({ userId: 1, createdAt: -1 });
+entryTransactionSchema.index({ roundId: 1, reason: 1 });
+entryTransactionSchema.index({ campaignId: 1, userId: 1 });
+
+// Ledger rows are never edited or removed; corrections are new rows
+entryTransactionSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Entry transactions are append-only'));
+    }
+    next();
+});
+
+entryTransactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+    next(new Error('Entry transactions are append-only'));
+});
+
+const EntryTransaction = mongoose.model("EntryTransaction", entryTransactionSchema);
+module.exports = EntryTransaction;
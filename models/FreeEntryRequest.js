@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// No-purchase-necessary entry request (alternate method of entry).
+// Submitted online by the user or logged by staff from a mailed postcard, then reviewed by an admin.
+const freeEntryRequestSchema = new Schema({
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    userName: String,
+    campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign' }, // Campaign the entries are for (main wheel if unset)
+    roundId: { type: Schema.Types.ObjectId, ref: 'Round' }, // Round the request was submitted in
+    channel: {
+        type: String,
+        enum: ["online", "mail"],
+        default: "online"
+    },
+    status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+        default: "pending"
+    },
+    // What the entrant sent: postcard text, handwritten name/address, etc.
+    fullName: String,
+    mailingAddress: String,
+    message: String,
+    postmarkedAt: Date, // Postmark date of a mailed request
+    submittedBy: { type: Schema.Types.ObjectId, ref: 'User' }, // The user, or the staff member who logged the postcard
+    // Review outcome
+    reviewedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    reviewNote: String,
+    entriesRequested: Number,
+    entriesGranted: { type: Number, default: 0 },
+    grantedRoundId: { type: Schema.Types.ObjectId, ref: 'Round' },
+    entryTransactionId: { type: Schema.Types.ObjectId, ref: 'EntryTransaction' },
+    // Every action taken on the request, for compliance reviews
+    auditTrail: [{
+        action: {
+            type: String,
+            enum: ["submitted", "logged", "approved", "rejected", "entries_granted", "entries_clipped"]
+        },
+        actorId: { type: Schema.Types.ObjectId, ref: 'User' },
+        note: String,
+        at: { type: Date, default: Date.now }
+    }],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+freeEntryRequestSchema.index({ status: 1, createdAt: 1 });
+freeEntryRequestSchema.index({ userId: 1, roundId: 1 });
+
+// Update the updatedAt field before saving
+freeEntryRequestSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+const FreeEntryRequest = mongoose.model("FreeEntryRequest", freeEntryRequestSchema);
+module.exports = FreeEntryRequest;
@@ -9,7 +9,29 @@ const gameSettingsSchema = new Schema({
     lastSpinDate: Date,
     nextSpinDate: Date,
     entriesPerShirt: { type: Number, default: 10 },
-    maxEntriesPerUser: { type: Number, default: 1000 },
+    maxEntriesPerUser: { type: Number, default: 1000 }, // Most entries a user can hold in a round
+    // Earning limits enforced by the entry award service (0 = no limit)
+    maxEntriesPerDay: { type: Number, default: 0 }, // Entries earnable per UTC day
+    entrySourceCaps: {
+        store_purchase: { type: Number, default: 0 }, // Per round
+        purchase_code: { type: Number, default: 0 }, // Per round
+        free_entry: { type: Number, default: 0 } // Per round
+    },
+    // No-purchase-necessary free entry requests
+    freeEntry: {
+        enabled: { type: Boolean, default: true },
+        entriesPerRequest: { type: Number, default: 1 }, // Entries granted per approved request
+        maxRequestsPerRound: { type: Number, default: 1 }, // Per user, pending or approved
+        maxRequestsPerDay: { type: Number, default: 1 } // Per user, online submissions (rate limit)
+    },
+    // Draw eligibility rules, applied to the frozen entries when a round is drawn (blocked users are always excluded)
+    eligibility: {
+        winnerCooldownRounds: { type: Number, default: 0 }, // Exclude winners of the last N drawn rounds
+        winnerCooldownDays: { type: Number, default: 0 }, // Exclude anyone who won in the last N days
+        excludeUnverified: { type: Boolean, default: false },
+        excludeStaff: { type: Boolean, default: false }
+    },
+    claimDeadlineHours: { type: Number, default: 168 }, // Time a winner has to claim their prize
     gameActive: { type: Boolean, default: true },
     maintenanceMode: { type: Boolean, default: false },
     // Prize settings
@@ -23,6 +45,10 @@ const gameSettingsSchema = new Schema({
     gameStartTime: Date, // When the current game session started
     gameEndTime: Date, // When the current game session should end
     countdownActive: { type: Boolean, default: false }, // Whether countdown is currently running
+    // Provably fair draw commitment (published when the countdown starts)
+    serverSeedHash: String,
+    serverSeed: { type: String, select: false }, // Revealed only on the spin record
+    seedCommittedAt: Date,
     // Shopify integration
     shopifyStoreUrl: { type: String, default: '' },
     shopifyEnabled: { type: Boolean, default: false },
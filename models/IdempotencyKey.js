@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Stored result of a request sent with an Idempotency-Key header
+const idempotencyKeySchema = new Schema({
+    key: { type: String, required: true },
+    scope: { type: String, required: true }, // e.g. "spin"
+    status: {
+        type: String,
+        enum: ["in_progress", "completed"],
+        default: "in_progress"
+    },
+    response: Schema.Types.Mixed,
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: () => new Date(Date.now() + 24 * 60 * 60 * 1000) } // Keys are kept for 24 hours
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+module.exports = IdempotencyKey;
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Distributed lock shared by every server instance
+const lockSchema = new Schema({
+    key: { type: String, required: true, unique: true },
+    owner: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const Lock = mongoose.model("Lock", lockSchema);
+module.exports = Lock;
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const prizeSchema = new Schema({
+    name: { type: String, required: true },
+    description: String,
+    image: String,
+    quantity: { type: Number, default: 1, min: 1 }, // Number of winners drawn for this prize
+    value: { type: Number, default: 0 },
+    tier: { type: Number, default: 1, min: 1 }, // 1 = grand prize, drawn first
+    roundId: { type: Schema.Types.ObjectId, ref: 'Round' }, // Round this prize is given away in
+    awarded: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+prizeSchema.index({ roundId: 1, tier: 1 });
+
+// Update the updatedAt field before saving
+prizeSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+const Prize = mongoose.model("Prize", prizeSchema);
+module.exports = Prize;
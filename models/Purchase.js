@@ -3,24 +3,111 @@ const Schema = mongoose.Schema;
 
 const purchaseSchema = new Schema({
     userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign' }, // Wheel the entries go to, unset for the main wheel
+    roundId: { type: Schema.Types.ObjectId, ref: 'Round' }, // Round the entries were granted in (set on payment)
     items: [{
         storeItemId: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
         itemName: { type: String, required: true },
+        // Variant bought, for items sold by size/colour
+        variantId: { type: Schema.Types.ObjectId },
+        sku: String,
+        size: String,
+        color: String,
         quantity: { type: Number, required: true },
         price: { type: Number, required: true },
-        entriesEarned: { type: Number, required: true }
+        entriesEarned: { type: Number, required: true },
+        refundedQuantity: { type: Number, default: 0 }
     }],
     totalAmount: { type: Number, required: true },
     totalEntriesEarned: { type: Number, required: true },
+    entriesGranted: { type: Number, default: 0 }, // After entry caps, once paid
+    shirtsCounted: { type: Boolean, default: false }, // Added to the buyer's totalShirtsPurchased
+    // Order lifecycle (transitions in services/orderService.js); entries are granted on payment.
+    // "completed" marks orders placed before the lifecycle existed (paid, entries granted).
     status: { 
         type: String, 
-        enum: ["pending", "completed", "cancelled"], 
-        default: "pending" 
+        enum: ["pending_payment", "paid", "fulfilled", "shipped", "delivered", "cancelled", "refunded", "completed"], 
+        default: "pending_payment" 
     },
+    statusHistory: [{
+        from: String,
+        to: String,
+        actorId: { type: Schema.Types.ObjectId, ref: 'User' },
+        note: String,
+        at: { type: Date, default: Date.now }
+    }],
     purchaseDate: { type: Date, default: Date.now },
-    paymentMethod: { type: String, default: "cash" },
+    // Stock is taken when the order is placed; unpaid orders give it back after this
+    reservationExpiresAt: Date,
+    paidAt: Date,
+    fulfilledAt: Date,
+    shippedAt: Date,
+    deliveredAt: Date,
+    cancelledAt: Date,
+    refundedAt: Date,
+    carrier: String,
+    trackingNumber: String,
+    paymentMethod: { type: String, default: "cash" }, // "cash" (confirmed by an admin) or a payment provider name
+    // Checkout session with the payment provider and the webhooks it sent
+    payment: {
+        provider: String,
+        sessionId: String,
+        checkoutUrl: String,
+        paymentId: String,
+        status: {
+            type: String,
+            enum: ["pending", "authorized", "succeeded", "failed", "review"]
+        },
+        amount: Number,
+        currency: String,
+        expiresAt: Date,
+        capturedAt: Date,
+        failureReason: String,
+        reviewReason: String, // Why a payment needs an admin, e.g. the amount did not match
+        events: [{
+            eventId: String,
+            type: { type: String },
+            at: { type: Date, default: Date.now }
+        }]
+    },
+    refundedAmount: { type: Number, default: 0 },
+    // Full or partial refunds by line item and the entries each one took back
+    refunds: [{
+        items: [{
+            lineId: Schema.Types.ObjectId, // _id of the refunded line in items
+            itemName: String,
+            sku: String,
+            quantity: Number,
+            amount: Number
+        }],
+        amount: Number,
+        reason: String,
+        // Recorded as pending before any money moves; each step below is marked once done
+        status: { type: String, enum: ["pending", "completed"], default: "completed" },
+        stockReleased: { type: Boolean, default: false },
+        shirtsAdjusted: { type: Boolean, default: false },
+        entriesDue: Number, // Proportional share of the entries the order was granted
+        entriesRemoved: Number, // Less than due when the round was drawn or the balance ran out; unset until taken
+        roundId: { type: Schema.Types.ObjectId, ref: 'Round' },
+        roundDrawn: { type: Boolean, default: false },
+        // The buyer won the round the entries were in: an admin has to look at the win
+        reviewStatus: { type: String, enum: ["none", "pending", "resolved"], default: "none" },
+        reviewReason: String,
+        reviewNote: String,
+        reviewedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+        reviewedAt: Date,
+        providerRefundId: String,
+        actorId: { type: Schema.Types.ObjectId, ref: 'User' },
+        at: { type: Date, default: Date.now }
+    }],
     notes: String
 });
 
+purchaseSchema.index({ userId: 1, purchaseDate: -1 });
+purchaseSchema.index({ status: 1, purchaseDate: -1 });
+purchaseSchema.index({ status: 1, reservationExpiresAt: 1 });
+purchaseSchema.index({ 'payment.provider': 1, 'payment.sessionId': 1 });
+purchaseSchema.index({ 'refunds.reviewStatus': 1 });
+
 const Purchase = mongoose.model("Purchase", purchaseSchema);
 module.exports = Purchase;
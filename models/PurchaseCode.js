@@ -6,6 +6,8 @@ const purchaseCodeSchema = new Schema({
     isUsed: { type: Boolean, default: false },
     usedBy: { type: Schema.Types.ObjectId, ref: 'User' },
     usedDate: Date,
+    campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign' }, // Campaign the entries go to (main wheel if unset)
+    roundId: { type: Schema.Types.ObjectId, ref: 'Round' }, // Round the code was redeemed in
     entriesAwarded: { type: Number, default: 10 }, // Default 10 entries per shirt
     notes: String,
     createdAt: { type: Date, default: Date.now },
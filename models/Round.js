@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const roundSchema = new Schema({
+    campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign' }, // Unset for the main wheel
+    title: { type: String, required: true },
+    prize: { type: String, default: "Mystery Prize" },
+    description: String,
+    startDate: { type: Date, default: Date.now },
+    endDate: Date,
+    status: {
+        type: String,
+        enum: ["draft", "open", "closed", "drawn", "cancelled"],
+        default: "draft"
+    },
+    // Country restrictions for the draw (compared case-insensitively with User.country).
+    // With an allow-list only those countries can win; deny-listed countries never can.
+    allowedCountries: [String],
+    deniedCountries: [String],
+    // Users disqualified from this round's draw, e.g. when a fraudulent win is voided
+    disqualifiedUserIds: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+    voidedSpinIds: [{ type: Schema.Types.ObjectId, ref: 'Spin' }],
+    // One per void: a new seed (hidden until the redraw reveals it) and the eligible
+    // pool, both fixed when the spin was voided, so the redraw cannot be predicted or steered
+    redraws: [{
+        voidedSpinId: { type: Schema.Types.ObjectId, ref: 'Spin' },
+        serverSeed: { type: String, select: false },
+        serverSeedHash: String,
+        seedCommittedAt: Date,
+        participants: [{
+            userId: { type: Schema.Types.ObjectId, ref: 'User' },
+            userName: String,
+            instagramHandle: String,
+            entryCount: Number
+        }],
+        exclusions: [{
+            userId: { type: Schema.Types.ObjectId, ref: 'User' },
+            userName: String,
+            entryCount: Number,
+            rules: [String]
+        }],
+        eligibilityRules: Schema.Types.Mixed,
+        poolHash: String, // hashSnapshot of participants
+        spinId: { type: Schema.Types.ObjectId, ref: 'Spin' } // Spin that drew it
+    }],
+    // Frozen entry counts of every participant, written once when the round closes
+    entrySnapshot: [{
+        userId: { type: Schema.Types.ObjectId, ref: 'User' },
+        userName: String,
+        instagramHandle: String,
+        country: String,
+        entryCount: Number
+    }],
+    totalEntries: { type: Number, default: 0 },
+    totalParticipants: { type: Number, default: 0 },
+    snapshotFrozenAt: Date,
+    snapshotHash: String, // hashSnapshot of entrySnapshot, published when the round closes
+    // Draw seed commitment the snapshot was frozen under; the draw must reveal this seed
+    serverSeedHash: String,
+    seedCommittedAt: Date,
+    openedAt: Date,
+    closedAt: Date,
+    drawnAt: Date,
+    cancelledAt: Date, // Rounds that never got drawn are cancelled by a game reset, not deleted
+    spinId: { type: Schema.Types.ObjectId, ref: 'Spin' },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+roundSchema.index({ status: 1, startDate: -1 });
+roundSchema.index({ campaignId: 1, status: 1 });
+// One open round per wheel (campaignId unset for the main wheel)
+roundSchema.index({ campaignId: 1 }, { unique: true, partialFilterExpression: { status: 'open' }, name: 'one_open_round_per_wheel' });
+
+// Update the updatedAt field and keep the snapshot immutable once frozen
+roundSchema.pre('save', function(next) {
+    const closing = this.isModified('status') && this.status === 'closed';
+    if (!this.isNew && this.isModified('entrySnapshot') && !closing) {
+        return next(new Error('Round entry snapshot is frozen and cannot be modified'));
+    }
+    this.updatedAt = new Date();
+    next();
+});
+
+const Round = mongoose.model("Round", roundSchema);
+module.exports = Round;
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A pending automatic draw, persisted so it survives restarts
+const scheduledDrawSchema = new Schema({
+    campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign' }, // Unset for the main wheel
+    // Set when the draw is an occurrence of a recurring schedule
+    drawScheduleId: { type: Schema.Types.ObjectId, ref: 'DrawSchedule' },
+    occurrence: Date, // The occurrence's time by the rule (runAt differs when postponed)
+    runAt: { type: Date, required: true },
+    status: {
+        type: String,
+        enum: ["pending", "running", "completed", "failed", "cancelled"],
+        default: "pending"
+    },
+    // Lock held by the server instance running the draw
+    lockedBy: String,
+    lockedAt: Date,
+    attempts: { type: Number, default: 0 },
+    spinId: { type: Schema.Types.ObjectId, ref: 'Spin' },
+    error: String,
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    completedAt: Date
+});
+
+scheduledDrawSchema.index({ status: 1, runAt: 1 });
+// One pending draw per schedule occurrence, even with several instances syncing
+scheduledDrawSchema.index(
+    { drawScheduleId: 1, occurrence: 1 },
+    { unique: true, partialFilterExpression: { drawScheduleId: { $exists: true }, status: 'pending' } }
+);
+
+const ScheduledDraw = mongoose.model("ScheduledDraw", scheduledDrawSchema);
+module.exports = ScheduledDraw;
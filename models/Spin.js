@@ -3,7 +3,9 @@ const Schema = mongoose.Schema;
 
 const spinSchema = new Schema({
     spinId: { type: String, required: true, unique: true },
-    triggeredBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    roundId: { type: Schema.Types.ObjectId, ref: 'Round' },
+    // Timer spins run by the scheduler may have no triggering admin
+    triggeredBy: { type: Schema.Types.ObjectId, ref: 'User', required: function() { return this.spinType !== 'timer'; } },
     spinType: { 
         type: String, 
         enum: ["manual", "timer"], 
@@ -15,16 +17,73 @@ const spinSchema = new Schema({
         userName: String,
         entryCount: Number
     }],
+    // Round entrants left out of the draw and the eligibility rules that excluded them
+    exclusions: [{
+        userId: { type: Schema.Types.ObjectId, ref: 'User' },
+        userName: String,
+        entryCount: Number,
+        rules: [String]
+    }],
+    eligibilityRules: Schema.Types.Mixed, // Rule settings in force for this draw
     winner: {
         userId: { type: Schema.Types.ObjectId, ref: 'User' },
         userName: String,
         entryCount: Number
     },
+    // Every winner of the spin in draw order (winner above is the first one)
+    winners: [{
+        position: Number,
+        userId: { type: Schema.Types.ObjectId, ref: 'User' },
+        userName: String,
+        entryCount: Number,
+        prizeId: { type: Schema.Types.ObjectId, ref: 'Prize' },
+        prizeName: String,
+        tier: Number,
+        winnerIndex: Number,
+        poolTotalEntries: Number
+    }],
+    // Commit-reveal data needed to recompute the winner
+    fairness: {
+        algorithm: String,
+        serverSeedHash: String,
+        serverSeed: String,
+        seedCommittedAt: Date,
+        snapshotHash: String,
+        winnerIndex: Number
+    },
+    // Claim chain: every draw, claim, forfeit and redraw for this spin's prizes
+    claimHistory: [{
+        event: {
+            type: String,
+            enum: ["drawn", "claimed", "expired", "redraw_committed", "redrawn", "redraw_unavailable", "voided"]
+        },
+        winnerId: { type: Schema.Types.ObjectId, ref: 'Winner' },
+        userId: { type: Schema.Types.ObjectId, ref: 'User' },
+        userName: String,
+        position: Number,
+        prizeName: String,
+        replacedWinnerId: { type: Schema.Types.ObjectId, ref: 'Winner' },
+        // Redraw randomness: the seed's hash and the pool are published by
+        // redraw_committed; the redrawn event reveals the seed
+        serverSeed: String,
+        serverSeedHash: String,
+        poolHash: String,
+        winnerIndex: Number,
+        poolTotalEntries: Number,
+        excludedUserIds: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+        at: { type: Date, default: Date.now }
+    }],
     status: { 
         type: String, 
-        enum: ["pending", "completed", "cancelled"], 
+        enum: ["pending", "completed", "cancelled", "voided"], 
         default: "pending" 
     },
+    // Voiding a completed draw (e.g. a fraudulent winner) and the spin that re-ran it
+    voidedAt: Date,
+    voidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    voidReason: String,
+    redrawSpinId: { type: Schema.Types.ObjectId, ref: 'Spin' }, // Spin that re-ran this voided draw
+    redrawOf: { type: Schema.Types.ObjectId, ref: 'Spin' }, // Voided spin this one re-ran
     spinTime: { type: Date, default: Date.now },
     completedAt: Date,
     notes: String
@@ -9,7 +9,19 @@ const storeSchema = new Schema({
     image: { type: String },
     category: { type: String, enum: ["shirt", "merchandise", "other"], default: "shirt" },
     active: { type: Boolean, default: true },
-    stock: { type: Number, default: 0 },
+    stock: { type: Number, default: 0 }, // Items without variants; otherwise each variant has its own
+    // Sizes/colours sold separately. An item with active variants is bought by variant.
+    variants: [{
+        sku: { type: String, required: true, trim: true },
+        size: { type: String, trim: true }, // e.g. S, M, L, XL, XXL
+        color: { type: String, trim: true },
+        stock: { type: Number, default: 0, min: 0 },
+        price: { type: Number, min: 0 }, // Overrides the item's price when set
+        image: { type: String },
+        active: { type: Boolean, default: true }
+    }],
+    lowStockThreshold: { type: Number, default: 5 }, // Stock at or below this is reported as low
+    campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign' }, // Campaign the entries go to (main wheel if unset)
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
@@ -20,5 +32,11 @@ storeSchema.pre('save', function(next) {
     next();
 });
 
+// SKUs are unique across the whole catalogue
+storeSchema.index(
+    { 'variants.sku': 1 },
+    { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
 const Store = mongoose.model("Store", storeSchema);
 module.exports = Store;
@@ -11,6 +11,10 @@ const userSchema = new Schema({
     owner: { type: Boolean, default: false }, // Only for super_admin role - indicates if they can manage other superadmins
     avatar: { type: String, default: "https://cdn.pixabay.com/photo/2015/10/05/22/37/blank-profile-picture-973460_960_720.png" },
     blocked: { type: Boolean, default: false },
+    emailVerified: { type: Boolean, default: false }, // Set when the user opens the link sent at signup (or resets their password)
+    emailVerificationToken: String,
+    emailVerificationExpires: Date,
+    staff: { type: Boolean, default: false }, // Staff can be excluded from draws by the eligibility rules
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
     resetPasswordToken: String,
@@ -29,7 +33,8 @@ const userSchema = new Schema({
     codesUsed: [{ 
         code: String, 
         usedDate: Date, 
-        entriesAwarded: Number 
+        entriesAwarded: Number,
+        roundId: { type: Schema.Types.ObjectId, ref: 'Round' }
     }],
     totalCodesUsed: { type: Number, default: 0 },
     totalBonusEntries: { type: Number, default: 0 } // Entries from codes
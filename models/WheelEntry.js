@@ -3,6 +3,8 @@ const Schema = mongoose.Schema;
 
 const wheelEntrySchema = new Schema({
     userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    roundId: { type: Schema.Types.ObjectId, ref: 'Round' },
+    purchaseId: { type: Schema.Types.ObjectId, ref: 'Purchase' }, // Order that earned a shirt_purchase entry
     userName: { type: String, required: true },
     entryType: { 
         type: String, 
@@ -13,5 +15,7 @@ const wheelEntrySchema = new Schema({
     createdAt: { type: Date, default: Date.now }
 });
 
+wheelEntrySchema.index({ purchaseId: 1 }, { sparse: true });
+
 const WheelEntry = mongoose.model("WheelEntry", wheelEntrySchema);
 module.exports = WheelEntry;
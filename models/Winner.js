@@ -5,12 +5,71 @@ const winnerSchema = new Schema({
     userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
     userName: { type: String, required: true },
     spinId: { type: Schema.Types.ObjectId, ref: 'Spin', required: true },
+    roundId: { type: Schema.Types.ObjectId, ref: 'Round' },
     winDate: { type: Date, default: Date.now },
     prize: { type: String, default: "Mystery Prize" },
+    prizeId: { type: Schema.Types.ObjectId, ref: 'Prize' },
+    tier: Number,
+    position: { type: Number, default: 1 }, // Draw order within the spin
     claimed: { type: Boolean, default: false },
     claimDate: Date,
+    // Claim workflow
+    claimStatus: {
+        type: String,
+        enum: ["pending", "claimed", "expired", "voided"],
+        default: "pending"
+    },
+    claimDeadline: Date,
+    shippingDetails: {
+        fullName: String,
+        addressLine1: String,
+        addressLine2: String,
+        city: String,
+        state: String,
+        postalCode: String,
+        country: String,
+        phone: String
+    },
+    expiredAt: Date,
+    voidedAt: Date,
+    voidReason: String,
+    redrawOf: { type: Schema.Types.ObjectId, ref: 'Winner' }, // Forfeited winner this one replaced
+    replacedBy: { type: Schema.Types.ObjectId, ref: 'Winner' },
+    // Redraw of a forfeited prize; "pending" ones are retried until they finish
+    redrawStatus: { type: String, enum: ["pending", "redrawn", "unavailable"] },
+    // A new seed (hidden until the redraw reveals it) and the pool, fixed together before the redraw
+    redrawCommitment: {
+        serverSeed: { type: String, select: false },
+        serverSeedHash: String,
+        committedAt: Date,
+        pool: [{
+            userId: { type: Schema.Types.ObjectId, ref: 'User' },
+            userName: String,
+            instagramHandle: String,
+            entryCount: Number
+        }],
+        poolHash: String, // hashSnapshot of pool
+        excludedUserIds: [{ type: Schema.Types.ObjectId, ref: 'User' }]
+    },
+    // Prize photo and testimonial sent after claiming, shown in the public gallery once approved
+    testimonial: {
+        photoUrl: String,
+        text: String,
+        status: {
+            type: String,
+            enum: ["pending", "approved", "rejected"]
+        },
+        submittedAt: Date,
+        reviewedAt: Date,
+        reviewedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+        rejectionReason: String
+    },
     notes: String
 });
 
+winnerSchema.index({ claimStatus: 1, claimDeadline: 1 });
+winnerSchema.index({ redrawStatus: 1 });
+winnerSchema.index({ 'testimonial.status': 1, 'testimonial.reviewedAt': -1 });
+
 const Winner = mongoose.model("Winner", winnerSchema);
 module.exports = Winner;
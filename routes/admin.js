@@ -6,10 +6,24 @@ const User = require('../models/User');
 const GameSettings = require('../models/GameSettings');
 const Spin = require('../models/Spin');
 const Winner = require('../models/Winner');
+const EntryTransaction = require('../models/EntryTransaction');
+const CampaignEntry = require('../models/CampaignEntry');
+const DrawSchedule = require('../models/DrawSchedule');
+const Round = require('../models/Round');
+const WheelEntry = require('../models/WheelEntry');
+const ScheduledDraw = require('../models/ScheduledDraw');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const { successResponse, errorResponse, validationErrorResponse, notFoundResponse } = require('../utils/responseHelper');
+const { startGameCountdown, syncScheduledDraw } = require('../utils/countdownHelper');
+const { getClaimDeadline } = require('../utils/claimHelper');
+const { getOpenRound } = require('../utils/roundHelper');
+const { recordEntryChange, recordEntryChanges, getLedgerBalance, rebuildEntryBalances } = require('../utils/entryHelper');
+const { voidSpin } = require('../services/spinService');
+const { CAPPED_SOURCES } = require('../services/entryService');
+const { findCampaign } = require('../utils/campaignHelper');
+const { buildTranscript, signTranscript, renderTranscriptHtml } = require('../utils/transcriptHelper');
 
 /**
  * @swagger
@@ -37,7 +51,7 @@ router.get('/dashboard', auth, superadmin, async (req, res) => {
         // Get statistics
         const totalUsers = await User.countDocuments({ role: 'user', blocked: false });
         const totalSpins = await Spin.countDocuments({ status: 'completed' });
-        const totalWinners = await Winner.countDocuments();
+        const totalWinners = await Winner.countDocuments({ claimStatus: { $ne: 'voided' } });
         const totalEntries = await User.aggregate([
             { $match: { role: 'user', blocked: false } },
             { $group: { _id: null, total: { $sum: '$totalEntries' } } }
@@ -50,7 +64,7 @@ router.get('/dashboard', auth, superadmin, async (req, res) => {
             .sort({ completedAt: -1 })
             .limit(5);
 
-        const recentWinners = await Winner.find()
+        const recentWinners = await Winner.find({ claimStatus: { $ne: 'voided' } })
             .populate('userId', 'name instagramHandle')
             .populate('spinId', 'spinId spinTime')
             .sort({ winDate: -1 })
@@ -161,6 +175,7 @@ router.put('/settings', auth, superadmin, async (req, res) => {
         }
 
         await gameSettings.save();
+        await syncScheduledDraw(gameSettings, req.user.id);
 
         // Emit real-time update
         const io = req.app.get('io');
@@ -231,7 +246,7 @@ router.get('/users', auth, superadmin, async (req, res) => {
         const roleQuery = role ? { role } : {};
 
         const users = await User.find({ ...roleQuery, ...searchQuery })
-            .select('-password -resetPasswordToken -resetPasswordExpires')
+            .select('-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken -emailVerificationExpires')
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit);
@@ -316,7 +331,7 @@ router.patch('/users/:userId/block', auth, superadmin, async (req, res) => {
             userId,
             { blocked },
             { new: true }
-        ).select('-password -resetPasswordToken -resetPasswordExpires');
+        ).select('-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken -emailVerificationExpires');
 
         return successResponse(res, user, `User ${blocked ? 'blocked' : 'unblocked'} successfully`);
 
@@ -326,11 +341,82 @@ router.patch('/users/:userId/block', auth, superadmin, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /admin/users/{userId}/eligibility:
+ *   patch:
+ *     summary: Set the account flags used by the draw eligibility rules
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               emailVerified:
+ *                 type: boolean
+ *               staff:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: User eligibility flags updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.patch('/users/:userId/eligibility', auth, superadmin, async (req, res) => {
+    try {
+        const update = {};
+        for (const field of ['emailVerified', 'staff']) {
+            if (req.body[field] === undefined) {
+                continue;
+            }
+            if (typeof req.body[field] !== 'boolean') {
+                return validationErrorResponse(res, `${field} must be a boolean`);
+            }
+            update[field] = req.body[field];
+        }
+
+        if (Object.keys(update).length === 0) {
+            return validationErrorResponse(res, 'Provide emailVerified and/or staff');
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.params.userId,
+            update,
+            { new: true }
+        ).select('-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken -emailVerificationExpires');
+
+        if (!user) {
+            return notFoundResponse(res, 'User');
+        }
+
+        return successResponse(res, user, 'User eligibility flags updated successfully');
+
+    } catch (err) {
+        console.error('Update user eligibility error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
 /**
  * @swagger
  * /admin/users/{userId}/entries:
  *   patch:
- *     summary: Update user's wheel entries
+ *     summary: Adjust a user's wheel entries by a signed amount
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -347,40 +433,209 @@ router.patch('/users/:userId/block', auth, superadmin, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [delta, reason]
  *             properties:
- *               totalEntries:
- *                 type: number
+ *               delta:
+ *                 type: integer
+ *                 description: Entries to add (positive) or remove (negative)
+ *               reason:
+ *                 type: string
+ *                 description: Why the entries were adjusted, kept in the entry ledger
+ *               campaignId:
+ *                 type: string
+ *                 description: Adjust the user's entries in this campaign instead of the main wheel
  *     responses:
  *       200:
  *         description: User entries updated successfully
+ *       400:
+ *         description: Invalid adjustment or balance would go below zero
  *       404:
  *         description: User not found
+ *       409:
+ *         description: The wheel has a frozen round waiting for its draw
  *       403:
  *         description: SuperAdmin access required
  */
 router.patch('/users/:userId/entries', auth, superadmin, async (req, res) => {
     try {
         const { userId } = req.params;
-        const { totalEntries } = req.body;
+        const { delta, reason, campaignId } = req.body;
 
-        if (typeof totalEntries !== 'number' || totalEntries < 0) {
-            return validationErrorResponse(res, 'Total entries must be a non-negative number');
+        if (!Number.isInteger(delta) || delta === 0) {
+            return validationErrorResponse(res, 'Delta must be a non-zero whole number');
         }
 
-        const user = await User.findByIdAndUpdate(
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return validationErrorResponse(res, 'A reason is required for entry adjustments');
+        }
+
+        const campaign = campaignId ? await findCampaign(campaignId) : null;
+
+        // A frozen round waiting for its draw must be drawn from the balances it froze
+        const frozenRound = await Round.exists({ status: 'closed', campaignId: campaign ? campaign._id : null });
+        if (frozenRound) {
+            return errorResponse(res, 'This wheel has a frozen round waiting for its draw; entries can be adjusted again after the draw', 'Round frozen', 409);
+        }
+
+        const round = await getOpenRound(campaign);
+        const entryTransaction = await recordEntryChange({
             userId,
-            { totalEntries },
-            { new: true }
-        ).select('-password -resetPasswordToken -resetPasswordExpires');
+            campaignId: campaign ? campaign._id : undefined,
+            roundId: round._id,
+            delta,
+            reason: 'admin_adjustment',
+            note: reason.trim(),
+            actorId: req.user.id
+        });
+
+        const user = await User.findById(userId).select('-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken -emailVerificationExpires');
+
+        return successResponse(res, {
+            user,
+            transaction: entryTransaction
+        }, 'User entries updated successfully');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Update user entries error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/entry-transactions:
+ *   get:
+ *     summary: Get a user's entry ledger history
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *         description: Filter by reason
+ *     responses:
+ *       200:
+ *         description: Entry transactions retrieved successfully
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.get('/users/:userId/entry-transactions', auth, superadmin, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
 
+        const user = await User.findById(req.params.userId).select('name email totalEntries');
         if (!user) {
             return notFoundResponse(res, 'User');
         }
 
-        return successResponse(res, user, 'User entries updated successfully');
+        const query = { userId: user._id };
+        if (req.query.reason) {
+            query.reason = req.query.reason;
+        }
+
+        const transactions = await EntryTransaction.find(query)
+            .populate('actorId', 'name email')
+            .populate('roundId', 'title status')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const totalTransactions = await EntryTransaction.countDocuments(query);
+        const ledger = await getLedgerBalance(user._id);
+
+        return successResponse(res, {
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email
+            },
+            cachedBalance: user.totalEntries,
+            ledgerBalance: ledger.balance,
+            inSync: ledger.transactions === 0 || ledger.balance === user.totalEntries,
+            transactions,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalTransactions / limit),
+                totalTransactions,
+                hasNext: page < Math.ceil(totalTransactions / limit),
+                hasPrev: page > 1
+            }
+        }, 'Entry transactions retrieved successfully');
+
+    } catch (err) {
+        console.error('Get entry transactions error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/entries/rebuild:
+ *   post:
+ *     summary: Rebuild cached entry balances from the entry ledger
+ *     description: >
+ *       Users created before the ledger first get an opening balance row for whatever their current entries
+ *       are not explained by the ledger rows they already have. Balances whose ledger adds up to less than
+ *       zero are left as they are and listed in negativeLedgers.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Only rebuild this user (default all users)
+ *     responses:
+ *       200:
+ *         description: Entry balances rebuilt successfully
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/entries/rebuild', auth, superadmin, async (req, res) => {
+    try {
+        const { userId } = req.body || {};
+
+        if (userId && !(await User.exists({ _id: userId }))) {
+            return notFoundResponse(res, 'User');
+        }
+
+        const result = await rebuildEntryBalances({ userId, actorId: req.user.id });
+
+        return successResponse(res, result, 'Entry balances rebuilt successfully');
 
     } catch (err) {
-        console.error('Update user entries error:', err);
+        console.error('Rebuild entry balances error:', err);
         return errorResponse(res, err, 'Server Error');
     }
 });
@@ -459,7 +714,8 @@ router.post('/declare-winner', auth, superadmin, async (req, res) => {
             userName: user.name,
             spinId: spin._id,
             prize,
-            notes
+            notes,
+            claimDeadline: await getClaimDeadline()
         });
 
         await winner.save();
@@ -497,11 +753,435 @@ router.post('/declare-winner', auth, superadmin, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /admin/spins/{spinId}/void:
+ *   post:
+ *     summary: Void a completed spin
+ *     description: Marks the spin and its winners as voided, gives back the entries the draw spent and returns the round to closed with its frozen snapshot, so the next spin redraws it. The void commits the redraw at once, a new seed and the eligible pool frozen at that moment, and returns it as redrawCommitment (seed hash, pool hash); the redraw reveals the seed. The redraw links back to the voided spin. Socket clients receive a spin-voided event.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: spinId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Public spin ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               disqualifyWinners:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Exclude the spin's winners from the round's redraw
+ *               redraw:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Redraw the round immediately
+ *     responses:
+ *       200:
+ *         description: Spin voided successfully
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: SuperAdmin access required
+ *       404:
+ *         description: Spin not found
+ *       409:
+ *         description: Spin is not completed or a spin is in progress
+ */
+router.post('/spins/:spinId/void', auth, superadmin, async (req, res) => {
+    try {
+        const { reason, disqualifyWinners = false, redraw = false } = req.body || {};
+
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return validationErrorResponse(res, 'A reason is required to void a spin');
+        }
+        if (typeof disqualifyWinners !== 'boolean' || typeof redraw !== 'boolean') {
+            return validationErrorResponse(res, 'disqualifyWinners and redraw must be booleans');
+        }
+
+        const result = await voidSpin({
+            spinId: req.params.spinId,
+            reason: reason.trim(),
+            disqualifyWinners,
+            redraw,
+            actorId: req.user.id,
+            io: req.app.get('io')
+        });
+
+        const message = !redraw ? 'Spin voided successfully'
+            : result.redraw ? 'Spin voided and redrawn successfully'
+            : 'Spin voided; the redraw failed and can be run with /wheel/spin';
+        return successResponse(res, result, message);
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Void spin error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/spins/{spinId}/transcript:
+ *   get:
+ *     summary: Download a signed transcript of a draw
+ *     description: >
+ *       A self-contained record of the spin (participants and entry counts, exclusions, seed commitment
+ *       and revealed seed, winning tickets, timestamps, triggering admin and prizes) signed with the
+ *       server's Ed25519 key. The JSON is returned as-is (not wrapped in the usual response format) so
+ *       it can be shared and checked with POST /wheel/transcripts/verify. format=html returns a printable page.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: spinId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Public spin ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Signed transcript
+ *       400:
+ *         description: Spin has not been drawn
+ *       403:
+ *         description: SuperAdmin access required
+ *       404:
+ *         description: Spin not found
+ *       503:
+ *         description: Transcript signing key is not configured
+ */
+router.get('/spins/:spinId/transcript', auth, superadmin, async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!['json', 'html'].includes(format)) {
+            return validationErrorResponse(res, 'Format must be json or html');
+        }
+
+        const transcript = signTranscript(await buildTranscript(req.params.spinId));
+
+        if (format === 'html') {
+            return res.type('html').send(renderTranscriptHtml(transcript));
+        }
+
+        res.attachment(`draw-transcript-${transcript.spinId}.json`);
+        return res.json(transcript);
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Get spin transcript error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/claims:
+ *   get:
+ *     summary: Get prize claims by status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, claimed, expired, voided, all]
+ *         description: Filter by claim status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Claims retrieved successfully
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.get('/claims', auth, superadmin, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+        const status = req.query.status || 'all';
+
+        const query = status === 'all' ? {} : { claimStatus: status };
+
+        const claims = await Winner.find(query)
+            .populate('userId', 'name email instagramHandle country')
+            .populate('spinId', 'spinId spinTime')
+            .populate('redrawOf', 'userName claimStatus')
+            .populate('replacedBy', 'userName claimStatus')
+            .sort({ winDate: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const totalClaims = await Winner.countDocuments(query);
+
+        return successResponse(res, {
+            claims,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalClaims / limit),
+                totalClaims,
+                hasNext: page < Math.ceil(totalClaims / limit),
+                hasPrev: page > 1
+            },
+            statistics: {
+                pending: await Winner.countDocuments({ claimStatus: 'pending' }),
+                claimed: await Winner.countDocuments({ claimStatus: 'claimed' }),
+                expired: await Winner.countDocuments({ claimStatus: 'expired' }),
+                voided: await Winner.countDocuments({ claimStatus: 'voided' })
+            }
+        }, 'Claims retrieved successfully');
+
+    } catch (err) {
+        console.error('Get claims error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/testimonials:
+ *   get:
+ *     summary: Get winner photos and testimonials for moderation
+ *     description: The pending queue is oldest first; other statuses newest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Testimonials retrieved successfully
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.get('/testimonials', auth, superadmin, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+        const status = req.query.status || 'pending';
+
+        if (!['pending', 'approved', 'rejected'].includes(status)) {
+            return validationErrorResponse(res, 'Status must be pending, approved or rejected');
+        }
+
+        const query = { 'testimonial.status': status };
+        const testimonials = await Winner.find(query)
+            .populate('userId', 'name email instagramHandle')
+            .populate('roundId', 'title')
+            .populate('testimonial.reviewedBy', 'name email')
+            .sort(status === 'pending' ? { 'testimonial.submittedAt': 1 } : { 'testimonial.reviewedAt': -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Winner.countDocuments(query);
+
+        return successResponse(res, {
+            testimonials,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalTestimonials: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            },
+            statistics: {
+                pending: await Winner.countDocuments({ 'testimonial.status': 'pending' }),
+                approved: await Winner.countDocuments({ 'testimonial.status': 'approved' }),
+                rejected: await Winner.countDocuments({ 'testimonial.status': 'rejected' })
+            }
+        }, 'Testimonials retrieved successfully');
+
+    } catch (err) {
+        console.error('Get testimonials error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/testimonials/{winnerId}/approve:
+ *   post:
+ *     summary: Approve a pending testimonial for the public winners gallery
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: winnerId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Winner record ID
+ *     responses:
+ *       200:
+ *         description: Testimonial approved successfully
+ *       403:
+ *         description: SuperAdmin access required
+ *       404:
+ *         description: Winner record not found
+ *       409:
+ *         description: No pending testimonial to approve
+ */
+router.post('/testimonials/:winnerId/approve', auth, superadmin, async (req, res) => {
+    try {
+        const winner = await Winner.findById(req.params.winnerId);
+        if (!winner) {
+            return notFoundResponse(res, 'Winner');
+        }
+
+        // Only the pending version can be approved, so a resubmission in between is not published unseen
+        const approved = await Winner.findOneAndUpdate(
+            { _id: winner._id, 'testimonial.status': 'pending', claimStatus: 'claimed' },
+            {
+                'testimonial.status': 'approved',
+                'testimonial.reviewedAt': new Date(),
+                'testimonial.reviewedBy': req.user.id,
+                $unset: { 'testimonial.rejectionReason': 1 }
+            },
+            { new: true }
+        );
+
+        if (!approved) {
+            return errorResponse(res, 'There is no pending testimonial to approve', 'Nothing to approve', 409);
+        }
+
+        return successResponse(res, approved, 'Testimonial approved successfully');
+
+    } catch (err) {
+        console.error('Approve testimonial error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/testimonials/{winnerId}/reject:
+ *   post:
+ *     summary: Reject a testimonial, or take an approved one out of the gallery
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: winnerId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Winner record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Testimonial rejected successfully
+ *       400:
+ *         description: Reason missing
+ *       403:
+ *         description: SuperAdmin access required
+ *       404:
+ *         description: Winner record not found
+ *       409:
+ *         description: No testimonial to reject
+ */
+router.post('/testimonials/:winnerId/reject', auth, superadmin, async (req, res) => {
+    try {
+        const { reason } = req.body || {};
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return validationErrorResponse(res, 'A reason is required to reject a testimonial');
+        }
+
+        const winner = await Winner.findById(req.params.winnerId);
+        if (!winner) {
+            return notFoundResponse(res, 'Winner');
+        }
+
+        const rejected = await Winner.findOneAndUpdate(
+            { _id: winner._id, 'testimonial.status': { $in: ['pending', 'approved'] } },
+            {
+                'testimonial.status': 'rejected',
+                'testimonial.reviewedAt': new Date(),
+                'testimonial.reviewedBy': req.user.id,
+                'testimonial.rejectionReason': reason.trim()
+            },
+            { new: true }
+        );
+
+        if (!rejected) {
+            return errorResponse(res, 'There is no testimonial to reject', 'Nothing to reject', 409);
+        }
+
+        return successResponse(res, rejected, 'Testimonial rejected successfully');
+
+    } catch (err) {
+        console.error('Reject testimonial error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
 /**
  * @swagger
  * /admin/reset-game:
  *   post:
  *     summary: Reset the game (clear all data)
+ *     description: >
+ *       Resets every balance to its starting value through the entry ledger and clears spins, winners
+ *       and game settings. Rounds that were not drawn are cancelled; drawn rounds are kept.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -513,11 +1193,29 @@ router.post('/declare-winner', auth, superadmin, async (req, res) => {
  */
 router.post('/reset-game', auth, superadmin, async (req, res) => {
     try {
-        // Reset all user entries and winner status
+        // Reset all user entries to the registration entry through the ledger
+        const users = await User.find({ role: 'user', totalEntries: { $ne: 1 } }).select('totalEntries');
+        await recordEntryChanges(users.map(user => ({
+            userId: user._id,
+            delta: 1 - user.totalEntries,
+            reason: 'game_reset',
+            actorId: req.user.id
+        })));
+
+        // Campaign balances go back to zero
+        const campaignBalances = await CampaignEntry.find({ entries: { $ne: 0 } });
+        await recordEntryChanges(campaignBalances.map(balance => ({
+            userId: balance.userId,
+            campaignId: balance.campaignId,
+            delta: -balance.entries,
+            reason: 'game_reset',
+            actorId: req.user.id
+        })));
+
+        // Reset winner status
         await User.updateMany(
             { role: 'user' },
             { 
-                totalEntries: 1, // Keep 1 entry for registration
                 totalShirtsPurchased: 0,
                 isWinner: false,
                 lastWinDate: null
@@ -525,7 +1223,6 @@ router.post('/reset-game', auth, superadmin, async (req, res) => {
         );
 
         // Clear all wheel entries except registration ones
-        const WheelEntry = require('../models/WheelEntry');
         await WheelEntry.deleteMany({ entryType: 'shirt_purchase' });
 
         // Clear all spins
@@ -534,6 +1231,12 @@ router.post('/reset-game', auth, superadmin, async (req, res) => {
         // Clear all winners
         await Winner.deleteMany({});
 
+        // Cancel every round that was not drawn; drawn rounds stay as the record of past giveaways
+        await Round.updateMany(
+            { status: { $in: ['draft', 'open', 'closed'] } },
+            { status: 'cancelled', cancelledAt: new Date(), updatedAt: new Date() }
+        );
+
         // Reset game settings
         await GameSettings.deleteMany({});
 
@@ -579,7 +1282,13 @@ router.get('/game-settings', auth, superadmin, async (req, res) => {
             maintenanceMode: gameSettings.maintenanceMode,
             entriesPerShirt: gameSettings.entriesPerShirt,
             shopifyStoreUrl: gameSettings.shopifyStoreUrl || '',
-            shopifyEnabled: gameSettings.shopifyEnabled || false
+            shopifyEnabled: gameSettings.shopifyEnabled || false,
+            claimDeadlineHours: gameSettings.claimDeadlineHours,
+            maxEntriesPerUser: gameSettings.maxEntriesPerUser,
+            maxEntriesPerDay: gameSettings.maxEntriesPerDay,
+            entrySourceCaps: gameSettings.entrySourceCaps,
+            eligibility: gameSettings.eligibility,
+            freeEntry: gameSettings.freeEntry
         }, 'Game settings retrieved successfully');
 
     } catch (err) {
@@ -617,6 +1326,51 @@ router.get('/game-settings', auth, superadmin, async (req, res) => {
  *                 type: boolean
  *               autoSpinEnabled:
  *                 type: boolean
+ *               claimDeadlineHours:
+ *                 type: number
+ *                 description: Hours a winner has to claim their prize
+ *               maxEntriesPerUser:
+ *                 type: number
+ *                 description: Most entries a user can hold in a round
+ *               maxEntriesPerDay:
+ *                 type: number
+ *                 description: Entries a user can earn per UTC day (0 = no limit)
+ *               entrySourceCaps:
+ *                 type: object
+ *                 description: Entries a user can earn per round from each source (0 = no limit)
+ *                 properties:
+ *                   store_purchase:
+ *                     type: number
+ *                   purchase_code:
+ *                     type: number
+ *                   free_entry:
+ *                     type: number
+ *               eligibility:
+ *                 type: object
+ *                 description: Draw eligibility rules (blocked users are always excluded)
+ *                 properties:
+ *                   winnerCooldownRounds:
+ *                     type: number
+ *                     description: Exclude winners of the last N drawn rounds (0 = off)
+ *                   winnerCooldownDays:
+ *                     type: number
+ *                     description: Exclude anyone who won in the last N days (0 = off)
+ *                   excludeUnverified:
+ *                     type: boolean
+ *                   excludeStaff:
+ *                     type: boolean
+ *               freeEntry:
+ *                 type: object
+ *                 description: No-purchase-necessary free entry requests
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   entriesPerRequest:
+ *                     type: number
+ *                   maxRequestsPerRound:
+ *                     type: number
+ *                   maxRequestsPerDay:
+ *                     type: number
  *     responses:
  *       200:
  *         description: Game settings updated successfully
@@ -637,6 +1391,12 @@ router.put('/game-settings', auth, superadmin, async (req, res) => {
             autoSpinEnabled,
             shopifyStoreUrl,
             shopifyEnabled,
+            claimDeadlineHours,
+            maxEntriesPerUser,
+            maxEntriesPerDay,
+            entrySourceCaps,
+            eligibility,
+            freeEntry,
             startCountdown
         } = req.body;
 
@@ -655,29 +1415,108 @@ router.put('/game-settings', auth, superadmin, async (req, res) => {
         if (autoSpinEnabled !== undefined) gameSettings.autoSpin = autoSpinEnabled;
         if (shopifyStoreUrl !== undefined) gameSettings.shopifyStoreUrl = shopifyStoreUrl;
         if (shopifyEnabled !== undefined) gameSettings.shopifyEnabled = shopifyEnabled;
+        if (claimDeadlineHours !== undefined) {
+            if (typeof claimDeadlineHours !== 'number' || claimDeadlineHours <= 0) {
+                return validationErrorResponse(res, 'Claim deadline hours must be a positive number');
+            }
+            gameSettings.claimDeadlineHours = claimDeadlineHours;
+        }
+        if (maxEntriesPerUser !== undefined) {
+            if (typeof maxEntriesPerUser !== 'number' || maxEntriesPerUser < 1) {
+                return validationErrorResponse(res, 'Max entries per user must be at least 1');
+            }
+            gameSettings.maxEntriesPerUser = maxEntriesPerUser;
+        }
+        if (maxEntriesPerDay !== undefined) {
+            if (typeof maxEntriesPerDay !== 'number' || maxEntriesPerDay < 0) {
+                return validationErrorResponse(res, 'Max entries per day must be a non-negative number');
+            }
+            gameSettings.maxEntriesPerDay = maxEntriesPerDay;
+        }
+        if (entrySourceCaps !== undefined) {
+            if (!entrySourceCaps || typeof entrySourceCaps !== 'object' || Array.isArray(entrySourceCaps)) {
+                return validationErrorResponse(res, 'Entry source caps must be an object of caps by source');
+            }
+            const unknownSource = Object.keys(entrySourceCaps).find(source => !CAPPED_SOURCES.includes(source));
+            if (unknownSource) {
+                return validationErrorResponse(res, `Entry source caps can be set for ${CAPPED_SOURCES.join(', ')}`);
+            }
+            for (const source of CAPPED_SOURCES) {
+                const cap = entrySourceCaps[source];
+                if (cap === undefined) {
+                    continue;
+                }
+                if (typeof cap !== 'number' || cap < 0) {
+                    return validationErrorResponse(res, 'Entry source caps must be non-negative numbers');
+                }
+                gameSettings.entrySourceCaps[source] = cap;
+            }
+        }
+        if (eligibility !== undefined) {
+            for (const rule of ['winnerCooldownRounds', 'winnerCooldownDays']) {
+                if (eligibility[rule] === undefined) {
+                    continue;
+                }
+                if (!Number.isInteger(eligibility[rule]) || eligibility[rule] < 0) {
+                    return validationErrorResponse(res, 'Winner cooldowns must be non-negative whole numbers');
+                }
+                gameSettings.eligibility[rule] = eligibility[rule];
+            }
+            for (const rule of ['excludeUnverified', 'excludeStaff']) {
+                if (eligibility[rule] === undefined) {
+                    continue;
+                }
+                if (typeof eligibility[rule] !== 'boolean') {
+                    return validationErrorResponse(res, `${rule} must be a boolean`);
+                }
+                gameSettings.eligibility[rule] = eligibility[rule];
+            }
+        }
+        if (freeEntry !== undefined) {
+            if (freeEntry.enabled !== undefined) {
+                if (typeof freeEntry.enabled !== 'boolean') {
+                    return validationErrorResponse(res, 'freeEntry.enabled must be a boolean');
+                }
+                gameSettings.freeEntry.enabled = freeEntry.enabled;
+            }
+            for (const field of ['entriesPerRequest', 'maxRequestsPerRound', 'maxRequestsPerDay']) {
+                if (freeEntry[field] === undefined) {
+                    continue;
+                }
+                if (!Number.isInteger(freeEntry[field]) || freeEntry[field] < 1) {
+                    return validationErrorResponse(res, 'Free entry amounts and limits must be whole numbers of at least 1');
+                }
+                gameSettings.freeEntry[field] = freeEntry[field];
+            }
+        }
 
         // Handle countdown timer logic
         if (startCountdown && (spinCountdownDays > 0 || spinCountdownHours > 0 || spinCountdownMinutes > 0)) {
-            const now = new Date();
+            if (await DrawSchedule.exists({ active: true, campaignId: null })) {
+                return errorResponse(res, 'The wheel follows a recurring draw schedule; skip or postpone its occurrences instead', 'Draw schedule active', 400);
+            }
             const totalMinutes = (spinCountdownDays * 24 * 60) + (spinCountdownHours * 60) + spinCountdownMinutes;
-            const endTime = new Date(now.getTime() + (totalMinutes * 60 * 1000));
-            
-            gameSettings.gameStartTime = now;
-            gameSettings.gameEndTime = endTime;
-            gameSettings.countdownActive = true;
+            startGameCountdown(gameSettings, totalMinutes);
         }
 
         gameSettings.updatedBy = req.user.id;
         await gameSettings.save();
 
+        // Schedule (or cancel) the automatic draw at gameEndTime
+        await syncScheduledDraw(gameSettings, req.user.id);
+
+        // Never broadcast the unrevealed seed
+        const publicSettings = gameSettings.toObject();
+        delete publicSettings.serverSeed;
+
         // Emit real-time update
         const io = req.app.get('io');
         if (io) {
-            io.to('wheel').emit('game-settings-updated', gameSettings);
-            io.to('admin').emit('game-settings-updated', gameSettings);
+            io.to('wheel').emit('game-settings-updated', publicSettings);
+            io.to('admin').emit('game-settings-updated', publicSettings);
         }
 
-        return successResponse(res, gameSettings, 'Game settings updated successfully');
+        return successResponse(res, publicSettings, 'Game settings updated successfully');
 
     } catch (err) {
         console.error('Update game settings error:', err);
@@ -734,6 +1573,44 @@ router.get('/check-countdown', auth, superadmin, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /admin/scheduled-draws:
+ *   get:
+ *     summary: Get automatic draws scheduled by the countdown
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, failed, cancelled]
+ *         description: Filter by draw status
+ *     responses:
+ *       200:
+ *         description: Scheduled draws retrieved successfully
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.get('/scheduled-draws', auth, superadmin, async (req, res) => {
+    try {
+        const query = req.query.status ? { status: req.query.status } : {};
+
+        const scheduledDraws = await ScheduledDraw.find(query)
+            .populate('spinId', 'spinId winner completedAt')
+            .sort({ runAt: -1 })
+            .limit(50);
+
+        return successResponse(res, scheduledDraws, 'Scheduled draws retrieved successfully');
+
+    } catch (err) {
+        console.error('Get scheduled draws error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
 // Admin Password Change with Email Verification
 router.post('/request-password-change', auth, superadmin, async (req, res) => {
     try {
@@ -6,10 +6,22 @@ const User = require('../models/User');
 const bcrypt = require('bcryptjs');
 const { generateAccessToken } = require('../utils/jwtHelper');
 const { successResponse, errorResponse, validationErrorResponse, notFoundResponse, unauthorizedResponse } = require('../utils/responseHelper');
-const { sendWelcomeEmail, sendEmail } = require('../utils/emailHelper');
+const { sendWelcomeEmail, sendVerificationEmail, sendEmail } = require('../utils/emailHelper');
 const crypto = require('crypto');
 require('dotenv').config();
 
+const EMAIL_VERIFICATION_TTL_MS = 1000 * 60 * 60 * 24; // 24 hours
+
+// Give the user a new email verification token and mail them the link
+const sendEmailVerification = async (user) => {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    user.emailVerificationToken = verificationToken;
+    user.emailVerificationExpires = Date.now() + EMAIL_VERIFICATION_TTL_MS;
+    await user.save();
+
+    await sendVerificationEmail(user, verificationToken);
+};
+
 /**
  * @swagger
  * /auth/signup:
@@ -70,7 +82,8 @@ router.post('/signup', async (req, res) => {
             instagramHandle,
             country,
             password,
-            role: "user"
+            role: "user",
+            totalEntries: 0 // The registration entry is added through the ledger below
         });
 
         // Hash password
@@ -82,12 +95,25 @@ router.post('/signup', async (req, res) => {
 
         // Create initial wheel entry for registration
         const WheelEntry = require('../models/WheelEntry');
+        const { getOpenRound } = require('../utils/roundHelper');
+        const round = await getOpenRound();
         await WheelEntry.create({
             userId: user._id,
+            roundId: round._id,
             userName: user.name,
             entryType: 'registration'
         });
 
+        const { recordEntryChange } = require('../utils/entryHelper');
+        const registrationEntry = await recordEntryChange({
+            userId: user._id,
+            roundId: round._id,
+            delta: 1,
+            reason: 'registration',
+            actorId: user._id
+        });
+        user.totalEntries = registrationEntry.balanceAfter;
+
         // Generate token
         const accessToken = generateAccessToken(user);
 
@@ -98,11 +124,20 @@ router.post('/signup', async (req, res) => {
             console.error('Error sending welcome email:', emailError);
         }
 
+        // Send the email verification link
+        try {
+            await sendEmailVerification(user);
+        } catch (emailError) {
+            console.error('Error sending verification email:', emailError);
+        }
+
         // Return user data (excluding password)
         const userObj = user.toObject();
         delete userObj.password;
         delete userObj.resetPasswordToken;
         delete userObj.resetPasswordExpires;
+        delete userObj.emailVerificationToken;
+        delete userObj.emailVerificationExpires;
 
         return successResponse(res, {
             user: userObj,
@@ -170,6 +205,8 @@ router.post('/signin', async (req, res) => {
         delete userObj.password;
         delete userObj.resetPasswordToken;
         delete userObj.resetPasswordExpires;
+        delete userObj.emailVerificationToken;
+        delete userObj.emailVerificationExpires;
 
         return successResponse(res, {
             user: userObj,
@@ -200,7 +237,7 @@ router.post('/signin', async (req, res) => {
  */
 router.get('/me', auth, async (req, res) => {
     try {
-        const user = await User.findById(req.user.id).select('-password -resetPasswordToken -resetPasswordExpires');
+        const user = await User.findById(req.user.id).select('-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken -emailVerificationExpires');
         if (!user) {
             return notFoundResponse(res, 'User');
         }
@@ -407,6 +444,10 @@ router.post('/reset-password', async (req, res) => {
         user.password = await bcrypt.hash(newPassword, salt);
         user.resetPasswordToken = undefined;
         user.resetPasswordExpires = undefined;
+        // The reset link was opened from the user's inbox, which proves they own the address
+        user.emailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
         await user.save();
         
         return successResponse(res, null, 'Password reset successful');
@@ -499,6 +540,98 @@ router.patch('/change-password', auth, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify the user's email address with the token from the verification email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token is required
+ *       404:
+ *         description: Invalid or expired token
+ */
+router.post('/verify-email', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return validationErrorResponse(res, 'Token is required');
+    }
+
+    try {
+        const user = await User.findOneAndUpdate(
+            {
+                emailVerificationToken: token,
+                emailVerificationExpires: { $gt: Date.now() }
+            },
+            {
+                emailVerified: true,
+                $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+            },
+            { new: true }
+        );
+
+        if (!user) {
+            return notFoundResponse(res, 'Invalid or expired token');
+        }
+
+        return successResponse(res, { emailVerified: true }, 'Email verified successfully');
+
+    } catch (err) {
+        console.error('Verify email error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link to the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/resend-verification', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return notFoundResponse(res, 'User');
+        }
+
+        if (user.emailVerified) {
+            return validationErrorResponse(res, 'Email is already verified');
+        }
+
+        await sendEmailVerification(user);
+
+        return successResponse(res, null, 'Verification email sent');
+
+    } catch (err) {
+        console.error('Resend verification error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
 /**
  * @swagger
  * /auth/check-token:
@@ -0,0 +1,433 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const superadmin = require('../middleware/superadmin');
+const Campaign = require('../models/Campaign');
+const CampaignEntry = require('../models/CampaignEntry');
+const Round = require('../models/Round');
+const User = require('../models/User');
+const DrawSchedule = require('../models/DrawSchedule');
+const { successResponse, errorResponse, validationErrorResponse, notFoundResponse } = require('../utils/responseHelper');
+const { getWheelRoom, toPublicCampaign } = require('../utils/campaignHelper');
+const { startGameCountdown, syncScheduledDraw } = require('../utils/countdownHelper');
+const { getUpcomingDraws } = require('../utils/scheduleHelper');
+const { executeSpin } = require('../services/spinService');
+
+const CAMPAIGN_STATUSES = ['draft', 'active', 'paused', 'ended'];
+const CAMPAIGN_ENTRY_SOURCES = ['store_purchase', 'purchase_code', 'free_entry'];
+
+// Copy the editable campaign fields from a request body. Returns a validation message, or null.
+const applyCampaignFields = (campaign, body) => {
+    const { name, description, status, currentPrize, prizeDescription, entrySources, maxEntriesPerUser, autoSpinEnabled } = body;
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return 'Name cannot be empty';
+        }
+        campaign.name = name.trim();
+    }
+    if (description !== undefined) campaign.description = description;
+    if (currentPrize !== undefined) campaign.currentPrize = currentPrize;
+    if (prizeDescription !== undefined) campaign.prizeDescription = prizeDescription;
+    if (status !== undefined) {
+        if (!CAMPAIGN_STATUSES.includes(status)) {
+            return `Status must be one of ${CAMPAIGN_STATUSES.join(', ')}`;
+        }
+        campaign.status = status;
+    }
+    if (entrySources !== undefined) {
+        if (!Array.isArray(entrySources) || entrySources.some(source => !CAMPAIGN_ENTRY_SOURCES.includes(source))) {
+            return `Entry sources must be a list of ${CAMPAIGN_ENTRY_SOURCES.join(', ')}`;
+        }
+        campaign.entrySources = [...new Set(entrySources)];
+    }
+    if (maxEntriesPerUser !== undefined) {
+        if (typeof maxEntriesPerUser !== 'number' || maxEntriesPerUser < 0) {
+            return 'Max entries per user must be a non-negative number';
+        }
+        campaign.maxEntriesPerUser = maxEntriesPerUser;
+    }
+    if (autoSpinEnabled !== undefined) {
+        if (typeof autoSpinEnabled !== 'boolean') {
+            return 'autoSpinEnabled must be a boolean';
+        }
+        campaign.autoSpin = autoSpinEnabled;
+    }
+    return null;
+};
+
+/**
+ * @swagger
+ * /campaigns:
+ *   get:
+ *     summary: Get the active campaigns (public - no auth required)
+ *     description: Every campaign is a separate wheel with its own prize, countdown and socket room (join-wheel with the campaign ID).
+ *     tags: [Campaigns]
+ *     responses:
+ *       200:
+ *         description: Campaigns retrieved successfully
+ */
+router.get('/', async (req, res) => {
+    try {
+        const campaigns = await Campaign.find({ status: 'active' }).sort({ createdAt: -1 });
+
+        return successResponse(res, campaigns.map(toPublicCampaign), 'Campaigns retrieved successfully');
+
+    } catch (err) {
+        console.error('Get campaigns error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /campaigns/mine:
+ *   get:
+ *     summary: Get the campaigns the current user has entries in
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Entered campaigns retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/mine', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('totalEntries');
+        if (!user) {
+            return notFoundResponse(res, 'User');
+        }
+
+        const balances = await CampaignEntry.find({ userId: user._id, entries: { $gt: 0 } })
+            .populate('campaignId', 'name description status currentPrize prizeDescription countdownActive gameEndTime');
+
+        const campaigns = balances
+            .filter(balance => balance.campaignId)
+            .map(balance => ({
+                campaign: balance.campaignId,
+                entries: balance.entries,
+                room: getWheelRoom(balance.campaignId._id)
+            }));
+
+        return successResponse(res, {
+            mainWheel: { entries: user.totalEntries, room: getWheelRoom() },
+            campaigns
+        }, 'Entered campaigns retrieved successfully');
+
+    } catch (err) {
+        console.error('Get my campaigns error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /campaigns/admin:
+ *   get:
+ *     summary: Get every campaign (SuperAdmin only)
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, active, paused, ended]
+ *         description: Filter by campaign status
+ *     responses:
+ *       200:
+ *         description: Campaigns retrieved successfully
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.get('/admin', auth, superadmin, async (req, res) => {
+    try {
+        const query = req.query.status ? { status: req.query.status } : {};
+        const campaigns = await Campaign.find(query).sort({ createdAt: -1 });
+
+        return successResponse(res, campaigns.map(toPublicCampaign), 'Campaigns retrieved successfully');
+
+    } catch (err) {
+        console.error('Get all campaigns error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /campaigns/{campaignId}:
+ *   get:
+ *     summary: Get a campaign with its open round (public - no auth required)
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Campaign retrieved successfully
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:campaignId', async (req, res) => {
+    try {
+        const campaign = await Campaign.findById(req.params.campaignId);
+        if (!campaign || campaign.status === 'draft') {
+            return notFoundResponse(res, 'Campaign');
+        }
+
+        const currentRound = await Round.findOne({ campaignId: campaign._id, status: 'open' })
+            .select('-entrySnapshot')
+            .sort({ startDate: -1 });
+
+        return successResponse(res, {
+            ...toPublicCampaign(campaign),
+            currentRound,
+            upcomingDraws: await getUpcomingDraws(campaign._id)
+        }, 'Campaign retrieved successfully');
+
+    } catch (err) {
+        console.error('Get campaign error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /campaigns/admin:
+ *   post:
+ *     summary: Create a campaign (SuperAdmin only)
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [draft, active, paused, ended]
+ *               currentPrize:
+ *                 type: string
+ *               prizeDescription:
+ *                 type: string
+ *               entrySources:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [store_purchase, purchase_code, free_entry]
+ *               maxEntriesPerUser:
+ *                 type: number
+ *               autoSpinEnabled:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Campaign created successfully
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/admin', auth, superadmin, async (req, res) => {
+    try {
+        if (!req.body.name) {
+            return validationErrorResponse(res, 'Name is required');
+        }
+
+        const campaign = new Campaign({ createdBy: req.user.id, updatedBy: req.user.id });
+        const validationError = applyCampaignFields(campaign, req.body);
+        if (validationError) {
+            return validationErrorResponse(res, validationError);
+        }
+
+        await campaign.save();
+
+        return successResponse(res, toPublicCampaign(campaign), 'Campaign created successfully', 201);
+
+    } catch (err) {
+        console.error('Create campaign error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /campaigns/admin/{campaignId}:
+ *   put:
+ *     summary: Update a campaign's settings or start its countdown (SuperAdmin only)
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Campaign ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [draft, active, paused, ended]
+ *               currentPrize:
+ *                 type: string
+ *               prizeDescription:
+ *                 type: string
+ *               entrySources:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [store_purchase, purchase_code, free_entry]
+ *               maxEntriesPerUser:
+ *                 type: number
+ *               autoSpinEnabled:
+ *                 type: boolean
+ *               countdownMinutes:
+ *                 type: number
+ *                 description: Start a countdown of this many minutes (commits the draw seed)
+ *     responses:
+ *       200:
+ *         description: Campaign updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Campaign not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.put('/admin/:campaignId', auth, superadmin, async (req, res) => {
+    try {
+        const campaign = await Campaign.findById(req.params.campaignId).select('+serverSeed');
+        if (!campaign) {
+            return notFoundResponse(res, 'Campaign');
+        }
+
+        const validationError = applyCampaignFields(campaign, req.body);
+        if (validationError) {
+            return validationErrorResponse(res, validationError);
+        }
+
+        const { countdownMinutes } = req.body;
+        if (countdownMinutes !== undefined) {
+            if (typeof countdownMinutes !== 'number' || countdownMinutes <= 0) {
+                return validationErrorResponse(res, 'Countdown minutes must be a positive number');
+            }
+            if (campaign.status !== 'active') {
+                return errorResponse(res, 'Only active campaigns can start a countdown', 'Campaign not active', 400);
+            }
+            if (await DrawSchedule.exists({ active: true, campaignId: campaign._id })) {
+                return errorResponse(res, 'The campaign follows a recurring draw schedule; skip or postpone its occurrences instead', 'Draw schedule active', 400);
+            }
+            startGameCountdown(campaign, countdownMinutes);
+        }
+
+        campaign.updatedBy = req.user.id;
+        await campaign.save();
+
+        // Schedule (or cancel) the campaign's automatic draw at gameEndTime
+        await syncScheduledDraw(campaign, req.user.id, { campaignId: campaign._id });
+
+        const publicCampaign = toPublicCampaign(campaign);
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to(getWheelRoom(campaign._id)).emit('campaign-updated', publicCampaign);
+            io.to('admin').emit('campaign-updated', publicCampaign);
+        }
+
+        return successResponse(res, publicCampaign, 'Campaign updated successfully');
+
+    } catch (err) {
+        console.error('Update campaign error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /campaigns/admin/{campaignId}/spin:
+ *   post:
+ *     summary: Spin a campaign's wheel (SuperAdmin only)
+ *     description: Draws the campaign's current round exactly like /wheel/spin draws the main wheel's, and broadcasts to the campaign's socket room.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Campaign ID
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Repeating a request with the same key returns the original result instead of spinning again
+ *     responses:
+ *       200:
+ *         description: Spin completed successfully
+ *       400:
+ *         description: No entries to draw
+ *       404:
+ *         description: Campaign not found
+ *       403:
+ *         description: SuperAdmin access required
+ *       409:
+ *         description: A spin is already in progress
+ */
+router.post('/admin/:campaignId/spin', auth, superadmin, async (req, res) => {
+    try {
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (idempotencyKey !== undefined && (!idempotencyKey.trim() || idempotencyKey.length > 255)) {
+            return validationErrorResponse(res, 'Idempotency-Key must be between 1 and 255 characters');
+        }
+
+        const result = await executeSpin({
+            triggeredBy: req.user.id,
+            spinType: 'manual',
+            io: req.app.get('io'),
+            idempotencyKey,
+            campaignId: req.params.campaignId
+        });
+
+        if (result.replayed) {
+            res.set('Idempotent-Replayed', 'true');
+        }
+
+        return successResponse(res, result, result.replayed ? 'Spin already completed for this idempotency key' : 'Spin completed successfully');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Campaign spin error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+module.exports = router;
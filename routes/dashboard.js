@@ -5,7 +5,9 @@ const User = require('../models/User');
 const Winner = require('../models/Winner');
 const Spin = require('../models/Spin');
 const GameSettings = require('../models/GameSettings');
+const Round = require('../models/Round');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
+const { applyEligibilityRules, describeRules } = require('../utils/eligibilityHelper');
 
 /**
  * @swagger
@@ -24,7 +26,7 @@ const { successResponse, errorResponse } = require('../utils/responseHelper');
 router.get('/', auth, async (req, res) => {
     try {
         const user = await User.findById(req.user.id)
-            .select('-password -resetPasswordToken -resetPasswordExpires');
+            .select('-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken -emailVerificationExpires');
 
         if (!user) {
             return res.status(404).json({
@@ -41,7 +43,7 @@ router.get('/', auth, async (req, res) => {
         }
 
         // Get latest winner
-        const latestWinner = await Winner.findOne()
+        const latestWinner = await Winner.findOne({ claimStatus: { $ne: 'voided' } })
             .populate('userId', 'name instagramHandle')
             .populate('spinId', 'spinId spinTime')
             .sort({ winDate: -1 });
@@ -56,10 +58,18 @@ router.get('/', auth, async (req, res) => {
             .sort({ winDate: -1 })
             .limit(5);
 
+        // Whether the user can win the open round, and if not why (they can still browse)
+        const openRound = await Round.findOne({ status: 'open', campaignId: null }).sort({ startDate: -1 }).select('_id title');
+        const { excluded } = await applyEligibilityRules(
+            [{ userId: user._id, userName: user.name, entryCount: user.totalEntries }],
+            { roundId: openRound ? openRound._id : undefined }
+        );
+        const ineligibleRules = excluded.length > 0 ? excluded[0].rules : [];
+
         // Get wheel statistics
         const totalUsers = await User.countDocuments({ role: 'user', blocked: false });
         const totalSpins = await Spin.countDocuments({ status: 'completed' });
-        const totalWinners = await Winner.countDocuments();
+        const totalWinners = await Winner.countDocuments({ claimStatus: { $ne: 'voided' } });
         const totalEntries = await User.aggregate([
             { $match: { role: 'user', blocked: false } },
             { $group: { _id: null, total: { $sum: '$totalEntries' } } }
@@ -95,10 +105,19 @@ router.get('/', auth, async (req, res) => {
                 spinId: latestWinner.spinId ? latestWinner.spinId.spinId : null
             } : null,
             isCurrentUserWinner,
+            eligibility: {
+                roundId: openRound ? openRound._id : null,
+                roundTitle: openRound ? openRound.title : null,
+                eligible: ineligibleRules.length === 0,
+                reasons: describeRules(ineligibleRules)
+            },
             userWins: userWins.map(win => ({
+                winnerId: win._id,
                 winDate: win.winDate,
                 prize: win.prize,
-                spinId: win.spinId ? win.spinId.spinId : null
+                spinId: win.spinId ? win.spinId.spinId : null,
+                claimStatus: win.claimStatus,
+                claimDeadline: win.claimDeadline
             })),
             statistics: {
                 totalUsers,
@@ -186,7 +205,7 @@ router.get('/winners', auth, async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 10;
 
-        const recentWinners = await Winner.find()
+        const recentWinners = await Winner.find({ claimStatus: { $ne: 'voided' } })
             .populate('userId', 'name instagramHandle')
             .populate('spinId', 'spinId spinTime')
             .sort({ winDate: -1 })
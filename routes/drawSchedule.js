@@ -0,0 +1,499 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const superadmin = require('../middleware/superadmin');
+const DrawSchedule = require('../models/DrawSchedule');
+const ScheduledDraw = require('../models/ScheduledDraw');
+const { findCampaign } = require('../utils/campaignHelper');
+const { applyScheduleFields, listOccurrences, findRuleOccurrence, formatZonedTime } = require('../utils/scheduleHelper');
+const { syncDrawSchedule } = require('../services/drawScheduler');
+const { successResponse, errorResponse, validationErrorResponse, notFoundResponse } = require('../utils/responseHelper');
+
+// A schedule with its next draws, as local times in its time zone
+const toScheduleResponse = (schedule) => {
+    return {
+        ...schedule.toObject(),
+        upcoming: listOccurrences(schedule).map(draw => ({
+            ...draw,
+            localTime: formatZonedTime(draw.runAt, schedule.timeZone)
+        }))
+    };
+};
+
+// Only one active schedule can drive a wheel's countdown
+const hasOtherActiveSchedule = (schedule) => {
+    return DrawSchedule.exists({ _id: { $ne: schedule._id }, active: true, campaignId: schedule.campaignId || null });
+};
+
+// Parse the occurrence an exception refers to and check it has not been drawn yet
+const resolveOccurrence = async (schedule, value) => {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) {
+        return { error: 'Occurrence must be a valid date' };
+    }
+
+    const { occurrence, following } = findRuleOccurrence(schedule, date);
+
+    const existing = schedule.exceptions.find(exception => exception.occurrence.getTime() === occurrence.getTime());
+    const runAt = existing && existing.action === 'postpone' ? existing.postponedTo : occurrence;
+    const drawn = await ScheduledDraw.exists({
+        drawScheduleId: schedule._id,
+        occurrence,
+        status: { $in: ['running', 'completed'] }
+    });
+    if (drawn || runAt <= new Date()) {
+        return { error: 'This occurrence has already been drawn', title: 'Occurrence passed', statusCode: 409 };
+    }
+
+    return { occurrence, following };
+};
+
+// Replace any earlier skip or postponement of the same occurrence
+const setException = (schedule, exception) => {
+    schedule.exceptions = schedule.exceptions.filter(existing => existing.occurrence.getTime() !== exception.occurrence.getTime());
+    schedule.exceptions.push(exception);
+};
+
+/**
+ * @swagger
+ * /draw-schedules/admin:
+ *   get:
+ *     summary: Get recurring draw schedules with their upcoming draws (SuperAdmin only)
+ *     tags: [Draw Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *         description: Only this campaign's schedules (omit for every wheel)
+ *     responses:
+ *       200:
+ *         description: Draw schedules retrieved successfully
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.get('/admin', auth, superadmin, async (req, res) => {
+    try {
+        const query = req.query.campaignId ? { campaignId: req.query.campaignId } : {};
+        const schedules = await DrawSchedule.find(query).sort({ active: -1, createdAt: -1 });
+
+        return successResponse(res, schedules.map(toScheduleResponse), 'Draw schedules retrieved successfully');
+
+    } catch (err) {
+        console.error('Get draw schedules error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /draw-schedules/admin:
+ *   post:
+ *     summary: Create a recurring draw schedule (SuperAdmin only)
+ *     description: >
+ *       Draws the wheel at every occurrence of the rule, e.g. every Friday at 20:00 Europe/London.
+ *       Times follow the time zone's daylight saving changes. Before each occurrence the wheel's
+ *       countdown is set to it, the draw seed is committed and the next round is opened.
+ *     tags: [Draw Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - frequency
+ *               - time
+ *               - timeZone
+ *             properties:
+ *               name:
+ *                 type: string
+ *               campaignId:
+ *                 type: string
+ *                 description: Campaign wheel to draw (omit for the main wheel)
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly, monthly]
+ *               daysOfWeek:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: Weekly schedules, 0 (Sunday) to 6 (Saturday)
+ *               dayOfMonth:
+ *                 type: number
+ *                 description: Monthly schedules; shorter months draw on their last day
+ *               time:
+ *                 type: string
+ *                 example: "20:00"
+ *               timeZone:
+ *                 type: string
+ *                 example: Europe/London
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Draw schedule created successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: The wheel already has an active schedule
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/admin', auth, superadmin, async (req, res) => {
+    try {
+        const { campaignId } = req.body;
+        const campaign = campaignId ? await findCampaign(campaignId) : null;
+
+        const schedule = new DrawSchedule({
+            campaignId: campaign ? campaign._id : undefined,
+            createdBy: req.user.id,
+            updatedBy: req.user.id
+        });
+
+        const validationError = applyScheduleFields(schedule, req.body);
+        if (validationError) {
+            return validationErrorResponse(res, validationError);
+        }
+
+        if (schedule.active && await hasOtherActiveSchedule(schedule)) {
+            return errorResponse(res, 'This wheel already has an active draw schedule', 'Schedule conflict', 409);
+        }
+
+        await schedule.save();
+        await syncDrawSchedule(schedule, req.app.get('io'));
+
+        return successResponse(res, toScheduleResponse(schedule), 'Draw schedule created successfully', 201);
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Create draw schedule error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /draw-schedules/admin/{scheduleId}:
+ *   put:
+ *     summary: Update a draw schedule's rule, or pause it with active false (SuperAdmin only)
+ *     description: The pending draw is moved to the new rule's next occurrence; skips and postponements are kept.
+ *     tags: [Draw Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Draw schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly, monthly]
+ *               daysOfWeek:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *               dayOfMonth:
+ *                 type: number
+ *               time:
+ *                 type: string
+ *               timeZone:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Draw schedule updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Draw schedule not found
+ *       409:
+ *         description: The wheel already has an active schedule
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.put('/admin/:scheduleId', auth, superadmin, async (req, res) => {
+    try {
+        const schedule = await DrawSchedule.findById(req.params.scheduleId);
+        if (!schedule) {
+            return notFoundResponse(res, 'Draw schedule');
+        }
+
+        const validationError = applyScheduleFields(schedule, req.body);
+        if (validationError) {
+            return validationErrorResponse(res, validationError);
+        }
+
+        if (schedule.active && await hasOtherActiveSchedule(schedule)) {
+            return errorResponse(res, 'This wheel already has an active draw schedule', 'Schedule conflict', 409);
+        }
+
+        schedule.updatedBy = req.user.id;
+        await schedule.save();
+        await syncDrawSchedule(schedule, req.app.get('io'));
+
+        return successResponse(res, toScheduleResponse(schedule), 'Draw schedule updated successfully');
+
+    } catch (err) {
+        console.error('Update draw schedule error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /draw-schedules/admin/{scheduleId}/skip:
+ *   post:
+ *     summary: Skip one occurrence of a draw schedule (SuperAdmin only)
+ *     description: The rest of the series is unchanged. Replaces an earlier postponement of the same occurrence.
+ *     tags: [Draw Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Draw schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - occurrence
+ *             properties:
+ *               occurrence:
+ *                 type: string
+ *                 format: date-time
+ *                 description: The occurrence as listed in the schedule's upcoming draws
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Occurrence skipped successfully
+ *       400:
+ *         description: Not an occurrence of this schedule
+ *       404:
+ *         description: Draw schedule not found
+ *       409:
+ *         description: The occurrence has already been drawn
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/admin/:scheduleId/skip', auth, superadmin, async (req, res) => {
+    try {
+        const schedule = await DrawSchedule.findById(req.params.scheduleId);
+        if (!schedule) {
+            return notFoundResponse(res, 'Draw schedule');
+        }
+
+        const { occurrence, error, title, statusCode } = await resolveOccurrence(schedule, req.body.occurrence);
+        if (error) {
+            return statusCode ? errorResponse(res, error, title, statusCode) : validationErrorResponse(res, error);
+        }
+
+        setException(schedule, {
+            occurrence,
+            action: 'skip',
+            reason: req.body.reason,
+            createdBy: req.user.id
+        });
+        schedule.updatedBy = req.user.id;
+        await schedule.save();
+        await syncDrawSchedule(schedule, req.app.get('io'));
+
+        return successResponse(res, toScheduleResponse(schedule), 'Occurrence skipped successfully');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Skip draw occurrence error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /draw-schedules/admin/{scheduleId}/postpone:
+ *   post:
+ *     summary: Postpone one occurrence of a draw schedule (SuperAdmin only)
+ *     description: Moves a single draw to a later time before the following occurrence; the rest of the series is unchanged.
+ *     tags: [Draw Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Draw schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - occurrence
+ *               - postponeTo
+ *             properties:
+ *               occurrence:
+ *                 type: string
+ *                 format: date-time
+ *                 description: The occurrence as listed in the schedule's upcoming draws
+ *               postponeTo:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Occurrence postponed successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Draw schedule not found
+ *       409:
+ *         description: The occurrence has already been drawn
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/admin/:scheduleId/postpone', auth, superadmin, async (req, res) => {
+    try {
+        const schedule = await DrawSchedule.findById(req.params.scheduleId);
+        if (!schedule) {
+            return notFoundResponse(res, 'Draw schedule');
+        }
+
+        const { occurrence, following, error, title, statusCode } = await resolveOccurrence(schedule, req.body.occurrence);
+        if (error) {
+            return statusCode ? errorResponse(res, error, title, statusCode) : validationErrorResponse(res, error);
+        }
+
+        const postponeTo = new Date(req.body.postponeTo);
+        if (!req.body.postponeTo || isNaN(postponeTo.getTime())) {
+            return validationErrorResponse(res, 'postponeTo must be a valid date');
+        }
+        if (postponeTo <= occurrence || postponeTo <= new Date()) {
+            return validationErrorResponse(res, 'postponeTo must be later than the occurrence and in the future');
+        }
+        if (following && postponeTo >= following) {
+            return validationErrorResponse(res, `postponeTo must be before the following occurrence (${following.toISOString()})`);
+        }
+
+        setException(schedule, {
+            occurrence,
+            action: 'postpone',
+            postponedTo: postponeTo,
+            reason: req.body.reason,
+            createdBy: req.user.id
+        });
+        schedule.updatedBy = req.user.id;
+        await schedule.save();
+        await syncDrawSchedule(schedule, req.app.get('io'));
+
+        return successResponse(res, toScheduleResponse(schedule), 'Occurrence postponed successfully');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Postpone draw occurrence error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /draw-schedules/admin/{scheduleId}/exceptions/{exceptionId}:
+ *   delete:
+ *     summary: Undo a skip or postponement (SuperAdmin only)
+ *     description: The occurrence goes back to the time given by the rule, unless that has already passed.
+ *     tags: [Draw Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Draw schedule ID
+ *       - in: path
+ *         name: exceptionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Exception ID
+ *     responses:
+ *       200:
+ *         description: Exception removed successfully
+ *       404:
+ *         description: Draw schedule or exception not found
+ *       409:
+ *         description: The occurrence has already been drawn
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.delete('/admin/:scheduleId/exceptions/:exceptionId', auth, superadmin, async (req, res) => {
+    try {
+        const schedule = await DrawSchedule.findById(req.params.scheduleId);
+        if (!schedule) {
+            return notFoundResponse(res, 'Draw schedule');
+        }
+
+        const exception = mongoose.isValidObjectId(req.params.exceptionId) ? schedule.exceptions.id(req.params.exceptionId) : null;
+        if (!exception) {
+            return notFoundResponse(res, 'Exception');
+        }
+
+        const drawn = await ScheduledDraw.exists({
+            drawScheduleId: schedule._id,
+            occurrence: exception.occurrence,
+            status: { $in: ['running', 'completed'] }
+        });
+        if (drawn) {
+            return errorResponse(res, 'This occurrence has already been drawn', 'Occurrence passed', 409);
+        }
+
+        exception.deleteOne();
+        schedule.updatedBy = req.user.id;
+        await schedule.save();
+        await syncDrawSchedule(schedule, req.app.get('io'));
+
+        return successResponse(res, toScheduleResponse(schedule), 'Exception removed successfully');
+
+    } catch (err) {
+        console.error('Remove draw exception error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+module.exports = router;
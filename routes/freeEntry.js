@@ -0,0 +1,522 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const superadmin = require('../middleware/superadmin');
+const FreeEntryRequest = require('../models/FreeEntryRequest');
+const GameSettings = require('../models/GameSettings');
+const User = require('../models/User');
+const EntryTransaction = require('../models/EntryTransaction');
+const { getOpenRound } = require('../utils/roundHelper');
+const { findCampaign, assertAcceptsEntries } = require('../utils/campaignHelper');
+const { awardEntries } = require('../services/entryService');
+const { successResponse, errorResponse, validationErrorResponse, notFoundResponse } = require('../utils/responseHelper');
+
+const DEFAULT_FREE_ENTRY_SETTINGS = {
+    enabled: true,
+    entriesPerRequest: 1,
+    maxRequestsPerRound: 1,
+    maxRequestsPerDay: 1
+};
+
+const getFreeEntrySettings = async () => {
+    const gameSettings = await GameSettings.findOne();
+    return { ...DEFAULT_FREE_ENTRY_SETTINGS, ...(gameSettings?.freeEntry?.toObject ? gameSettings.freeEntry.toObject() : {}) };
+};
+
+// Requests that count towards a user's per-round limit (rejected ones do not)
+const countRoundRequests = (userId, roundId) => {
+    return FreeEntryRequest.countDocuments({ userId, roundId, status: { $in: ['pending', 'approved'] } });
+};
+
+/**
+ * @swagger
+ * /free-entries:
+ *   post:
+ *     summary: Request a free entry, no purchase necessary (rate limited)
+ *     tags: [Free Entries]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fullName]
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               mailingAddress:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               campaignId:
+ *                 type: string
+ *                 description: Campaign to enter (main wheel if omitted)
+ *     responses:
+ *       201:
+ *         description: Free entry request submitted for review
+ *       400:
+ *         description: Bad request or per-round limit reached
+ *       403:
+ *         description: Free entries are disabled
+ *       429:
+ *         description: Too many requests today
+ */
+router.post('/', auth, async (req, res) => {
+    try {
+        const { fullName, mailingAddress, message, campaignId } = req.body;
+
+        if (!fullName || !fullName.trim()) {
+            return validationErrorResponse(res, 'Full name is required');
+        }
+
+        const settings = await getFreeEntrySettings();
+        if (!settings.enabled) {
+            return errorResponse(res, 'Free entry requests are not being accepted right now', 'Free entries disabled', 403);
+        }
+
+        const user = await User.findById(req.user.id).select('name role blocked');
+        if (!user) {
+            return notFoundResponse(res, 'User');
+        }
+        if (user.role !== 'user' || user.blocked) {
+            return errorResponse(res, 'This account cannot request free entries', 'Not allowed', 403);
+        }
+
+        // Rate limit online submissions per user per rolling day
+        const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const recentRequests = await FreeEntryRequest.countDocuments({ userId: user._id, channel: 'online', createdAt: { $gte: since } });
+        if (recentRequests >= settings.maxRequestsPerDay) {
+            return errorResponse(res, `You can submit ${settings.maxRequestsPerDay} free entry request(s) per day`, 'Too many requests', 429);
+        }
+
+        const campaign = campaignId ? await findCampaign(campaignId) : null;
+        if (campaign) {
+            assertAcceptsEntries(campaign, 'free_entry');
+        }
+
+        const round = await getOpenRound(campaign);
+        if (await countRoundRequests(user._id, round._id) >= settings.maxRequestsPerRound) {
+            return errorResponse(res, `You can submit ${settings.maxRequestsPerRound} free entry request(s) per round`, 'Round limit reached', 400);
+        }
+
+        const request = new FreeEntryRequest({
+            userId: user._id,
+            userName: user.name,
+            campaignId: campaign ? campaign._id : undefined,
+            roundId: round._id,
+            channel: 'online',
+            fullName: fullName.trim(),
+            mailingAddress,
+            message,
+            submittedBy: user._id,
+            entriesRequested: settings.entriesPerRequest,
+            auditTrail: [{ action: 'submitted', actorId: user._id }]
+        });
+        await request.save();
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to('admin').emit('free-entry-requested', { requestId: request._id, userName: user.name, channel: 'online' });
+        }
+
+        return successResponse(res, request, 'Free entry request submitted for review', 201);
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Submit free entry request error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /free-entries/mine:
+ *   get:
+ *     summary: Get the current user's free entry requests
+ *     tags: [Free Entries]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Free entry requests retrieved successfully
+ */
+router.get('/mine', auth, async (req, res) => {
+    try {
+        const requests = await FreeEntryRequest.find({ userId: req.user.id })
+            .select('-auditTrail -submittedBy -reviewedBy')
+            .sort({ createdAt: -1 });
+
+        return successResponse(res, requests, 'Free entry requests retrieved successfully');
+
+    } catch (err) {
+        console.error('Get my free entry requests error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /free-entries/admin:
+ *   get:
+ *     summary: Get the free entry review queue (SuperAdmin only)
+ *     tags: [Free Entries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         description: Filter by status (default pending, oldest first)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Free entry requests retrieved successfully
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.get('/admin', auth, superadmin, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+        const query = { status: req.query.status || 'pending' };
+
+        const requests = await FreeEntryRequest.find(query)
+            .populate('userId', 'name email instagramHandle country')
+            .populate('auditTrail.actorId', 'name email')
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(limit);
+
+        const totalRequests = await FreeEntryRequest.countDocuments(query);
+
+        return successResponse(res, {
+            requests,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRequests / limit),
+                totalRequests,
+                hasNext: page < Math.ceil(totalRequests / limit),
+                hasPrev: page > 1
+            }
+        }, 'Free entry requests retrieved successfully');
+
+    } catch (err) {
+        console.error('Get free entry queue error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /free-entries/admin:
+ *   post:
+ *     summary: Log a mailed free entry request for a user (SuperAdmin only)
+ *     tags: [Free Entries]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId, fullName]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               fullName:
+ *                 type: string
+ *               mailingAddress:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               postmarkedAt:
+ *                 type: string
+ *                 format: date-time
+ *               campaignId:
+ *                 type: string
+ *                 description: Campaign the request enters (main wheel if omitted)
+ *     responses:
+ *       201:
+ *         description: Mailed request logged for review
+ *       400:
+ *         description: Bad request or per-round limit reached
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/admin', auth, superadmin, async (req, res) => {
+    try {
+        const { userId, fullName, mailingAddress, message, postmarkedAt, campaignId } = req.body;
+
+        if (!userId || !fullName || !fullName.trim()) {
+            return validationErrorResponse(res, 'User ID and full name are required');
+        }
+
+        const user = await User.findById(userId).select('name role');
+        if (!user || user.role !== 'user') {
+            return notFoundResponse(res, 'User');
+        }
+
+        const settings = await getFreeEntrySettings();
+        const campaign = campaignId ? await findCampaign(campaignId) : null;
+        if (campaign) {
+            assertAcceptsEntries(campaign, 'free_entry');
+        }
+
+        const round = await getOpenRound(campaign);
+        if (await countRoundRequests(user._id, round._id) >= settings.maxRequestsPerRound) {
+            return errorResponse(res, `This user already has ${settings.maxRequestsPerRound} free entry request(s) this round`, 'Round limit reached', 400);
+        }
+
+        const request = new FreeEntryRequest({
+            userId: user._id,
+            userName: user.name,
+            campaignId: campaign ? campaign._id : undefined,
+            roundId: round._id,
+            channel: 'mail',
+            fullName: fullName.trim(),
+            mailingAddress,
+            message,
+            postmarkedAt,
+            submittedBy: req.user.id,
+            entriesRequested: settings.entriesPerRequest,
+            auditTrail: [{ action: 'logged', actorId: req.user.id, note: 'Mailed request logged by staff' }]
+        });
+        await request.save();
+
+        return successResponse(res, request, 'Mailed request logged for review', 201);
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Log free entry request error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /free-entries/admin/{requestId}/approve:
+ *   post:
+ *     summary: Approve a free entry request and grant its entries to the current round (SuperAdmin only)
+ *     tags: [Free Entries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Free entry request ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request approved and entries granted
+ *       400:
+ *         description: Request already reviewed or round limit reached
+ *       404:
+ *         description: Request not found
+ *       403:
+ *         description: SuperAdmin access required
+ *       409:
+ *         description: The user's entries are being updated; the request stays pending and can be approved again
+ */
+router.post('/admin/:requestId/approve', auth, superadmin, async (req, res) => {
+    try {
+        const { note } = req.body || {};
+
+        const pending = await FreeEntryRequest.findById(req.params.requestId);
+        if (!pending) {
+            return notFoundResponse(res, 'Free entry request');
+        }
+        if (pending.status !== 'pending') {
+            return errorResponse(res, `This request was already ${pending.status}`, 'Request already reviewed', 400);
+        }
+
+        // Entries go to the round of the request's wheel that is open now, within its per-round limit
+        const settings = await getFreeEntrySettings();
+        const campaign = pending.campaignId ? await findCampaign(pending.campaignId) : null;
+        if (campaign) {
+            assertAcceptsEntries(campaign, 'free_entry');
+        }
+        const round = await getOpenRound(campaign);
+        const approvedThisRound = await FreeEntryRequest.countDocuments({ userId: pending.userId, grantedRoundId: round._id, status: 'approved' });
+        if (approvedThisRound >= settings.maxRequestsPerRound) {
+            return errorResponse(res, 'This user has already received the maximum free entries for this round', 'Round limit reached', 400);
+        }
+
+        // Only one reviewer can take the request from pending
+        const request = await FreeEntryRequest.findOneAndUpdate(
+            { _id: pending._id, status: 'pending' },
+            {
+                status: 'approved',
+                reviewedBy: req.user.id,
+                reviewedAt: new Date(),
+                reviewNote: note,
+                grantedRoundId: round._id,
+                $push: { auditTrail: { action: 'approved', actorId: req.user.id, note } }
+            },
+            { new: true }
+        );
+        if (!request) {
+            return errorResponse(res, 'This request was already reviewed', 'Request already reviewed', 400);
+        }
+
+        let entryAward;
+        try {
+            entryAward = await awardEntries({
+                userId: request.userId,
+                source: 'free_entry',
+                requested: request.entriesRequested || settings.entriesPerRequest,
+                sourceType: 'FreeEntryRequest',
+                sourceId: request._id,
+                actorId: req.user.id,
+                round,
+                campaign
+            });
+        } catch (error) {
+            // Nothing was granted: put the request back in the queue so it can be approved again
+            const granted = await EntryTransaction.exists({ sourceType: 'FreeEntryRequest', sourceId: request._id });
+            if (!granted) {
+                await FreeEntryRequest.updateOne(
+                    { _id: request._id, status: 'approved' },
+                    {
+                        status: 'pending',
+                        $unset: { reviewedBy: 1, reviewedAt: 1, reviewNote: 1, grantedRoundId: 1 },
+                        $pop: { auditTrail: 1 }
+                    }
+                );
+            }
+            throw error;
+        }
+
+        request.entriesGranted = entryAward.granted;
+        request.entryTransactionId = entryAward.transaction ? entryAward.transaction._id : undefined;
+        request.auditTrail.push({
+            action: entryAward.clipped > 0 ? 'entries_clipped' : 'entries_granted',
+            actorId: req.user.id,
+            note: entryAward.message
+        });
+        await request.save();
+
+        return successResponse(res, {
+            request,
+            entryAward: {
+                requested: entryAward.requested,
+                granted: entryAward.granted,
+                clipped: entryAward.clipped,
+                clippedBy: entryAward.clippedBy,
+                message: entryAward.message
+            },
+            newTotalEntries: entryAward.balance
+        }, 'Free entry request approved');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Approve free entry request error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /free-entries/admin/{requestId}/reject:
+ *   post:
+ *     summary: Reject a free entry request (SuperAdmin only)
+ *     tags: [Free Entries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Free entry request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Reason for rejecting, kept in the audit trail
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       400:
+ *         description: Missing reason or request already reviewed
+ *       404:
+ *         description: Request not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/admin/:requestId/reject', auth, superadmin, async (req, res) => {
+    try {
+        const { note } = req.body || {};
+
+        if (!note || !note.trim()) {
+            return validationErrorResponse(res, 'A reason is required to reject a request');
+        }
+
+        const request = await FreeEntryRequest.findOneAndUpdate(
+            { _id: req.params.requestId, status: 'pending' },
+            {
+                status: 'rejected',
+                reviewedBy: req.user.id,
+                reviewedAt: new Date(),
+                reviewNote: note.trim(),
+                $push: { auditTrail: { action: 'rejected', actorId: req.user.id, note: note.trim() } }
+            },
+            { new: true }
+        );
+
+        if (!request) {
+            const exists = await FreeEntryRequest.exists({ _id: req.params.requestId });
+            if (!exists) {
+                return notFoundResponse(res, 'Free entry request');
+            }
+            return errorResponse(res, 'This request was already reviewed', 'Request already reviewed', 400);
+        }
+
+        return successResponse(res, request, 'Free entry request rejected');
+
+    } catch (err) {
+        console.error('Reject free entry request error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const superadmin = require('../middleware/superadmin');
+const Prize = require('../models/Prize');
+const Round = require('../models/Round');
+const { successResponse, errorResponse, validationErrorResponse, notFoundResponse } = require('../utils/responseHelper');
+
+/**
+ * @swagger
+ * /prizes:
+ *   get:
+ *     summary: Get the prize catalog (public - no auth required)
+ *     tags: [Prizes]
+ *     parameters:
+ *       - in: query
+ *         name: roundId
+ *         schema:
+ *           type: string
+ *         description: Only prizes given away in this round
+ *     responses:
+ *       200:
+ *         description: Prizes retrieved successfully
+ */
+router.get('/', async (req, res) => {
+    try {
+        const query = { active: true };
+        if (req.query.roundId) {
+            query.roundId = req.query.roundId;
+        }
+
+        const prizes = await Prize.find(query)
+            .select('-__v')
+            .sort({ tier: 1, value: -1 });
+
+        return successResponse(res, prizes, 'Prizes retrieved successfully');
+
+    } catch (err) {
+        console.error('Get prizes error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /prizes/admin:
+ *   post:
+ *     summary: Add a prize to the catalog (SuperAdmin only)
+ *     tags: [Prizes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               image:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *                 description: Number of winners drawn for this prize
+ *               value:
+ *                 type: number
+ *               tier:
+ *                 type: number
+ *                 description: Draw order, 1 is the grand prize
+ *               roundId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Prize created successfully
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/admin', auth, superadmin, async (req, res) => {
+    try {
+        const { name, description, image, quantity = 1, value = 0, tier = 1, roundId } = req.body;
+
+        if (!name) {
+            return validationErrorResponse(res, 'Prize name is required');
+        }
+
+        if (quantity < 1 || tier < 1) {
+            return validationErrorResponse(res, 'Quantity and tier must be at least 1');
+        }
+
+        if (roundId) {
+            const round = await Round.findById(roundId);
+            if (!round) {
+                return notFoundResponse(res, 'Round');
+            }
+            if (round.status === 'drawn') {
+                return errorResponse(res, 'Prizes cannot be added to a drawn round', 'Round drawn', 400);
+            }
+        }
+
+        const prize = new Prize({
+            name,
+            description,
+            image,
+            quantity,
+            value,
+            tier,
+            roundId
+        });
+
+        await prize.save();
+
+        return successResponse(res, prize, 'Prize created successfully', 201);
+
+    } catch (err) {
+        console.error('Create prize error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /prizes/admin/{prizeId}:
+ *   put:
+ *     summary: Update a prize (SuperAdmin only)
+ *     tags: [Prizes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: prizeId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Prize ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               image:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               value:
+ *                 type: number
+ *               tier:
+ *                 type: number
+ *               roundId:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Prize updated successfully
+ *       404:
+ *         description: Prize not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.put('/admin/:prizeId', auth, superadmin, async (req, res) => {
+    try {
+        const prize = await Prize.findById(req.params.prizeId);
+        if (!prize) {
+            return notFoundResponse(res, 'Prize');
+        }
+
+        const allowedFields = ['name', 'description', 'image', 'quantity', 'value', 'tier', 'roundId', 'active'];
+        allowedFields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                prize[field] = req.body[field];
+            }
+        });
+
+        if (prize.quantity < prize.awarded) {
+            return validationErrorResponse(res, 'Quantity cannot be lower than the number already awarded');
+        }
+
+        await prize.save();
+
+        return successResponse(res, prize, 'Prize updated successfully');
+
+    } catch (err) {
+        console.error('Update prize error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /prizes/admin/{prizeId}:
+ *   delete:
+ *     summary: Delete a prize that has not been awarded (SuperAdmin only)
+ *     tags: [Prizes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: prizeId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Prize ID
+ *     responses:
+ *       200:
+ *         description: Prize deleted successfully
+ *       400:
+ *         description: Prize already awarded
+ *       404:
+ *         description: Prize not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.delete('/admin/:prizeId', auth, superadmin, async (req, res) => {
+    try {
+        const prize = await Prize.findById(req.params.prizeId);
+        if (!prize) {
+            return notFoundResponse(res, 'Prize');
+        }
+
+        // Awarded prizes are referenced by winner records; deactivate them instead
+        if (prize.awarded > 0) {
+            return errorResponse(res, 'Awarded prizes cannot be deleted, deactivate them instead', 'Prize awarded', 400);
+        }
+
+        await prize.deleteOne();
+
+        return successResponse(res, null, 'Prize deleted successfully');
+
+    } catch (err) {
+        console.error('Delete prize error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+module.exports = router;
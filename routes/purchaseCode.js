@@ -4,7 +4,12 @@ const auth = require('../middleware/auth');
 const superadmin = require('../middleware/superadmin');
 const User = require('../models/User');
 const PurchaseCode = require('../models/PurchaseCode');
+const Campaign = require('../models/Campaign');
 const WheelEntry = require('../models/WheelEntry');
+const EntryTransaction = require('../models/EntryTransaction');
+const { getOpenRound } = require('../utils/roundHelper');
+const { findCampaign } = require('../utils/campaignHelper');
+const { planEntryAward, awardEntries } = require('../services/entryService');
 const { successResponse, errorResponse, validationErrorResponse, notFoundResponse } = require('../utils/responseHelper');
 
 /**
@@ -29,7 +34,7 @@ const { successResponse, errorResponse, validationErrorResponse, notFoundRespons
  *       200:
  *         description: Code verified and entries awarded successfully
  *       400:
- *         description: Invalid code or already used
+ *         description: Invalid code, already used, or the user's entry limits are reached
  *       404:
  *         description: Code not found
  */
@@ -66,22 +71,66 @@ router.post('/verify', auth, async (req, res) => {
             return notFoundResponse(res, 'User not found');
         }
         
-        // Mark code as used
-        purchaseCode.isUsed = true;
-        purchaseCode.usedBy = user._id;
-        purchaseCode.usedDate = new Date();
-        await purchaseCode.save();
+        // Entries from the code count towards the open round of the code's wheel
+        const campaign = purchaseCode.campaignId ? await findCampaign(purchaseCode.campaignId) : null;
+        const round = await getOpenRound(campaign);
+
+        // Keep the code unused when the entry caps (or a closed campaign) leave nothing to award
+        const codeEntries = purchaseCode.entriesAwarded || 10;
+        const plannedAward = await planEntryAward({
+            userId: user._id,
+            source: 'purchase_code',
+            requested: codeEntries,
+            round,
+            campaign
+        });
+        if (plannedAward.granted === 0) {
+            return errorResponse(res, plannedAward.message, 'Entry limit reached', 400);
+        }
         
-        // Award entries to user
-        const entriesAwarded = purchaseCode.entriesAwarded || 10;
-        user.totalEntries += entriesAwarded;
+        // Claim the code; only one redemption can take it from unused
+        const claimed = await PurchaseCode.findOneAndUpdate(
+            { _id: purchaseCode._id, isUsed: false },
+            { isUsed: true, usedBy: user._id, usedDate: new Date(), roundId: round._id },
+            { new: true }
+        );
+        if (!claimed) {
+            return errorResponse(res, 'This purchase code has already been used', 'Code already used', 400);
+        }
+        
+        // Award entries to user, clipped to the configured entry caps
+        let entryAward;
+        try {
+            entryAward = await awardEntries({
+                userId: user._id,
+                source: 'purchase_code',
+                requested: codeEntries,
+                sourceType: 'PurchaseCode',
+                sourceId: claimed._id,
+                actorId: user._id,
+                round,
+                campaign
+            });
+        } catch (error) {
+            // Nothing was granted: give the code back so it can be redeemed again
+            const granted = await EntryTransaction.exists({ sourceType: 'PurchaseCode', sourceId: claimed._id });
+            if (!granted) {
+                await PurchaseCode.updateOne(
+                    { _id: claimed._id, isUsed: true, usedBy: user._id },
+                    { isUsed: false, $unset: { usedBy: 1, usedDate: 1, roundId: 1 } }
+                );
+            }
+            throw error;
+        }
+        const entriesAwarded = entryAward.granted;
         user.totalShirtsPurchased += 1;
         
         // Track code usage
         user.codesUsed.push({
             code: trimmedCode,
             usedDate: new Date(),
-            entriesAwarded: entriesAwarded
+            entriesAwarded: entriesAwarded,
+            roundId: round._id
         });
         user.totalCodesUsed += 1;
         user.totalBonusEntries += entriesAwarded;
@@ -91,6 +140,7 @@ router.post('/verify', auth, async (req, res) => {
         // Create wheel entry record
         const wheelEntry = new WheelEntry({
             userId: user._id,
+            roundId: round._id,
             userName: user.name,
             entryType: 'shirt_purchase',
             shirtQuantity: 1
@@ -99,12 +149,26 @@ router.post('/verify', auth, async (req, res) => {
         
         return successResponse(res, {
             entriesAwarded,
-            newTotalEntries: user.totalEntries,
+            entryAward: {
+                requested: entryAward.requested,
+                granted: entryAward.granted,
+                clipped: entryAward.clipped,
+                clippedBy: entryAward.clippedBy,
+                message: entryAward.message
+            },
+            newTotalEntries: entryAward.balance,
             totalShirtsPurchased: user.totalShirtsPurchased,
-            codeUsed: trimmedCode
-        }, `Successfully verified! You received ${entriesAwarded} entries.`);
+            codeUsed: trimmedCode,
+            campaignId: campaign ? campaign._id : undefined,
+            roundId: round._id
+        }, entryAward.clipped > 0
+            ? `Successfully verified! You received ${entriesAwarded} entries. ${entryAward.message}`
+            : `Successfully verified! You received ${entriesAwarded} entries.`);
         
     } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
         console.error('Verify purchase code error:', err);
         return errorResponse(res, err, 'Server Error');
     }
@@ -209,6 +273,9 @@ router.get('/admin/codes', auth, superadmin, async (req, res) => {
  *               entriesPerCode:
  *                 type: integer
  *                 description: Number of entries each code awards
+ *               campaignId:
+ *                 type: string
+ *                 description: Campaign the codes' entries go to (main wheel if omitted)
  *     responses:
  *       200:
  *         description: Codes generated successfully
@@ -217,11 +284,15 @@ router.get('/admin/codes', auth, superadmin, async (req, res) => {
  */
 router.post('/admin/generate', auth, superadmin, async (req, res) => {
     try {
-        const { count = 50, entriesPerCode = 10 } = req.body;
+        const { count = 50, entriesPerCode = 10, campaignId } = req.body;
         
         if (count < 1 || count > 1000) {
             return validationErrorResponse(res, 'Count must be between 1 and 1000');
         }
+
+        if (campaignId && !(await Campaign.exists({ _id: campaignId }))) {
+            return notFoundResponse(res, 'Campaign');
+        }
         
         const { generateUniqueCode } = require('../seeders/generatePurchaseCodes');
         const codes = [];
@@ -231,7 +302,8 @@ router.post('/admin/generate', auth, superadmin, async (req, res) => {
             codes.push({
                 code,
                 isUsed: false,
-                entriesAwarded: entriesPerCode
+                entriesAwarded: entriesPerCode,
+                campaignId
             });
         }
         
@@ -240,6 +312,7 @@ router.post('/admin/generate', auth, superadmin, async (req, res) => {
         return successResponse(res, {
             generated: count,
             entriesPerCode,
+            campaignId,
             codes: codes.map(c => c.code)
         }, `Successfully generated ${count} new purchase codes`);
         
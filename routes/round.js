@@ -0,0 +1,663 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const superadmin = require('../middleware/superadmin');
+const Round = require('../models/Round');
+const User = require('../models/User');
+const { successResponse, errorResponse, validationErrorResponse, notFoundResponse, forbiddenResponse } = require('../utils/responseHelper');
+const { freezeRoundSnapshot, getRoundEntries } = require('../utils/roundHelper');
+const { isCountryAllowed } = require('../utils/eligibilityHelper');
+const { getWheelRoom } = require('../utils/campaignHelper');
+const Campaign = require('../models/Campaign');
+const CampaignEntry = require('../models/CampaignEntry');
+
+// Trimmed list of country names, or null when the value is not an array of strings
+const parseCountryList = (value) => {
+    if (!Array.isArray(value) || value.some(country => typeof country !== 'string')) {
+        return null;
+    }
+    return value.map(country => country.trim()).filter(Boolean);
+};
+
+/**
+ * @swagger
+ * /rounds:
+ *   get:
+ *     summary: Get giveaway rounds
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, open, closed, drawn, cancelled]
+ *         description: Filter by round status
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *         description: Only rounds of this campaign
+ *     responses:
+ *       200:
+ *         description: Rounds retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', auth, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+        const query = req.query.status ? { status: req.query.status } : {};
+        if (req.query.campaignId) {
+            query.campaignId = req.query.campaignId;
+        }
+
+        const rounds = await Round.find(query)
+            .select('-entrySnapshot')
+            .populate('spinId', 'spinId winner completedAt')
+            .sort({ startDate: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const totalRounds = await Round.countDocuments(query);
+
+        return successResponse(res, {
+            rounds,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRounds / limit),
+                totalRounds,
+                hasNext: page < Math.ceil(totalRounds / limit),
+                hasPrev: page > 1
+            }
+        }, 'Rounds retrieved successfully');
+
+    } catch (err) {
+        console.error('Get rounds error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /rounds/current:
+ *   get:
+ *     summary: Get the currently open round (public - no auth required)
+ *     tags: [Rounds]
+ *     parameters:
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *         description: The campaign's open round instead of the main wheel's
+ *     responses:
+ *       200:
+ *         description: Current round retrieved successfully
+ *       404:
+ *         description: No open round
+ */
+router.get('/current', async (req, res) => {
+    try {
+        const round = await Round.findOne({ status: 'open', campaignId: req.query.campaignId || null })
+            .select('-entrySnapshot')
+            .sort({ startDate: -1 });
+
+        if (!round) {
+            return notFoundResponse(res, 'Open round');
+        }
+
+        return successResponse(res, round, 'Current round retrieved successfully');
+
+    } catch (err) {
+        console.error('Get current round error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /rounds/{roundId}:
+ *   get:
+ *     summary: Get a round with its frozen entry snapshot (SuperAdmin only)
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roundId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Round ID
+ *     responses:
+ *       200:
+ *         description: Round retrieved successfully
+ *       404:
+ *         description: Round not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.get('/:roundId', auth, superadmin, async (req, res) => {
+    try {
+        const round = await Round.findById(req.params.roundId)
+            .populate('spinId', 'spinId winner completedAt')
+            .populate('createdBy', 'name email');
+
+        if (!round) {
+            return notFoundResponse(res, 'Round');
+        }
+
+        return successResponse(res, round, 'Round retrieved successfully');
+
+    } catch (err) {
+        console.error('Get round error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /rounds/{roundId}/countries:
+ *   get:
+ *     summary: Get participants and entries per country for a round (SuperAdmin only)
+ *     description: Frozen rounds are counted from their snapshot, open rounds from live entries. Each country shows whether the round's country lists let it win.
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roundId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Round ID
+ *     responses:
+ *       200:
+ *         description: Country breakdown retrieved successfully
+ *       404:
+ *         description: Round not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.get('/:roundId/countries', auth, superadmin, async (req, res) => {
+    try {
+        const round = await Round.findById(req.params.roundId);
+        if (!round) {
+            return notFoundResponse(res, 'Round');
+        }
+
+        const entries = round.snapshotFrozenAt || round.status === 'open' ? await getRoundEntries(round) : [];
+
+        // Snapshots frozen before countries were recorded fall back to the account
+        const missingCountry = entries.filter(entry => !entry.country).map(entry => entry.userId);
+        const users = missingCountry.length > 0
+            ? await User.find({ _id: { $in: missingCountry } }).select('country')
+            : [];
+        const countryByUser = new Map(users.map(user => [user._id.toString(), user.country]));
+
+        const byCountry = new Map();
+        for (const entry of entries) {
+            const country = entry.country || countryByUser.get(entry.userId.toString()) || 'Unknown';
+            const key = country.trim().toLowerCase();
+            if (!byCountry.has(key)) {
+                byCountry.set(key, { country, participants: 0, entries: 0 });
+            }
+            const row = byCountry.get(key);
+            row.participants++;
+            row.entries += entry.entryCount;
+        }
+
+        const totalParticipants = entries.length;
+        const totalEntries = entries.reduce((sum, entry) => sum + entry.entryCount, 0);
+        const countries = [...byCountry.values()]
+            .map(row => ({
+                ...row,
+                entryShare: totalEntries > 0 ? Number((row.entries / totalEntries).toFixed(6)) : 0,
+                eligible: isCountryAllowed(row.country, round)
+            }))
+            .sort((a, b) => b.entries - a.entries);
+
+        const eligibleCountries = countries.filter(row => row.eligible);
+
+        return successResponse(res, {
+            roundId: round._id,
+            title: round.title,
+            status: round.status,
+            frozen: Boolean(round.snapshotFrozenAt),
+            allowedCountries: round.allowedCountries,
+            deniedCountries: round.deniedCountries,
+            totalParticipants,
+            totalEntries,
+            eligibleParticipants: eligibleCountries.reduce((sum, row) => sum + row.participants, 0),
+            eligibleEntries: eligibleCountries.reduce((sum, row) => sum + row.entries, 0),
+            countries
+        }, 'Country breakdown retrieved successfully');
+
+    } catch (err) {
+        console.error('Get round countries error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /rounds/{roundId}/participants/{userId}:
+ *   get:
+ *     summary: Get how many entries a user had in a round (SuperAdmin, or the user themselves)
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roundId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Round ID
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Participant entries retrieved successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Round or user not found
+ */
+router.get('/:roundId/participants/:userId', auth, async (req, res) => {
+    try {
+        const { roundId, userId } = req.params;
+
+        if (req.user.role !== 'super_admin' && req.user.id.toString() !== userId) {
+            return forbiddenResponse(res, 'You can only view your own entries');
+        }
+
+        const round = await Round.findById(roundId);
+        if (!round) {
+            return notFoundResponse(res, 'Round');
+        }
+
+        // Frozen rounds answer from the snapshot; open rounds from the live balance
+        if (round.snapshotFrozenAt) {
+            const entry = round.entrySnapshot.find(participant => participant.userId.toString() === userId);
+            return successResponse(res, {
+                roundId: round._id,
+                title: round.title,
+                status: round.status,
+                frozen: true,
+                snapshotFrozenAt: round.snapshotFrozenAt,
+                userId,
+                entryCount: entry ? entry.entryCount : 0,
+                roundTotalEntries: round.totalEntries
+            }, 'Participant entries retrieved successfully');
+        }
+
+        const user = await User.findById(userId).select('totalEntries');
+        if (!user) {
+            return notFoundResponse(res, 'User');
+        }
+
+        // Campaign rounds count the user's campaign balance
+        let liveEntries = user.totalEntries;
+        if (round.campaignId) {
+            const campaignBalance = await CampaignEntry.findOne({ campaignId: round.campaignId, userId: user._id });
+            liveEntries = campaignBalance ? campaignBalance.entries : 0;
+        }
+
+        return successResponse(res, {
+            roundId: round._id,
+            title: round.title,
+            status: round.status,
+            frozen: false,
+            userId,
+            entryCount: round.status === 'open' ? liveEntries : 0
+        }, 'Participant entries retrieved successfully');
+
+    } catch (err) {
+        console.error('Get round participant error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /rounds/admin:
+ *   post:
+ *     summary: Create a new draft round (SuperAdmin only)
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               prize:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               allowedCountries:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only users from these countries can win (empty = all countries)
+ *               deniedCountries:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Users from these countries can never win
+ *               campaignId:
+ *                 type: string
+ *                 description: Campaign the round belongs to (main wheel if omitted)
+ *     responses:
+ *       201:
+ *         description: Round created successfully
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/admin', auth, superadmin, async (req, res) => {
+    try {
+        const { title, prize, description, startDate, endDate, allowedCountries = [], deniedCountries = [], campaignId } = req.body;
+
+        if (!title) {
+            return validationErrorResponse(res, 'Title is required');
+        }
+
+        const allowed = parseCountryList(allowedCountries);
+        const denied = parseCountryList(deniedCountries);
+        if (!allowed || !denied) {
+            return validationErrorResponse(res, 'Allowed and denied countries must be lists of country names');
+        }
+
+        if (startDate && endDate && new Date(endDate) <= new Date(startDate)) {
+            return validationErrorResponse(res, 'End date must be after start date');
+        }
+
+        if (campaignId && !(await Campaign.exists({ _id: campaignId }))) {
+            return notFoundResponse(res, 'Campaign');
+        }
+
+        const round = new Round({
+            campaignId,
+            title,
+            prize,
+            description,
+            startDate,
+            endDate,
+            allowedCountries: allowed,
+            deniedCountries: denied,
+            status: 'draft',
+            createdBy: req.user.id
+        });
+
+        await round.save();
+
+        return successResponse(res, round, 'Round created successfully', 201);
+
+    } catch (err) {
+        console.error('Create round error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /rounds/admin/{roundId}:
+ *   put:
+ *     summary: Update a draft or open round (SuperAdmin only)
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roundId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Round ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               prize:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               allowedCountries:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only users from these countries can win (empty = all countries)
+ *               deniedCountries:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Users from these countries can never win
+ *     responses:
+ *       200:
+ *         description: Round updated successfully
+ *       400:
+ *         description: Round is closed
+ *       404:
+ *         description: Round not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.put('/admin/:roundId', auth, superadmin, async (req, res) => {
+    try {
+        const round = await Round.findById(req.params.roundId);
+        if (!round) {
+            return notFoundResponse(res, 'Round');
+        }
+
+        if (!['draft', 'open'].includes(round.status)) {
+            return errorResponse(res, 'Closed rounds cannot be edited', 'Round closed', 400);
+        }
+
+        const allowedFields = ['title', 'prize', 'description', 'startDate', 'endDate'];
+        allowedFields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                round[field] = req.body[field];
+            }
+        });
+
+        for (const field of ['allowedCountries', 'deniedCountries']) {
+            if (req.body[field] === undefined) {
+                continue;
+            }
+            const countries = parseCountryList(req.body[field]);
+            if (!countries) {
+                return validationErrorResponse(res, 'Allowed and denied countries must be lists of country names');
+            }
+            round[field] = countries;
+        }
+
+        await round.save();
+
+        return successResponse(res, round, 'Round updated successfully');
+
+    } catch (err) {
+        console.error('Update round error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /rounds/admin/{roundId}/open:
+ *   post:
+ *     summary: Open a draft round for entries (SuperAdmin only)
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roundId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Round ID
+ *     responses:
+ *       200:
+ *         description: Round opened successfully
+ *       400:
+ *         description: Round is not a draft or another round is open
+ *       404:
+ *         description: Round not found
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/admin/:roundId/open', auth, superadmin, async (req, res) => {
+    try {
+        const round = await Round.findById(req.params.roundId);
+        if (!round) {
+            return notFoundResponse(res, 'Round');
+        }
+
+        if (round.status !== 'draft') {
+            return errorResponse(res, 'Only draft rounds can be opened', 'Invalid round status', 400);
+        }
+
+        // One open round per wheel
+        const openRound = await Round.findOne({ status: 'open', campaignId: round.campaignId || null });
+        if (openRound) {
+            return errorResponse(res, `Round "${openRound.title}" is already open`, 'Round already open', 400);
+        }
+
+        round.status = 'open';
+        round.openedAt = new Date();
+        try {
+            await round.save();
+        } catch (error) {
+            // Another round was opened at the same time
+            if (error.code === 11000) {
+                return errorResponse(res, 'Another round of this wheel is already open', 'Round already open', 400);
+            }
+            throw error;
+        }
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to(getWheelRoom(round.campaignId)).emit('round-opened', { roundId: round._id, campaignId: round.campaignId, title: round.title, prize: round.prize });
+        }
+
+        return successResponse(res, round, 'Round opened successfully');
+
+    } catch (err) {
+        console.error('Open round error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /rounds/admin/{roundId}/close:
+ *   post:
+ *     summary: Close an open round and freeze its entry snapshot (SuperAdmin only)
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roundId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Round ID
+ *     responses:
+ *       200:
+ *         description: Round closed successfully
+ *       400:
+ *         description: Round is not open
+ *       404:
+ *         description: Round not found
+ *       409:
+ *         description: No draw seed committed yet (start a countdown first)
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/admin/:roundId/close', auth, superadmin, async (req, res) => {
+    try {
+        const round = await Round.findById(req.params.roundId);
+        if (!round) {
+            return notFoundResponse(res, 'Round');
+        }
+
+        if (round.status !== 'open') {
+            return errorResponse(res, 'Only open rounds can be closed', 'Invalid round status', 400);
+        }
+
+        await freezeRoundSnapshot(round);
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to(getWheelRoom(round.campaignId)).emit('round-closed', {
+                roundId: round._id,
+                campaignId: round.campaignId,
+                totalEntries: round.totalEntries,
+                totalParticipants: round.totalParticipants,
+                snapshotHash: round.snapshotHash,
+                serverSeedHash: round.serverSeedHash
+            });
+        }
+
+        return successResponse(res, {
+            roundId: round._id,
+            status: round.status,
+            snapshotFrozenAt: round.snapshotFrozenAt,
+            totalEntries: round.totalEntries,
+            totalParticipants: round.totalParticipants,
+            snapshotHash: round.snapshotHash,
+            serverSeedHash: round.serverSeedHash
+        }, 'Round closed and entries frozen successfully');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Close round error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+module.exports = router;
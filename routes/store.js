@@ -4,10 +4,61 @@ const auth = require('../middleware/auth');
 const superadmin = require('../middleware/superadmin');
 const User = require('../models/User');
 const Store = require('../models/Store');
+const Campaign = require('../models/Campaign');
 const Purchase = require('../models/Purchase');
-const WheelEntry = require('../models/WheelEntry');
+const { findCampaign, assertAcceptsEntries } = require('../utils/campaignHelper');
+const {
+    ORDER_TRANSITIONS,
+    getReservationExpiry,
+    reserveStock,
+    releaseStock,
+    transitionOrder
+} = require('../services/orderService');
+const { refundOrder, resolveRefundReview } = require('../services/refundService');
+const {
+    MANUAL_PAYMENT_METHOD,
+    getDefaultPaymentMethod,
+    assertPaymentMethod,
+    startCheckout,
+    handlePaymentWebhook,
+    simulateMockCheckout
+} = require('../services/paymentService');
 const { successResponse, errorResponse, validationErrorResponse, notFoundResponse } = require('../utils/responseHelper');
 
+// Check a variant list from an admin request. Returns a validation message, or null.
+const validateVariants = (variants) => {
+    if (!Array.isArray(variants)) {
+        return 'Variants must be a list';
+    }
+
+    const skus = new Set();
+    for (const variant of variants) {
+        if (!variant || typeof variant.sku !== 'string' || !variant.sku.trim()) {
+            return 'Every variant needs a SKU';
+        }
+        const sku = variant.sku.trim();
+        if (skus.has(sku)) {
+            return `SKU ${sku} is listed twice`;
+        }
+        skus.add(sku);
+
+        if (variant.stock !== undefined && (!Number.isInteger(variant.stock) || variant.stock < 0)) {
+            return `Stock for ${sku} must be a whole number of at least 0`;
+        }
+        if (variant.price !== undefined && variant.price !== null && !(variant.price > 0)) {
+            return `Price for ${sku} must be a positive number`;
+        }
+    }
+    return null;
+};
+
+// The active variant a cart line asks for, by variantId or SKU
+const findVariant = (storeItem, { variantId, sku }) => {
+    return storeItem.variants.find(variant => variant.active && (variantId
+        ? variant._id.toString() === String(variantId)
+        : variant.sku === sku));
+};
+
 /**
  * @swagger
  * /store/items:
@@ -26,7 +77,13 @@ router.get('/items', auth, async (req, res) => {
     try {
         const items = await Store.find({ active: true })
             .select('-__v')
-            .sort({ createdAt: -1 });
+            .sort({ createdAt: -1 })
+            .lean();
+
+        // Only the variants that are on sale
+        for (const item of items) {
+            item.variants = (item.variants || []).filter(variant => variant.active);
+        }
 
         return successResponse(res, items, 'Store items retrieved successfully');
 
@@ -40,7 +97,14 @@ router.get('/items', auth, async (req, res) => {
  * @swagger
  * /store/purchase:
  *   post:
- *     summary: Purchase items and earn wheel entries
+ *     summary: Order items that earn wheel entries
+ *     description: >
+ *       The order starts as pending_payment and, unless paid in cash, gets a checkout session with its payment
+ *       provider. Its entries are granted when the provider confirms the payment. The whole cart is taken out of
+ *       stock when the order is placed, or none of it is; an order that is not paid within STOCK_RESERVATION_MINUTES
+ *       (default 30) is cancelled and its items go back in stock. Cash orders hold their stock for
+ *       CASH_RESERVATION_HOURS (default 48) for an admin to mark them paid, and an authorized payment holds it for
+ *       AUTHORIZED_RESERVATION_HOURS (default 24) while the provider captures it.
  *     tags: [Store]
  *     security:
  *       - bearerAuth: []
@@ -58,26 +122,39 @@ router.get('/items', auth, async (req, res) => {
  *                   properties:
  *                     itemId:
  *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                       description: Size/colour to buy; required for items with variants (or give sku)
+ *                     sku:
+ *                       type: string
  *                     quantity:
  *                       type: number
  *               paymentMethod:
  *                 type: string
+ *                 description: Payment provider (e.g. mock), or cash for orders an admin marks paid. Defaults to PAYMENT_PROVIDER.
+ *               successUrl:
+ *                 type: string
+ *                 description: Where the provider sends the customer after paying
+ *               cancelUrl:
+ *                 type: string
  *     responses:
- *       200:
- *         description: Purchase completed successfully
+ *       201:
+ *         description: Order placed successfully
  *       400:
- *         description: Bad request
+ *         description: Bad request or not enough stock for an item
  *       401:
  *         description: Unauthorized
  */
 router.post('/purchase', auth, async (req, res) => {
     try {
-        const { items, paymentMethod = 'cash' } = req.body;
+        const { items, paymentMethod = getDefaultPaymentMethod(), successUrl, cancelUrl } = req.body;
 
         if (!items || !Array.isArray(items) || items.length === 0) {
             return validationErrorResponse(res, 'Items array is required and cannot be empty');
         }
 
+        assertPaymentMethod(paymentMethod);
+
         // Get user
         const user = await User.findById(req.user.id);
         if (!user) {
@@ -87,12 +164,13 @@ router.post('/purchase', auth, async (req, res) => {
         const purchaseItems = [];
         let totalAmount = 0;
         let totalEntriesEarned = 0;
+        let campaign = null; // Campaign the items' entries go to (main wheel if none)
 
         // Validate and process each item
         for (const item of items) {
-            const { itemId, quantity } = item;
+            const { itemId, variantId, sku, quantity } = item;
 
-            if (!itemId || !quantity || quantity <= 0) {
+            if (!itemId || !Number.isInteger(quantity) || quantity <= 0) {
                 return validationErrorResponse(res, 'Invalid item data');
             }
 
@@ -101,69 +179,105 @@ router.post('/purchase', auth, async (req, res) => {
                 return notFoundResponse(res, 'Store item not found or inactive');
             }
 
-            if (storeItem.stock < quantity) {
-                return validationErrorResponse(res, `Insufficient stock for ${storeItem.name}`);
+            // Items sold in sizes/colours are bought by variant, at its price if it has one
+            let variant = null;
+            if (variantId || sku) {
+                variant = findVariant(storeItem, { variantId, sku });
+                if (!variant) {
+                    return notFoundResponse(res, `Variant of ${storeItem.name}`);
+                }
+            } else if (storeItem.variants.some(option => option.active)) {
+                return validationErrorResponse(res, `Choose a size or colour of ${storeItem.name}`);
+            }
+            const price = variant && variant.price != null ? variant.price : storeItem.price;
+
+            // Early answer only; the stock is actually taken by reserveStock below
+            if ((variant ? variant.stock : storeItem.stock) < quantity) {
+                const name = variant ? `${storeItem.name} (${variant.sku})` : storeItem.name;
+                return validationErrorResponse(res, `Insufficient stock for ${name}`);
+            }
+
+            // All of a purchase's entries go to one wheel
+            const itemCampaignId = storeItem.campaignId ? storeItem.campaignId.toString() : null;
+            if (purchaseItems.length === 0) {
+                if (itemCampaignId) {
+                    campaign = await findCampaign(itemCampaignId);
+                    assertAcceptsEntries(campaign, 'store_purchase');
+                }
+            } else if (itemCampaignId !== (campaign ? campaign._id.toString() : null)) {
+                return validationErrorResponse(res, 'Items for different campaigns must be bought separately');
             }
 
-            const itemTotal = storeItem.price * quantity;
+            const itemTotal = price * quantity;
             const entriesEarned = storeItem.entriesPerItem * quantity;
 
             purchaseItems.push({
                 storeItemId: storeItem._id,
                 itemName: storeItem.name,
+                variantId: variant ? variant._id : undefined,
+                sku: variant ? variant.sku : undefined,
+                size: variant ? variant.size : undefined,
+                color: variant ? variant.color : undefined,
                 quantity,
-                price: storeItem.price,
+                price,
                 entriesEarned
             });
 
             totalAmount += itemTotal;
             totalEntriesEarned += entriesEarned;
-
-            // Update stock
-            storeItem.stock -= quantity;
-            await storeItem.save();
         }
 
-        // Create purchase record
+        // The whole cart is reserved or none of it; the order holds the stock until it is paid
+        await reserveStock(purchaseItems);
+
+        // Entries are granted to the wheel's open round once the order is paid
         const purchase = new Purchase({
             userId: user._id,
+            campaignId: campaign ? campaign._id : undefined,
             items: purchaseItems,
             totalAmount,
             totalEntriesEarned,
             paymentMethod,
-            status: 'completed'
+            status: 'pending_payment',
+            statusHistory: [{ to: 'pending_payment', actorId: user._id }],
+            // Cash orders get longer for an admin to mark them paid
+            reservationExpiresAt: getReservationExpiry(paymentMethod)
         });
 
-        await purchase.save();
+        try {
+            await purchase.save();
+        } catch (error) {
+            await releaseStock(purchaseItems);
+            throw error;
+        }
 
-        // Update user's total entries and shirt count
-        user.totalEntries += totalEntriesEarned;
-        user.totalShirtsPurchased += purchaseItems.reduce((sum, item) => 
-            item.itemName.toLowerCase().includes('shirt') ? sum + item.quantity : sum, 0
-        );
-        await user.save();
-
-        // Create wheel entries for the purchase
-        for (let i = 0; i < totalEntriesEarned; i++) {
-            await WheelEntry.create({
-                userId: user._id,
-                userName: user.name,
-                entryType: 'shirt_purchase',
-                shirtQuantity: purchaseItems.reduce((sum, item) => 
-                    item.itemName.toLowerCase().includes('shirt') ? sum + item.quantity : sum, 0
-                )
-            });
+        let checkout;
+        if (paymentMethod !== MANUAL_PAYMENT_METHOD) {
+            try {
+                checkout = await startCheckout(purchase, { successUrl, cancelUrl });
+            } catch (error) {
+                // No way to pay: cancel the order so its stock goes back
+                await transitionOrder({ purchaseId: purchase._id, status: 'cancelled', note: 'Checkout could not be started' });
+                throw error;
+            }
         }
 
         return successResponse(res, {
             purchaseId: purchase._id,
+            status: purchase.status,
             totalAmount,
             totalEntriesEarned,
-            newTotalEntries: user.totalEntries,
+            campaignId: campaign ? campaign._id : undefined,
+            paymentMethod,
+            checkout,
+            reservationExpiresAt: purchase.reservationExpiresAt,
             items: purchaseItems
-        }, 'Purchase completed successfully');
+        }, 'Order placed successfully. Entries are granted once payment is confirmed', 201);
 
     } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
         console.error('Purchase error:', err);
         return errorResponse(res, err, 'Server Error');
     }
@@ -173,12 +287,18 @@ router.post('/purchase', auth, async (req, res) => {
  * @swagger
  * /store/purchases:
  *   get:
- *     summary: Get user's purchase history
+ *     summary: Get user's orders with their status
  *     tags: [Store]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_payment, paid, fulfilled, shipped, delivered, cancelled, refunded]
+ *         description: Filter by order status
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -200,13 +320,19 @@ router.get('/purchases', auth, async (req, res) => {
         const limit = parseInt(req.query.limit) || 10;
         const skip = (page - 1) * limit;
 
-        const purchases = await Purchase.find({ userId: req.user.id })
+        const query = { userId: req.user.id };
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const purchases = await Purchase.find(query)
+            .select('-statusHistory.actorId')
             .populate('items.storeItemId', 'name image')
             .sort({ purchaseDate: -1 })
             .skip(skip)
             .limit(limit);
 
-        const totalPurchases = await Purchase.countDocuments({ userId: req.user.id });
+        const totalPurchases = await Purchase.countDocuments(query);
 
         return successResponse(res, {
             purchases,
@@ -225,6 +351,166 @@ router.get('/purchases', auth, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /store/purchases/{purchaseId}/checkout:
+ *   post:
+ *     summary: Start a new checkout session for one of your unpaid orders
+ *     description: Use after a declined or expired payment; the previous session is replaced.
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Purchase ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               successUrl:
+ *                 type: string
+ *               cancelUrl:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Checkout session created successfully
+ *       400:
+ *         description: Order is not awaiting payment or is paid offline
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: A payment for the order is already authorized or captured
+ */
+router.post('/purchases/:purchaseId/checkout', auth, async (req, res) => {
+    try {
+        const purchase = await Purchase.findOne({ _id: req.params.purchaseId, userId: req.user.id });
+        if (!purchase) {
+            return notFoundResponse(res, 'Order');
+        }
+
+        const { successUrl, cancelUrl } = req.body || {};
+        const checkout = await startCheckout(purchase, { successUrl, cancelUrl });
+
+        return successResponse(res, checkout, 'Checkout session created successfully');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Start checkout error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /store/payments/{provider}/webhook:
+ *   post:
+ *     summary: Payment provider callback (called by the provider, no auth)
+ *     description: The provider's signature over the raw body is checked before anything is read. A successful payment marks the order paid and grants its entries; redelivered events are ignored.
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Payment provider name, e.g. mock
+ *     responses:
+ *       200:
+ *         description: Webhook processed
+ *       400:
+ *         description: Unknown provider or invalid signature
+ */
+router.post('/payments/:provider/webhook', async (req, res) => {
+    try {
+        const result = await handlePaymentWebhook(req.params.provider, req.rawBody, req.headers);
+
+        return successResponse(res, result, 'Webhook processed');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Payment webhook error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /store/payments/mock/checkout/{sessionId}:
+ *   post:
+ *     summary: Complete a mock checkout session (mock payment provider only)
+ *     description: >
+ *       Plays the customer paying on the mock gateway, which then calls the webhook with a signed event.
+ *       success captures at once, failure declines, delayed authorizes now and captures after delaySeconds.
+ *       Disabled in production unless ENABLE_MOCK_PAYMENTS=true.
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Mock checkout session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [outcome]
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [success, failure, delayed]
+ *               delaySeconds:
+ *                 type: number
+ *                 default: 10
+ *     responses:
+ *       200:
+ *         description: Mock payment processed
+ *       400:
+ *         description: Invalid outcome, expired session or mock payments disabled
+ *       404:
+ *         description: Checkout session not found
+ */
+router.post('/payments/mock/checkout/:sessionId', auth, async (req, res) => {
+    try {
+        const { outcome, delaySeconds } = req.body;
+        if (delaySeconds !== undefined && (typeof delaySeconds !== 'number' || delaySeconds < 0 || delaySeconds > 3600)) {
+            return validationErrorResponse(res, 'delaySeconds must be a number from 0 to 3600');
+        }
+
+        const result = await simulateMockCheckout({
+            sessionId: req.params.sessionId,
+            userId: req.user.id,
+            outcome,
+            delaySeconds
+        });
+
+        return successResponse(res, result, outcome === 'delayed'
+            ? 'Mock payment authorized; capture follows shortly'
+            : 'Mock payment processed');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Mock checkout error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
 /**
  * @swagger
  * /store/admin/items:
@@ -254,17 +540,48 @@ router.get('/purchases', auth, async (req, res) => {
  *                 type: string
  *               stock:
  *                 type: number
+ *                 description: Stock of an item without variants
+ *               variants:
+ *                 type: array
+ *                 description: Sizes/colours sold separately, each with its own stock
+ *                 items:
+ *                   type: object
+ *                   required: [sku]
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     size:
+ *                       type: string
+ *                     color:
+ *                       type: string
+ *                     stock:
+ *                       type: number
+ *                     price:
+ *                       type: number
+ *                       description: Overrides the item's price
+ *                     image:
+ *                       type: string
+ *                     active:
+ *                       type: boolean
+ *               lowStockThreshold:
+ *                 type: number
+ *                 description: Stock at or below this is reported as low (default 5)
+ *               campaignId:
+ *                 type: string
+ *                 description: Campaign the item's entries go to (main wheel if omitted)
  *     responses:
  *       201:
  *         description: Store item created successfully
  *       400:
- *         description: Bad request
+ *         description: Bad request, invalid variants or a SKU already in use
  *       403:
  *         description: SuperAdmin access required
  */
 router.post('/admin/items', auth, superadmin, async (req, res) => {
     try {
-        const { name, description, price, entriesPerItem, image, category = 'shirt', stock = 0 } = req.body;
+        const {
+            name, description, price, entriesPerItem, image, category = 'shirt', stock = 0, variants = [], lowStockThreshold, campaignId
+        } = req.body;
 
         if (!name || !description || !price || !entriesPerItem) {
             return validationErrorResponse(res, 'Name, description, price, and entriesPerItem are required');
@@ -274,6 +591,15 @@ router.post('/admin/items', auth, superadmin, async (req, res) => {
             return validationErrorResponse(res, 'Price and entriesPerItem must be positive numbers');
         }
 
+        const variantError = validateVariants(variants);
+        if (variantError) {
+            return validationErrorResponse(res, variantError);
+        }
+
+        if (campaignId && !(await Campaign.exists({ _id: campaignId }))) {
+            return notFoundResponse(res, 'Campaign');
+        }
+
         const storeItem = new Store({
             name,
             description,
@@ -281,7 +607,10 @@ router.post('/admin/items', auth, superadmin, async (req, res) => {
             entriesPerItem,
             image,
             category,
-            stock
+            stock,
+            variants,
+            lowStockThreshold,
+            campaignId
         });
 
         await storeItem.save();
@@ -289,6 +618,9 @@ router.post('/admin/items', auth, superadmin, async (req, res) => {
         return successResponse(res, storeItem, 'Store item created successfully', 201);
 
     } catch (err) {
+        if (err.code === 11000) {
+            return validationErrorResponse(res, 'A SKU is already used by another item');
+        }
         console.error('Create store item error:', err);
         return errorResponse(res, err, 'Server Error');
     }
@@ -330,11 +662,42 @@ router.post('/admin/items', auth, superadmin, async (req, res) => {
  *                 type: string
  *               stock:
  *                 type: number
+ *               variants:
+ *                 type: array
+ *                 description: Sizes/colours sold separately, replaces the current list; variants are matched by SKU
+ *                 items:
+ *                   type: object
+ *                   required: [sku]
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     size:
+ *                       type: string
+ *                     color:
+ *                       type: string
+ *                     stock:
+ *                       type: number
+ *                     price:
+ *                       type: number
+ *                       description: Overrides the item's price
+ *                     image:
+ *                       type: string
+ *                     active:
+ *                       type: boolean
+ *               lowStockThreshold:
+ *                 type: number
+ *                 description: Stock at or below this is reported as low (default 5)
  *               active:
  *                 type: boolean
+ *               campaignId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Campaign the item's entries go to (null for the main wheel)
  *     responses:
  *       200:
  *         description: Store item updated successfully
+ *       400:
+ *         description: Invalid variants or a SKU already in use
  *       404:
  *         description: Store item not found
  *       403:
@@ -345,6 +708,17 @@ router.put('/admin/items/:itemId', auth, superadmin, async (req, res) => {
         const { itemId } = req.params;
         const updateData = req.body;
 
+        if (updateData.variants !== undefined) {
+            const variantError = validateVariants(updateData.variants);
+            if (variantError) {
+                return validationErrorResponse(res, variantError);
+            }
+        }
+
+        if (updateData.campaignId && !(await Campaign.exists({ _id: updateData.campaignId }))) {
+            return notFoundResponse(res, 'Campaign');
+        }
+
         const storeItem = await Store.findByIdAndUpdate(
             itemId,
             updateData,
@@ -358,6 +732,9 @@ router.put('/admin/items/:itemId', auth, superadmin, async (req, res) => {
         return successResponse(res, storeItem, 'Store item updated successfully');
 
     } catch (err) {
+        if (err.code === 11000) {
+            return validationErrorResponse(res, 'A SKU is already used by another item');
+        }
         console.error('Update store item error:', err);
         return errorResponse(res, err, 'Server Error');
     }
@@ -404,6 +781,87 @@ router.delete('/admin/items/:itemId', auth, superadmin, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /store/admin/low-stock:
+ *   get:
+ *     summary: Items and variants running low on stock (SuperAdmin only)
+ *     description: >
+ *       One row per variant for items sold in sizes/colours, otherwise one per item. Stock is what is
+ *       left to sell; `reserved` is held by orders awaiting payment.
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: integer
+ *         description: Report stock at or below this instead of each item's lowStockThreshold
+ *     responses:
+ *       200:
+ *         description: Low stock retrieved successfully
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.get('/admin/low-stock', auth, superadmin, async (req, res) => {
+    try {
+        let threshold = null;
+        if (req.query.threshold !== undefined) {
+            threshold = parseInt(req.query.threshold);
+            if (isNaN(threshold) || threshold < 0) {
+                return validationErrorResponse(res, 'Threshold must be a whole number of at least 0');
+            }
+        }
+
+        const items = await Store.find({ active: true })
+            .select('name stock variants lowStockThreshold campaignId')
+            .lean();
+
+        const reservations = await Purchase.aggregate([
+            { $match: { status: 'pending_payment' } },
+            { $unwind: '$items' },
+            { $group: { _id: { storeItemId: '$items.storeItemId', sku: '$items.sku' }, quantity: { $sum: '$items.quantity' } } }
+        ]);
+        const reserved = new Map(reservations.map(({ _id, quantity }) => [`${_id.storeItemId}:${_id.sku || ''}`, quantity]));
+
+        const lowStock = [];
+        for (const item of items) {
+            const limit = threshold ?? item.lowStockThreshold ?? 5;
+            const variants = (item.variants || []).filter(variant => variant.active);
+            const rows = variants.length > 0
+                ? variants.map(variant => ({
+                    variantId: variant._id,
+                    sku: variant.sku,
+                    size: variant.size,
+                    color: variant.color,
+                    stock: variant.stock
+                }))
+                : [{ stock: item.stock }];
+
+            for (const row of rows) {
+                if (row.stock <= limit) {
+                    lowStock.push({
+                        itemId: item._id,
+                        itemName: item.name,
+                        campaignId: item.campaignId,
+                        ...row,
+                        reserved: reserved.get(`${item._id}:${row.sku || ''}`) || 0,
+                        threshold: limit
+                    });
+                }
+            }
+        }
+        lowStock.sort((a, b) => a.stock - b.stock);
+
+        return successResponse(res, lowStock, 'Low stock retrieved successfully');
+
+    } catch (err) {
+        console.error('Get low stock error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
 /**
  * @swagger
  * /store/admin/purchases:
@@ -414,6 +872,18 @@ router.delete('/admin/items/:itemId', auth, superadmin, async (req, res) => {
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_payment, paid, fulfilled, shipped, delivered, cancelled, refunded, completed]
+ *         description: Filter by order status
+ *       - in: query
+ *         name: refundReview
+ *         schema:
+ *           type: string
+ *           enum: [pending]
+ *         description: Only orders with a refund awaiting admin review
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -435,14 +905,19 @@ router.get('/admin/purchases', auth, superadmin, async (req, res) => {
         const limit = parseInt(req.query.limit) || 10;
         const skip = (page - 1) * limit;
 
-        const purchases = await Purchase.find()
+        const query = req.query.status ? { status: req.query.status } : {};
+        if (req.query.refundReview === 'pending') {
+            query['refunds.reviewStatus'] = 'pending';
+        }
+
+        const purchases = await Purchase.find(query)
             .populate('userId', 'name email instagramHandle')
             .populate('items.storeItemId', 'name image')
             .sort({ purchaseDate: -1 })
             .skip(skip)
             .limit(limit);
 
-        const totalPurchases = await Purchase.countDocuments();
+        const totalPurchases = await Purchase.countDocuments(query);
 
         return successResponse(res, {
             purchases,
@@ -461,4 +936,242 @@ router.get('/admin/purchases', auth, superadmin, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /store/admin/purchases/{purchaseId}/status:
+ *   patch:
+ *     summary: Move an order to another status (SuperAdmin only)
+ *     description: >
+ *       pending_payment → paid or cancelled; paid → fulfilled or shipped; fulfilled → shipped or delivered;
+ *       shipped → delivered. Marking an order paid grants its entries to the wheel's open round; cancelling
+ *       it restocks its items. Refunds go through /store/admin/purchases/{purchaseId}/refund.
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Purchase ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [paid, fulfilled, shipped, delivered, cancelled]
+ *               note:
+ *                 type: string
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order status updated successfully
+ *       400:
+ *         description: Invalid status or status change
+ *       403:
+ *         description: SuperAdmin access required
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order was changed at the same time
+ */
+router.patch('/admin/purchases/:purchaseId/status', auth, superadmin, async (req, res) => {
+    try {
+        const { status, note, carrier, trackingNumber } = req.body;
+
+        // Refunds also return money, stock and entries
+        if (status === 'refunded') {
+            return validationErrorResponse(res, 'Use /store/admin/purchases/{purchaseId}/refund to refund an order');
+        }
+
+        const { purchase, entryAward } = await transitionOrder({
+            purchaseId: req.params.purchaseId,
+            status,
+            actorId: req.user.id,
+            note,
+            carrier,
+            trackingNumber
+        });
+
+        return successResponse(res, {
+            purchase,
+            nextStatuses: ORDER_TRANSITIONS[purchase.status],
+            entryAward: entryAward ? {
+                requested: entryAward.requested,
+                granted: entryAward.granted,
+                clipped: entryAward.clipped,
+                clippedBy: entryAward.clippedBy,
+                message: entryAward.message
+            } : undefined
+        }, entryAward && entryAward.clipped > 0
+            ? `Order marked ${status}. ${entryAward.message}`
+            : `Order marked ${status}`);
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Update order status error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /store/admin/purchases/{purchaseId}/refund:
+ *   post:
+ *     summary: Refund an order in full or by line item (SuperAdmin only)
+ *     description: >
+ *       Returns the money through the order's payment provider, restocks the items and removes the
+ *       proportional share of the entries the order was granted from the buyer's balance, never below
+ *       the registration entry. If the order's round is already closed or drawn the entries are left
+ *       alone and the refund is flagged; if the buyer won that round it is raised for admin review.
+ *       Refunding everything left marks the order refunded. The refund is recorded before any money moves; if
+ *       an earlier refund of the order stopped partway, the request finishes that refund first; a retry of it
+ *       (the same items, or none when it refunded everything left) ends there, any other request is then refunded.
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Purchase ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Lines to refund (omit to refund everything not yet refunded)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     lineId:
+ *                       type: string
+ *                       description: _id of the line in the order's items
+ *                     quantity:
+ *                       type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order refunded successfully
+ *       400:
+ *         description: Order not refundable or invalid lines
+ *       403:
+ *         description: SuperAdmin access required
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: A refund of this order is in progress
+ */
+router.post('/admin/purchases/:purchaseId/refund', auth, superadmin, async (req, res) => {
+    try {
+        const { items, reason } = req.body || {};
+
+        const result = await refundOrder({
+            purchaseId: req.params.purchaseId,
+            items,
+            reason,
+            actorId: req.user.id,
+            io: req.app.get('io')
+        });
+
+        const message = result.refund.reviewStatus === 'pending'
+            ? 'Order refunded; the buyer won the round, so the refund needs admin review'
+            : result.refund.roundDrawn
+                ? 'Order refunded; its round was already drawn, so no entries were removed'
+                : 'Order refunded successfully';
+        return successResponse(res, result, message);
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Refund order error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /store/admin/purchases/{purchaseId}/refunds/{refundId}/resolve:
+ *   post:
+ *     summary: Close the review of a refund whose buyer won the round (SuperAdmin only)
+ *     tags: [Store]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Purchase ID
+ *       - in: path
+ *         name: refundId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Refund ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: What was decided, e.g. the win was voided with /admin/spins/{spinId}/void
+ *     responses:
+ *       200:
+ *         description: Refund review resolved successfully
+ *       400:
+ *         description: Note missing
+ *       403:
+ *         description: SuperAdmin access required
+ *       404:
+ *         description: No refund awaiting review
+ */
+router.post('/admin/purchases/:purchaseId/refunds/:refundId/resolve', auth, superadmin, async (req, res) => {
+    try {
+        const { note } = req.body || {};
+        if (typeof note !== 'string' || !note.trim()) {
+            return validationErrorResponse(res, 'A note is required to resolve a refund review');
+        }
+
+        const purchase = await resolveRefundReview({
+            purchaseId: req.params.purchaseId,
+            refundId: req.params.refundId,
+            note: note.trim(),
+            actorId: req.user.id
+        });
+
+        return successResponse(res, purchase, 'Refund review resolved successfully');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Resolve refund review error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
 module.exports = router;
@@ -1,24 +1,96 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
 const superadmin = require('../middleware/superadmin');
 const User = require('../models/User');
-const WheelEntry = require('../models/WheelEntry');
 const Spin = require('../models/Spin');
 const Winner = require('../models/Winner');
 const GameSettings = require('../models/GameSettings');
-const { successResponse, errorResponse, notFoundResponse, unauthorizedResponse } = require('../utils/responseHelper');
-const { sendWinnerEmail } = require('../utils/emailHelper');
-const { v4: uuidv4 } = require('uuid');
+const EntryTransaction = require('../models/EntryTransaction');
+const Round = require('../models/Round');
+const { successResponse, errorResponse, validationErrorResponse, notFoundResponse, unauthorizedResponse, forbiddenResponse } = require('../utils/responseHelper');
+const { verifyDraw, getTicketRanges, getSpinDraws } = require('../utils/fairnessHelper');
+const { buildSegments, rankEntryCount } = require('../utils/wheelHelper');
+const { findRoundForDraw, getRoundEntries, getPublishedSeedHash } = require('../utils/roundHelper');
+const { getUpcomingDraws } = require('../utils/scheduleHelper');
+const { getTranscriptPublicKey, verifyTranscript } = require('../utils/transcriptHelper');
+const { buildEligibleDrawPool, executeSpin, simulateSpin } = require('../services/spinService');
+
+const TESTIMONIAL_MAX_LENGTH = 500;
+const MAX_SEGMENTS_PER_PAGE = 500;
+
+// Photo links must be absolute http(s) URLs (uploaded to image hosting by the client)
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Aggregated wheel segments (one per user), optionally paginated
+const getWheelSegments = async (query) => {
+    const match = { role: 'user', blocked: false, totalEntries: { $gt: 0 } };
+
+    const totals = await User.aggregate([
+        { $match: match },
+        { $group: { _id: null, totalEntries: { $sum: '$totalEntries' }, totalUsers: { $sum: 1 } } }
+    ]);
+    const totalEntries = totals[0]?.totalEntries || 0;
+    const totalUsers = totals[0]?.totalUsers || 0;
+
+    // Same order as the draw snapshot so segments line up with ticket ranges
+    let usersQuery = User.find(match)
+        .select('name instagramHandle totalEntries')
+        .sort({ _id: 1 });
+
+    const paginate = query.page !== undefined || query.limit !== undefined;
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 100, 1), MAX_SEGMENTS_PER_PAGE);
+    if (paginate) {
+        usersQuery = usersQuery.skip((page - 1) * limit).limit(limit);
+    }
+
+    const users = await usersQuery;
+    const result = {
+        segments: buildSegments(users, totalEntries),
+        totalEntries,
+        totalUsers
+    };
+
+    if (paginate) {
+        result.pagination = {
+            currentPage: page,
+            totalPages: Math.ceil(totalUsers / limit),
+            totalUsers,
+            hasNext: page < Math.ceil(totalUsers / limit),
+            hasPrev: page > 1
+        };
+    }
+
+    return result;
+};
 
 /**
  * @swagger
  * /wheel/entries:
  *   get:
- *     summary: Get all wheel entries for the current spin
+ *     summary: Get wheel segments (one per user with entry count and share) for the current spin
  *     tags: [Wheel]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number, from 1 (omit both page and limit to get every segment)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of segments per page (1-500, default 100)
  *     responses:
  *       200:
  *         description: Wheel entries retrieved successfully
@@ -27,29 +99,9 @@ const { v4: uuidv4 } = require('uuid');
  */
 router.get('/entries', auth, async (req, res) => {
     try {
-        // Get all users with their entry counts
-        const users = await User.find({ role: 'user', blocked: false })
-            .select('name instagramHandle totalEntries');
-
-        // Create wheel entries array
-        const wheelEntries = [];
-        
-        for (const user of users) {
-            // Add entries based on user's total entries
-            for (let i = 0; i < user.totalEntries; i++) {
-                wheelEntries.push({
-                    userId: user._id,
-                    userName: user.name,
-                    instagramHandle: user.instagramHandle
-                });
-            }
-        }
+        const wheelSegments = await getWheelSegments(req.query);
 
-        return successResponse(res, {
-            entries: wheelEntries,
-            totalEntries: wheelEntries.length,
-            totalUsers: users.length
-        }, 'Wheel entries retrieved successfully');
+        return successResponse(res, wheelSegments, 'Wheel entries retrieved successfully');
 
     } catch (err) {
         console.error('Get wheel entries error:', err);
@@ -61,37 +113,28 @@ router.get('/entries', auth, async (req, res) => {
  * @swagger
  * /wheel/public-entries:
  *   get:
- *     summary: Get all wheel entries (public - no auth required)
+ *     summary: Get wheel segments (public - no auth required)
  *     tags: [Wheel]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number, from 1 (omit both page and limit to get every segment)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of segments per page (1-500, default 100)
  *     responses:
  *       200:
  *         description: Wheel entries retrieved successfully
  */
 router.get('/public-entries', async (req, res) => {
     try {
-        // Get all users with their entry counts
-        const users = await User.find({ role: 'user', blocked: false })
-            .select('name instagramHandle totalEntries');
-
-        // Create wheel entries array
-        const wheelEntries = [];
-        
-        for (const user of users) {
-            // Add entries based on user's total entries
-            for (let i = 0; i < user.totalEntries; i++) {
-                wheelEntries.push({
-                    userId: user._id,
-                    userName: user.name,
-                    instagramHandle: user.instagramHandle
-                });
-            }
-        }
+        const wheelSegments = await getWheelSegments(req.query);
 
-        return successResponse(res, {
-            entries: wheelEntries,
-            totalEntries: wheelEntries.length,
-            totalUsers: users.length
-        }, 'Wheel entries retrieved successfully');
+        return successResponse(res, wheelSegments, 'Wheel entries retrieved successfully');
 
     } catch (err) {
         console.error('Get public wheel entries error:', err);
@@ -107,147 +150,99 @@ router.get('/public-entries', async (req, res) => {
  *     tags: [Wheel]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Unique key for this spin; retrying with the same key returns the original result instead of drawing again
  *     responses:
  *       200:
- *         description: Spin triggered successfully
+ *         description: Spin triggered successfully (or the original result of a replayed key)
+ *       400:
+ *         description: No entries to draw or invalid idempotency key
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: SuperAdmin access required
+ *       409:
+ *         description: A spin is already in progress
  */
 router.post('/spin', auth, superadmin, async (req, res) => {
     try {
-        // Get all users with their entry counts
-        const users = await User.find({ role: 'user', blocked: false })
-            .select('name instagramHandle totalEntries');
-
-        if (users.length === 0) {
-            return errorResponse(res, 'No users available for spinning', 'No users found', 400);
-        }
-
-        // Create wheel entries
-        const wheelEntries = [];
-        const participants = [];
-        
-        for (const user of users) {
-            if (user.totalEntries > 0) {
-                participants.push({
-                    userId: user._id,
-                    userName: user.name,
-                    entryCount: user.totalEntries
-                });
-
-                // Add entries based on user's total entries
-                for (let i = 0; i < user.totalEntries; i++) {
-                    wheelEntries.push({
-                        userId: user._id,
-                        userName: user.name
-                    });
-                }
-            }
-        }
-
-        if (wheelEntries.length === 0) {
-            return errorResponse(res, 'No entries available for spinning', 'No entries found', 400);
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (idempotencyKey !== undefined && (!idempotencyKey.trim() || idempotencyKey.length > 255)) {
+            return validationErrorResponse(res, 'Idempotency-Key must be between 1 and 255 characters');
         }
 
-        // Create spin record
-        const spinId = uuidv4();
-        const spin = new Spin({
-            spinId,
+        const result = await executeSpin({
             triggeredBy: req.user.id,
             spinType: 'manual',
-            totalEntries: wheelEntries.length,
-            participants,
-            status: 'pending'
-        });
-
-        await spin.save();
-
-        // Select random winner
-        const randomIndex = Math.floor(Math.random() * wheelEntries.length);
-        const winner = wheelEntries[randomIndex];
-
-        // Update spin with winner
-        spin.winner = {
-            userId: winner.userId,
-            userName: winner.userName,
-            entryCount: participants.find(p => p.userId.toString() === winner.userId.toString())?.entryCount || 1
-        };
-        spin.status = 'completed';
-        spin.completedAt = new Date();
-        await spin.save();
-
-        // Create winner record
-        const winnerRecord = new Winner({
-            userId: winner.userId,
-            userName: winner.userName,
-            spinId: spin._id,
-            prize: 'Mystery Prize'
+            io: req.app.get('io'),
+            idempotencyKey
         });
-        await winnerRecord.save();
 
-        // Update user as winner
-        await User.findByIdAndUpdate(winner.userId, {
-            isWinner: true,
-            lastWinDate: new Date(),
-            congratsShown: false // Reset to show congrats on next login
-        });
+        if (result.replayed) {
+            res.set('Idempotent-Replayed', 'true');
+        }
 
-        // Reset all users' entries to 1 (keeping only registration entry)
-        // and reset shirts purchased count
-        await User.updateMany(
-            { role: 'user' },
-            { 
-                totalEntries: 1,
-                totalShirtsPurchased: 0
-            }
-        );
+        return successResponse(res, result, result.replayed ? 'Spin already completed for this idempotency key' : 'Spin completed successfully');
 
-        // Clear all wheel entries from shirt purchases
-        await WheelEntry.deleteMany({ entryType: 'shirt_purchase' });
-
-        // Send winner notification email
-        try {
-            const winnerUser = await User.findById(winner.userId);
-            if (winnerUser) {
-                await sendWinnerEmail(winnerUser, {
-                    spinId: spin.spinId,
-                    winDate: new Date(),
-                    prize: 'Mystery Prize'
-                });
-            }
-        } catch (emailError) {
-            console.error('Error sending winner email:', emailError);
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
         }
+        console.error('Spin error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
 
-        // Emit real-time update
-        const io = req.app.get('io');
-        io.to('wheel').emit('spin-completed', {
-            spinId: spin.spinId,
-            winner: {
-                userId: winner.userId,
-                userName: winner.userName,
-                instagramHandle: users.find(u => u._id.toString() === winner.userId.toString())?.instagramHandle
-            },
-            totalEntries: wheelEntries.length,
-            participants: participants.length
-        });
+/**
+ * @swagger
+ * /wheel/spin/simulate:
+ *   post:
+ *     summary: Dry-run the next spin with a Monte Carlo simulation (SuperAdmin only)
+ *     description: Builds the same pool as /wheel/spin without writing anything, runs the requested number of draws and compares each participant's empirical win rate with entryCount / totalEntries. Entrants removed by the eligibility rules are listed with the rules that applied; zero-entry entrants and any blocked, deleted or non-user account left in the pool are flagged as anomalies.
+ *     tags: [Wheel]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               iterations:
+ *                 type: integer
+ *                 default: 10000
+ *                 maximum: 100000
+ *                 description: Number of simulated draws
+ *               campaignId:
+ *                 type: string
+ *                 description: Simulate the campaign's next spin instead of the main wheel's
+ *     responses:
+ *       200:
+ *         description: Simulation completed successfully
+ *       400:
+ *         description: Invalid iterations or no entries to draw
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: SuperAdmin access required
+ */
+router.post('/spin/simulate', auth, superadmin, async (req, res) => {
+    try {
+        const iterations = req.body.iterations === undefined ? 10000 : Number(req.body.iterations);
 
-        return successResponse(res, {
-            spinId: spin.spinId,
-            winner: {
-                userId: winner.userId,
-                userName: winner.userName,
-                instagramHandle: users.find(u => u._id.toString() === winner.userId.toString())?.instagramHandle
-            },
-            totalEntries: wheelEntries.length,
-            participants: participants.length,
-            spinTime: spin.spinTime
-        }, 'Spin completed successfully');
+        const simulation = await simulateSpin({ iterations, campaignId: req.body.campaignId });
+
+        return successResponse(res, simulation, 'Spin simulation completed successfully');
 
     } catch (err) {
-        console.error('Spin error:', err);
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Spin simulation error:', err);
         return errorResponse(res, err, 'Server Error');
     }
 });
@@ -268,7 +263,7 @@ router.post('/spin', auth, superadmin, async (req, res) => {
  */
 router.get('/latest-winner', auth, async (req, res) => {
     try {
-        const latestWinner = await Winner.findOne()
+        const latestWinner = await Winner.findOne({ claimStatus: { $ne: 'voided' } })
             .populate('userId', 'name instagramHandle')
             .populate('spinId', 'spinId spinTime')
             .sort({ winDate: -1 });
@@ -309,7 +304,7 @@ router.get('/latest-winner', auth, async (req, res) => {
 router.get('/check-winner', auth, async (req, res) => {
     try {
         const currentUser = await User.findById(req.user.id);
-        const latestWinner = await Winner.findOne()
+        const latestWinner = await Winner.findOne({ claimStatus: { $ne: 'voided' } })
             .populate('userId', 'name instagramHandle')
             .populate('spinId', 'spinId spinTime')
             .sort({ winDate: -1 });
@@ -395,6 +390,88 @@ router.get('/spin-history', auth, superadmin, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /wheel/spins/{spinId}/verify:
+ *   get:
+ *     summary: Get everything needed to independently verify a draw (public - no auth required)
+ *     tags: [Wheel]
+ *     parameters:
+ *       - in: path
+ *         name: spinId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Public spin ID
+ *     responses:
+ *       200:
+ *         description: Verification data retrieved successfully
+ *       400:
+ *         description: Spin has not been drawn yet
+ *       404:
+ *         description: Spin not found
+ */
+router.get('/spins/:spinId/verify', async (req, res) => {
+    try {
+        const spin = await Spin.findOne({ spinId: req.params.spinId });
+
+        if (!spin) {
+            return notFoundResponse(res, 'Spin');
+        }
+
+        if (!spin.fairness || !spin.fairness.serverSeed) {
+            return errorResponse(res, 'This spin has no revealed seed to verify', 'Spin not verifiable', 400);
+        }
+
+        const participants = getTicketRanges(spin.participants);
+        const draws = getSpinDraws(spin);
+
+        const publishedSeedHash = await getPublishedSeedHash(spin.roundId, spin._id);
+        const verification = verifyDraw({
+            serverSeed: spin.fairness.serverSeed,
+            serverSeedHash: spin.fairness.serverSeedHash,
+            publishedSeedHash,
+            snapshotHash: spin.fairness.snapshotHash,
+            participants: spin.participants,
+            draws
+        });
+
+        return successResponse(res, {
+            spinId: spin.spinId,
+            status: spin.status,
+            spinTime: spin.spinTime,
+            completedAt: spin.completedAt,
+            algorithm: spin.fairness.algorithm,
+            serverSeedHash: spin.fairness.serverSeedHash,
+            publishedSeedHash,
+            seedCommittedAt: spin.fairness.seedCommittedAt,
+            serverSeed: spin.fairness.serverSeed,
+            snapshotHash: spin.fairness.snapshotHash,
+            totalEntries: spin.totalEntries,
+            winnerIndex: spin.fairness.winnerIndex,
+            winner: spin.winner,
+            draws,
+            participants,
+            // Round entrants left out of the pool above, and why
+            excluded: spin.exclusions || [],
+            eligibilityRules: spin.eligibilityRules || null,
+            instructions: [
+                'sha256(serverSeed) must equal serverSeedHash',
+                'serverSeedHash must equal publishedSeedHash, the commitment the round published before the draw',
+                'snapshotHash = sha256 of participants joined as "userId:entryCount" with "|", in the order listed',
+                'Draw N uses message = snapshotHash for N = 0 and "snapshotHash:N" after that',
+                'winnerIndex = floor(int(first 13 hex chars of HMAC-SHA256(key=serverSeed, message)) / 2^52 * poolTotalEntries)',
+                'The winner owns winnerIndex among the remaining participants, in the order listed; remove them before the next draw'
+            ],
+            verification
+        }, 'Spin verification data retrieved successfully');
+
+    } catch (err) {
+        console.error('Verify spin error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
 /**
  * @swagger
  * /wheel/stats:
@@ -411,13 +488,13 @@ router.get('/stats', auth, async (req, res) => {
     try {
         const totalUsers = await User.countDocuments({ role: 'user', blocked: false });
         const totalSpins = await Spin.countDocuments({ status: 'completed' });
-        const totalWinners = await Winner.countDocuments();
+        const totalWinners = await Winner.countDocuments({ claimStatus: { $ne: 'voided' } });
         const totalEntries = await User.aggregate([
             { $match: { role: 'user', blocked: false } },
             { $group: { _id: null, total: { $sum: '$totalEntries' } } }
         ]);
 
-        const latestWinner = await Winner.findOne()
+        const latestWinner = await Winner.findOne({ claimStatus: { $ne: 'voided' } })
             .populate('userId', 'name instagramHandle')
             .sort({ winDate: -1 });
 
@@ -439,6 +516,146 @@ router.get('/stats', auth, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /wheel/my-odds:
+ *   get:
+ *     summary: Get the current user's win probability, rank, entry breakdown and odds projection
+ *     description: Odds and rank are for the next draw (a closed round's frozen snapshot, else the live entries of the open round). The breakdown splits the user's live entries by source for the open round, and the projection shows the odds after each extra code or shirt worth entriesPerShirt entries.
+ *     tags: [Wheel]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: steps
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 20
+ *         description: Number of extra codes/shirts to project
+ *     responses:
+ *       200:
+ *         description: Odds retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ */
+router.get('/my-odds', auth, async (req, res) => {
+    try {
+        const steps = Math.min(Math.max(parseInt(req.query.steps) || 5, 1), 20);
+        const userId = req.user.id.toString();
+
+        const user = await User.findById(req.user.id).select('totalEntries blocked');
+        if (!user) {
+            return notFoundResponse(res, 'User');
+        }
+
+        // Odds for the next draw, from the same pool /wheel/spin draws from
+        const drawRound = await findRoundForDraw({ create: false });
+        const { participants: drawPool, excluded: drawExcluded } = await buildEligibleDrawPool(
+            await getRoundEntries(drawRound),
+            { roundId: drawRound ? drawRound._id : undefined }
+        );
+        const drawExclusion = drawExcluded.find(exclusion => exclusion.userId.toString() === userId);
+        const drawTotalEntries = drawPool.reduce((sum, participant) => sum + participant.entryCount, 0);
+        const drawEntry = drawPool.find(participant => participant.userId.toString() === userId);
+        const drawEntryCount = drawEntry ? drawEntry.entryCount : 0;
+        const drawRank = rankEntryCount(
+            drawEntryCount,
+            drawPool.filter(participant => participant.userId.toString() !== userId).map(participant => participant.entryCount)
+        );
+
+        // Where the live balance came from in the open round, from the entry ledger;
+        // whatever is left over was carried over from earlier rounds
+        const openRound = await Round.findOne({ status: 'open', campaignId: null }).sort({ startDate: -1 });
+        const roundTotals = {};
+        if (openRound) {
+            const totals = await EntryTransaction.aggregate([
+                { $match: { userId: user._id, roundId: openRound._id, reason: { $in: ['store_purchase', 'purchase_code', 'free_entry', 'admin_adjustment'] } } },
+                { $group: { _id: '$reason', total: { $sum: '$delta' } } }
+            ]);
+            totals.forEach(total => {
+                roundTotals[total._id] = total.total;
+            });
+        }
+        const storeEntries = roundTotals.store_purchase || 0;
+        const codeEntries = roundTotals.purchase_code || 0;
+        const freeEntries = roundTotals.free_entry || 0;
+        const adminEntries = roundTotals.admin_adjustment || 0;
+        const registrationEntries = user.totalEntries > 0 ? 1 : 0;
+
+        // Projection against the live pool, where newly earned entries count
+        let livePool = drawPool;
+        let liveExclusion = drawExclusion;
+        if (drawRound && drawRound.snapshotFrozenAt) {
+            const live = await buildEligibleDrawPool(await getRoundEntries(null));
+            livePool = live.participants;
+            liveExclusion = live.excluded.find(exclusion => exclusion.userId.toString() === userId);
+        }
+        const liveExcludedBy = user.blocked ? ['blocked'] : (liveExclusion ? liveExclusion.rules : []);
+        const liveOthers = livePool.filter(participant => participant.userId.toString() !== userId);
+        const liveOthersTotal = liveOthers.reduce((sum, participant) => sum + participant.entryCount, 0);
+        const liveEntryCount = liveExcludedBy.length > 0 ? 0 : user.totalEntries;
+
+        const gameSettings = await GameSettings.findOne();
+        const entriesPerShirt = gameSettings?.entriesPerShirt || 10;
+
+        const projection = [];
+        if (liveExcludedBy.length === 0) {
+            for (let extraUnits = 1; extraUnits <= steps; extraUnits++) {
+                const entryCount = liveEntryCount + extraUnits * entriesPerShirt;
+                const probability = entryCount / (liveOthersTotal + entryCount);
+                projection.push({
+                    extraUnits,
+                    extraEntries: extraUnits * entriesPerShirt,
+                    entryCount,
+                    probability: Number(probability.toFixed(6)),
+                    rank: rankEntryCount(entryCount, liveOthers.map(participant => participant.entryCount)).rank
+                });
+            }
+        }
+
+        return successResponse(res, {
+            eligible: !user.blocked && drawEntryCount > 0,
+            excludedBy: drawExclusion ? drawExclusion.rules : [],
+            odds: {
+                roundId: drawRound ? drawRound._id : null,
+                frozen: Boolean(drawRound && drawRound.snapshotFrozenAt),
+                entryCount: drawEntryCount,
+                totalEntries: drawTotalEntries,
+                participants: drawPool.length,
+                probability: drawTotalEntries > 0 ? Number((drawEntryCount / drawTotalEntries).toFixed(6)) : 0,
+                rank: drawEntryCount > 0 ? drawRank.rank : null,
+                entriesToNextRank: drawEntryCount > 0 ? drawRank.entriesToNextRank : null
+            },
+            breakdown: {
+                roundId: openRound ? openRound._id : null,
+                totalEntries: user.totalEntries,
+                registration: registrationEntries,
+                storePurchases: storeEntries,
+                purchaseCodes: codeEntries,
+                freeEntries,
+                adminAdjustments: adminEntries,
+                carriedOver: user.totalEntries - registrationEntries - storeEntries - codeEntries - freeEntries - adminEntries
+            },
+            projection: {
+                excludedBy: liveExcludedBy,
+                entriesPerShirt,
+                currentEntryCount: liveEntryCount,
+                currentProbability: liveOthersTotal + liveEntryCount > 0
+                    ? Number((liveEntryCount / (liveOthersTotal + liveEntryCount)).toFixed(6))
+                    : 0,
+                steps: projection
+            }
+        }, 'Odds retrieved successfully');
+
+    } catch (err) {
+        console.error('Get my odds error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
 /**
  * @swagger
  * /wheel/mark-congrats-shown:
@@ -465,11 +682,391 @@ router.post('/mark-congrats-shown', auth, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /wheel/winners/{id}/claim:
+ *   post:
+ *     summary: Claim a won prize with shipping details
+ *     tags: [Wheel]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Winner record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               addressLine1:
+ *                 type: string
+ *               addressLine2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               postalCode:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Prize claimed successfully
+ *       400:
+ *         description: Missing shipping details, already claimed or deadline passed
+ *       403:
+ *         description: Not your prize
+ *       404:
+ *         description: Winner record not found
+ */
+router.post('/winners/:id/claim', auth, async (req, res) => {
+    try {
+        const { fullName, addressLine1, addressLine2, city, state, postalCode, country, phone } = req.body;
+
+        if (!fullName || !addressLine1 || !city || !postalCode || !country) {
+            return validationErrorResponse(res, 'Full name, address line 1, city, postal code and country are required');
+        }
+
+        const winner = await Winner.findById(req.params.id);
+        if (!winner) {
+            return notFoundResponse(res, 'Winner');
+        }
+
+        if (winner.userId.toString() !== req.user.id.toString()) {
+            return forbiddenResponse(res, 'You can only claim your own prizes');
+        }
+
+        if (winner.claimStatus === 'claimed') {
+            return errorResponse(res, 'This prize has already been claimed', 'Already claimed', 400);
+        }
+
+        if (winner.claimStatus === 'expired' || (winner.claimDeadline && winner.claimDeadline < new Date())) {
+            return errorResponse(res, 'The claim deadline for this prize has passed', 'Claim expired', 400);
+        }
+
+        // Only a still-pending claim can be taken, so a racing expiry job cannot forfeit it
+        const claimDate = new Date();
+        const claimedWinner = await Winner.findOneAndUpdate(
+            { _id: winner._id, claimStatus: 'pending' },
+            {
+                claimStatus: 'claimed',
+                claimed: true,
+                claimDate,
+                shippingDetails: { fullName, addressLine1, addressLine2, city, state, postalCode, country, phone }
+            },
+            { new: true }
+        );
+
+        if (!claimedWinner) {
+            return errorResponse(res, 'This prize can no longer be claimed', 'Claim unavailable', 400);
+        }
+
+        await Spin.findByIdAndUpdate(claimedWinner.spinId, {
+            $push: {
+                claimHistory: {
+                    event: 'claimed',
+                    winnerId: claimedWinner._id,
+                    userId: claimedWinner.userId,
+                    userName: claimedWinner.userName,
+                    position: claimedWinner.position,
+                    prizeName: claimedWinner.prize,
+                    at: claimDate
+                }
+            }
+        });
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to('admin').emit('prize-claimed', {
+                winnerId: claimedWinner._id,
+                userName: claimedWinner.userName,
+                prize: claimedWinner.prize
+            });
+        }
+
+        return successResponse(res, {
+            winnerId: claimedWinner._id,
+            prize: claimedWinner.prize,
+            claimStatus: claimedWinner.claimStatus,
+            claimDate: claimedWinner.claimDate
+        }, 'Prize claimed successfully');
+
+    } catch (err) {
+        console.error('Claim prize error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /wheel/winners/{id}/testimonial:
+ *   post:
+ *     summary: Send a photo with your prize and a short testimonial
+ *     description: Only claimed prizes. The entry goes to the moderation queue and appears in the winners gallery once approved; sending again replaces it and needs a new review.
+ *     tags: [Wheel]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Winner record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - photoUrl
+ *               - testimonial
+ *             properties:
+ *               photoUrl:
+ *                 type: string
+ *                 description: URL of the uploaded photo
+ *               testimonial:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Testimonial submitted for review
+ *       400:
+ *         description: Invalid photo URL or testimonial, or prize not claimed
+ *       403:
+ *         description: Not your prize
+ *       404:
+ *         description: Winner record not found
+ */
+router.post('/winners/:id/testimonial', auth, async (req, res) => {
+    try {
+        const { photoUrl, testimonial } = req.body;
+
+        if (typeof photoUrl !== 'string' || !isHttpUrl(photoUrl)) {
+            return validationErrorResponse(res, 'photoUrl must be an http(s) URL');
+        }
+        if (typeof testimonial !== 'string' || !testimonial.trim()) {
+            return validationErrorResponse(res, 'A testimonial is required');
+        }
+        if (testimonial.trim().length > TESTIMONIAL_MAX_LENGTH) {
+            return validationErrorResponse(res, `Testimonial cannot be longer than ${TESTIMONIAL_MAX_LENGTH} characters`);
+        }
+
+        const winner = await Winner.findById(req.params.id);
+        if (!winner) {
+            return notFoundResponse(res, 'Winner');
+        }
+
+        if (winner.userId.toString() !== req.user.id.toString()) {
+            return forbiddenResponse(res, 'You can only send testimonials for your own prizes');
+        }
+
+        if (winner.claimStatus !== 'claimed') {
+            return errorResponse(res, 'Claim your prize before sending a testimonial', 'Prize not claimed', 400);
+        }
+
+        winner.testimonial = {
+            photoUrl,
+            text: testimonial.trim(),
+            status: 'pending',
+            submittedAt: new Date()
+        };
+        await winner.save();
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to('admin').emit('testimonial-submitted', {
+                winnerId: winner._id,
+                userName: winner.userName,
+                prize: winner.prize
+            });
+        }
+
+        return successResponse(res, {
+            winnerId: winner._id,
+            testimonial: winner.testimonial
+        }, 'Testimonial submitted for review');
+
+    } catch (err) {
+        console.error('Submit testimonial error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /wheel/winners-gallery:
+ *   get:
+ *     summary: Get approved winner photos and testimonials (public - no auth required)
+ *     tags: [Wheel]
+ *     parameters:
+ *       - in: query
+ *         name: roundId
+ *         schema:
+ *           type: string
+ *         description: Only winners of this round
+ *       - in: query
+ *         name: prizeId
+ *         schema:
+ *           type: string
+ *         description: Only winners of this prize
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page (max 50)
+ *     responses:
+ *       200:
+ *         description: Winners gallery retrieved successfully
+ *       400:
+ *         description: Invalid round or prize ID
+ */
+router.get('/winners-gallery', async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+        const { roundId, prizeId } = req.query;
+
+        if ((roundId && !mongoose.isValidObjectId(roundId)) || (prizeId && !mongoose.isValidObjectId(prizeId))) {
+            return validationErrorResponse(res, 'roundId and prizeId must be valid IDs');
+        }
+
+        const query = { 'testimonial.status': 'approved', claimStatus: { $ne: 'voided' } };
+        if (roundId) query.roundId = roundId;
+        if (prizeId) query.prizeId = prizeId;
+
+        const [winners, total] = await Promise.all([
+            Winner.find(query)
+                .populate('userId', 'name instagramHandle')
+                .populate('roundId', 'title')
+                .populate('prizeId', 'name image')
+                .sort({ 'testimonial.reviewedAt': -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Winner.countDocuments(query)
+        ]);
+
+        const gallery = winners.map(winner => ({
+            winnerId: winner._id,
+            userName: winner.userId ? winner.userId.name : winner.userName,
+            instagramHandle: winner.userId ? winner.userId.instagramHandle : undefined,
+            prize: winner.prize,
+            prizeId: winner.prizeId ? winner.prizeId._id : undefined,
+            prizeImage: winner.prizeId ? winner.prizeId.image : undefined,
+            roundId: winner.roundId ? winner.roundId._id : undefined,
+            roundTitle: winner.roundId ? winner.roundId.title : undefined,
+            winDate: winner.winDate,
+            photoUrl: winner.testimonial.photoUrl,
+            testimonial: winner.testimonial.text,
+            approvedAt: winner.testimonial.reviewedAt
+        }));
+
+        return successResponse(res, {
+            winners: gallery,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalWinners: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        }, 'Winners gallery retrieved successfully');
+
+    } catch (err) {
+        console.error('Get winners gallery error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /wheel/transcripts/verify:
+ *   post:
+ *     summary: Check that a draw transcript was signed by this server and not edited (public - no auth required)
+ *     description: Send the transcript JSON exactly as downloaded from /admin/spins/{spinId}/transcript.
+ *     tags: [Wheel]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Verification result (valid is false for edited or foreign transcripts)
+ *       503:
+ *         description: Transcript signing key is not configured
+ */
+router.post('/transcripts/verify', async (req, res) => {
+    try {
+        const result = verifyTranscript(req.body);
+
+        // The draw may have been voided since the transcript was made
+        if (result.valid) {
+            const spin = await Spin.findOne({ spinId: result.spinId }).select('status');
+            result.currentSpinStatus = spin ? spin.status : null;
+        }
+
+        return successResponse(res, result, result.valid ? 'Transcript signature is valid' : 'Transcript signature is not valid');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Verify transcript error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
+/**
+ * @swagger
+ * /wheel/transcripts/public-key:
+ *   get:
+ *     summary: Get the public key draw transcripts are signed with (public - no auth required)
+ *     description: Verify offline by checking the Ed25519 signature over the transcript's canonical JSON (keys sorted, no whitespace, without the signature field).
+ *     tags: [Wheel]
+ *     responses:
+ *       200:
+ *         description: Public key retrieved successfully
+ *       503:
+ *         description: Transcript signing key is not configured
+ */
+router.get('/transcripts/public-key', async (req, res) => {
+    try {
+        return successResponse(res, getTranscriptPublicKey(), 'Public key retrieved successfully');
+
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.title, err.statusCode);
+        }
+        console.error('Get transcript public key error:', err);
+        return errorResponse(res, err, 'Server Error');
+    }
+});
+
 /**
  * @swagger
  * /wheel/game-settings:
  *   get:
  *     summary: Get public game settings (no auth required)
+ *     description: upcomingDraws lists the next draws of the wheel's recurring draw schedule, with skips and postponements applied.
  *     tags: [Wheel]
  *     responses:
  *       200:
@@ -498,7 +1095,10 @@ router.get('/game-settings', async (req, res) => {
             shopifyEnabled: gameSettings.shopifyEnabled || false,
             gameStartTime: gameSettings.gameStartTime,
             gameEndTime: gameSettings.gameEndTime,
-            countdownActive: gameSettings.timerActive
+            countdownActive: gameSettings.timerActive,
+            serverSeedHash: gameSettings.serverSeedHash || null,
+            seedCommittedAt: gameSettings.seedCommittedAt || null,
+            upcomingDraws: await getUpcomingDraws()
         }, 'Game settings retrieved successfully');
 
     } catch (err) {
@@ -521,20 +1121,20 @@ router.get('/public-stats', async (req, res) => {
     try {
         const totalUsers = await User.countDocuments({ role: 'user', blocked: false });
         const totalSpins = await Spin.countDocuments({ status: 'completed' });
-        const totalWinners = await Winner.countDocuments();
+        const totalWinners = await Winner.countDocuments({ claimStatus: { $ne: 'voided' } });
         const totalEntries = await User.aggregate([
             { $match: { role: 'user', blocked: false } },
             { $group: { _id: null, total: { $sum: '$totalEntries' } } }
         ]);
 
         // Get latest winner
-        const latestWinner = await Winner.findOne()
+        const latestWinner = await Winner.findOne({ claimStatus: { $ne: 'voided' } })
             .populate('userId', 'name instagramHandle')
             .populate('spinId', 'spinId spinTime')
             .sort({ winDate: -1 });
 
         // Get recent winners
-        const recentWinners = await Winner.find()
+        const recentWinners = await Winner.find({ claimStatus: { $ne: 'voided' } })
             .populate('userId', 'name instagramHandle')
             .populate('spinId', 'spinId spinTime')
             .sort({ winDate: -1 })
@@ -5,6 +5,11 @@ const { Server } = require('socket.io');
 
 // Import models at the top level
 const GameSettings = require('./models/GameSettings');
+const Campaign = require('./models/Campaign');
+const { getWheelRoom } = require('./utils/campaignHelper');
+const { processExpiredClaims } = require('./utils/claimHelper');
+const { expireStockReservations } = require('./services/orderService');
+const { startDrawScheduler, stopDrawScheduler } = require('./services/drawScheduler');
 
 // Import routes
 const authRoute = require('./routes/auth');
@@ -15,6 +20,11 @@ const dashboardRoute = require('./routes/dashboard');
 const purchaseCodeRoute = require('./routes/purchaseCode');
 const superadminRoute = require('./routes/superadmin');
 const platformSettingsRoute = require('./routes/platformSettings');
+const roundRoute = require('./routes/round');
+const prizeRoute = require('./routes/prize');
+const freeEntryRoute = require('./routes/freeEntry');
+const campaignRoute = require('./routes/campaign');
+const drawScheduleRoute = require('./routes/drawSchedule');
 
 // Import middleware
 const cors = require('cors');
@@ -38,8 +48,12 @@ db.once('open', ()=>{
     console.log("MongoDB Connection Successful");
 });
 
-// Middleware
-app.use(express.json());
+// Middleware (the raw body is kept for payment webhook signature checks)
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(cors({
   origin: '*'
 }));
@@ -53,6 +67,11 @@ app.use('/dashboard', dashboardRoute);
 app.use('/purchase-codes', purchaseCodeRoute);
 app.use('/superadmin', superadminRoute);
 app.use('/platform-settings', platformSettingsRoute);
+app.use('/rounds', roundRoute);
+app.use('/prizes', prizeRoute);
+app.use('/free-entries', freeEntryRoute);
+app.use('/campaigns', campaignRoute);
+app.use('/draw-schedules', drawScheduleRoute);
 
 // Swagger configuration
 const swaggerOptions = {
@@ -103,9 +122,9 @@ app.get('/status', (req, res)=> {
 io.on('connection', (socket) => {
     console.log('User connected:', socket.id);
     
-    // Join wheel room for real-time wheel updates
-    socket.on('join-wheel', () => {
-        socket.join('wheel');
+    // Join wheel room for real-time wheel updates (a campaign's own room when its ID is given)
+    socket.on('join-wheel', (campaignId) => {
+        socket.join(typeof campaignId === 'string' && campaignId ? getWheelRoom(campaignId) : 'wheel');
     });
     
     // Join admin room for admin updates
@@ -149,10 +168,13 @@ const startCountdownUpdates = () => {
                 
                 // Check if countdown has expired
                 if (timeRemaining <= 0) {
-                    // Notify admin that countdown has expired
+                    // Notify admin that countdown has expired (the draw scheduler spins when autoSpin is on)
                     io.to('admin').emit('countdown-expired', {
-                        message: 'Game countdown has expired! Time to spin the wheel.',
-                        gameEndTime: gameSettings.gameEndTime
+                        message: gameSettings.autoSpin
+                            ? 'Game countdown has expired! The wheel will spin automatically.'
+                            : 'Game countdown has expired! Time to spin the wheel.',
+                        gameEndTime: gameSettings.gameEndTime,
+                        autoSpin: gameSettings.autoSpin
                     });
                     
                     // Update countdown status
@@ -160,16 +182,95 @@ const startCountdownUpdates = () => {
                     await gameSettings.save();
                 }
             }
+
+            // Campaign countdowns go to each campaign's own room
+            const campaigns = await Campaign.find({ countdownActive: true, gameEndTime: { $exists: true } }).maxTimeMS(5000);
+            for (const campaign of campaigns) {
+                const now = new Date();
+                const timeRemaining = Math.max(0, campaign.gameEndTime.getTime() - now.getTime());
+
+                io.to(getWheelRoom(campaign._id)).emit('countdown-update', {
+                    campaignId: campaign._id,
+                    timeRemaining,
+                    gameEndTime: campaign.gameEndTime,
+                    countdownActive: campaign.countdownActive
+                });
+
+                if (timeRemaining <= 0) {
+                    io.to('admin').emit('countdown-expired', {
+                        campaignId: campaign._id,
+                        message: campaign.autoSpin
+                            ? `The ${campaign.name} countdown has expired! The wheel will spin automatically.`
+                            : `The ${campaign.name} countdown has expired! Time to spin the wheel.`,
+                        gameEndTime: campaign.gameEndTime,
+                        autoSpin: campaign.autoSpin
+                    });
+
+                    campaign.countdownActive = false;
+                    await campaign.save();
+                }
+            }
         } catch (error) {
             console.error('Error in countdown update:', error.message);
         }
     }, 1000); // Update every second
 };
 
+// Periodic forfeit of unclaimed prizes past their deadline
+let claimExpiryInterval;
+
+const startClaimExpiryChecks = () => {
+    if (claimExpiryInterval) {
+        clearInterval(claimExpiryInterval);
+    }
+
+    claimExpiryInterval = setInterval(async () => {
+        try {
+            if (mongoose.connection.readyState !== 1) {
+                return;
+            }
+
+            const processed = await processExpiredClaims(io);
+            if (processed > 0) {
+                console.log(`Forfeited ${processed} expired prize claim(s)`);
+            }
+        } catch (error) {
+            console.error('Error in claim expiry check:', error.message);
+        }
+    }, 60 * 1000); // Check every minute
+};
+
+// Periodic release of stock held by orders that were never paid
+let reservationExpiryInterval;
+
+const startReservationExpiryChecks = () => {
+    if (reservationExpiryInterval) {
+        clearInterval(reservationExpiryInterval);
+    }
+
+    reservationExpiryInterval = setInterval(async () => {
+        try {
+            if (mongoose.connection.readyState !== 1) {
+                return;
+            }
+
+            const cancelled = await expireStockReservations();
+            if (cancelled > 0) {
+                console.log(`Cancelled ${cancelled} unpaid order(s) and released their stock`);
+            }
+        } catch (error) {
+            console.error('Error in stock reservation expiry check:', error.message);
+        }
+    }, 60 * 1000); // Check every minute
+};
+
 // Start countdown updates after MongoDB connection
 mongoose.connection.on('connected', () => {
     console.log('MongoDB connected, starting countdown updates');
     startCountdownUpdates();
+    startClaimExpiryChecks();
+    startReservationExpiryChecks();
+    startDrawScheduler(io);
 });
 
 mongoose.connection.on('disconnected', () => {
@@ -177,6 +278,15 @@ mongoose.connection.on('disconnected', () => {
         clearInterval(countdownInterval);
         countdownInterval = null;
     }
+    if (claimExpiryInterval) {
+        clearInterval(claimExpiryInterval);
+        claimExpiryInterval = null;
+    }
+    if (reservationExpiryInterval) {
+        clearInterval(reservationExpiryInterval);
+        reservationExpiryInterval = null;
+    }
+    stopDrawScheduler();
 });
 
 const PORT = process.env.PORT || 5000;
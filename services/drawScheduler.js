@@ -0,0 +1,321 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Spin = require('../models/Spin');
+const ScheduledDraw = require('../models/ScheduledDraw');
+const GameSettings = require('../models/GameSettings');
+const Campaign = require('../models/Campaign');
+const PlatformSettings = require('../models/PlatformSettings');
+const DrawSchedule = require('../models/DrawSchedule');
+const { executeSpin } = require('./spinService');
+const { getOpenRound } = require('../utils/roundHelper');
+const { startCountdownUntil, startGameCountdown, syncScheduledDraw } = require('../utils/countdownHelper');
+const { getWheelRoom, toPublicCampaign } = require('../utils/campaignHelper');
+const { getNextOccurrence } = require('../utils/scheduleHelper');
+
+// Identifies this server process in draw locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000; // A crashed instance's lock can be taken over after this
+const MAX_ATTEMPTS = 3;
+
+let schedulerInterval;
+let polling = false;
+
+// Atomically take one due draw; only one instance can win the update
+const claimDueDraw = async () => {
+    const now = new Date();
+    return ScheduledDraw.findOneAndUpdate(
+        {
+            attempts: { $lt: MAX_ATTEMPTS },
+            $or: [
+                { status: 'pending', runAt: { $lte: now } },
+                { status: 'running', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            status: 'running',
+            lockedBy: INSTANCE_ID,
+            lockedAt: now,
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { runAt: 1 } }
+    );
+};
+
+// Tell a wheel's clients about a countdown the scheduler changed
+const emitWheelSettings = (settings, campaignId, io) => {
+    if (!io) {
+        return;
+    }
+    if (campaignId) {
+        const publicCampaign = toPublicCampaign(settings);
+        io.to(getWheelRoom(campaignId)).emit('campaign-updated', publicCampaign);
+        io.to('admin').emit('campaign-updated', publicCampaign);
+        return;
+    }
+    const publicSettings = settings.toObject();
+    delete publicSettings.serverSeed;
+    io.to('wheel').emit('game-settings-updated', publicSettings);
+    io.to('admin').emit('game-settings-updated', publicSettings);
+};
+
+// Start the next countdown when platform auto-spin is enabled
+const startNextCountdown = async (gameSettings, io) => {
+    const platformSettings = await PlatformSettings.findOne();
+    if (!platformSettings || !platformSettings.autoSpinEnabled || !(platformSettings.autoSpinInterval > 0)) {
+        return false;
+    }
+
+    // A recurring schedule sets the main wheel's countdowns instead
+    if (await DrawSchedule.exists({ active: true, campaignId: null })) {
+        return false;
+    }
+
+    await getOpenRound();
+
+    const freshSettings = await GameSettings.findById(gameSettings._id).select('+serverSeed');
+    startGameCountdown(freshSettings, platformSettings.autoSpinInterval);
+    await freshSettings.save();
+    await syncScheduledDraw(freshSettings);
+
+    emitWheelSettings(freshSettings, null, io);
+
+    return true;
+};
+
+// Keep a recurring schedule's next occurrence pending and the wheel's countdown on it.
+// A new occurrence opens the wheel's next round and commits a fresh seed; a postponed
+// one only moves the countdown.
+const syncDrawSchedule = async (schedule, io) => {
+    const now = new Date();
+
+    // Let a due or running occurrence finish before moving on to the next one
+    if (schedule.active && await ScheduledDraw.exists({
+        drawScheduleId: schedule._id,
+        $or: [{ status: 'running' }, { status: 'pending', runAt: { $lte: now } }]
+    })) {
+        return null;
+    }
+
+    const next = schedule.active ? getNextOccurrence(schedule, now) : null;
+    const pending = await ScheduledDraw.find({ drawScheduleId: schedule._id, status: 'pending' });
+    const stale = pending
+        .filter(job => !next || job.occurrence.getTime() !== next.occurrence.getTime())
+        .map(job => job._id);
+    if (stale.length > 0) {
+        await ScheduledDraw.updateMany(
+            { _id: { $in: stale }, status: 'pending' },
+            { status: 'cancelled', error: 'Replaced by a draw schedule change' }
+        );
+    }
+    if (!next) {
+        return null;
+    }
+
+    const campaign = schedule.campaignId ? await Campaign.findById(schedule.campaignId).select('+serverSeed') : null;
+    if (schedule.campaignId && (!campaign || campaign.status !== 'active')) {
+        return null;
+    }
+
+    let job = pending.find(job => job.occurrence.getTime() === next.occurrence.getTime());
+    if (job && job.runAt.getTime() === next.runAt.getTime()) {
+        return job;
+    }
+
+    const isNewOccurrence = !job;
+    if (job) {
+        job.runAt = next.runAt;
+        await job.save();
+    } else {
+        try {
+            job = await ScheduledDraw.create({
+                campaignId: schedule.campaignId || undefined,
+                drawScheduleId: schedule._id,
+                occurrence: next.occurrence,
+                runAt: next.runAt,
+                createdBy: schedule.updatedBy || schedule.createdBy
+            });
+        } catch (error) {
+            // Another instance synced this occurrence first
+            if (error.code === 11000) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    const settings = campaign || await GameSettings.findOne().select('+serverSeed');
+    if (!settings) {
+        return job;
+    }
+
+    if (isNewOccurrence) {
+        startCountdownUntil(settings, next.runAt);
+    } else {
+        settings.gameEndTime = next.runAt;
+        settings.nextSpinDate = next.runAt;
+        settings.countdownActive = true;
+    }
+    await settings.save();
+
+    if (isNewOccurrence) {
+        await getOpenRound(campaign);
+    }
+
+    emitWheelSettings(settings, schedule.campaignId, io);
+
+    return job;
+};
+
+const syncDrawSchedules = async (io) => {
+    const schedules = await DrawSchedule.find({ active: true });
+    for (const schedule of schedules) {
+        try {
+            await syncDrawSchedule(schedule, io);
+        } catch (error) {
+            console.error(`Error syncing draw schedule ${schedule._id}:`, error.message);
+        }
+    }
+};
+
+const runScheduledDraw = async (job, io) => {
+    // A campaign's draw runs on its own settings; the main wheel's on the game settings
+    const gameSettings = job.campaignId ? await Campaign.findById(job.campaignId) : await GameSettings.findOne();
+    const inactive = job.campaignId
+        ? !gameSettings || gameSettings.status !== 'active'
+        : !gameSettings || !gameSettings.gameActive || gameSettings.maintenanceMode;
+
+    // Occurrences of a recurring schedule run whatever the autoSpin setting
+    if (inactive || (!gameSettings.autoSpin && !job.drawScheduleId)) {
+        job.status = 'cancelled';
+        job.error = 'Auto spin is disabled or the game is inactive';
+        job.completedAt = new Date();
+        await job.save();
+        return;
+    }
+
+    try {
+        // Keyed by job, so a job retried after a lost lock returns its first draw instead of drawing again
+        const result = await executeSpin({
+            triggeredBy: job.createdBy,
+            spinType: 'timer',
+            io,
+            idempotencyKey: `scheduled-draw:${job._id}`,
+            campaignId: job.campaignId
+        });
+
+        const spin = await Spin.findOne({ spinId: result.spinId }).select('_id');
+
+        job.status = 'completed';
+        job.spinId = spin ? spin._id : undefined;
+        job.error = undefined;
+        job.completedAt = new Date();
+        await job.save();
+
+        gameSettings.countdownActive = false;
+        gameSettings.lastSpinDate = new Date();
+        await gameSettings.save();
+
+        if (io) {
+            io.to('admin').emit('auto-spin-completed', { spinId: result.spinId, scheduledDrawId: job._id, campaignId: job.campaignId });
+        }
+
+        // A schedule moves on to its next occurrence; otherwise campaign
+        // countdowns are restarted by an admin
+        if (job.drawScheduleId) {
+            const schedule = await DrawSchedule.findByIdAndUpdate(
+                job.drawScheduleId,
+                { lastOccurrenceAt: job.occurrence },
+                { new: true }
+            );
+            if (schedule) {
+                await syncDrawSchedule(schedule, io);
+            }
+        } else if (!job.campaignId) {
+            await startNextCountdown(gameSettings, io);
+        }
+
+    } catch (error) {
+        // Draw errors such as an empty pool will not fix themselves; others
+        // (including a spin already running on the round) are retried
+        const retry = (!error.statusCode || error.statusCode === 409) && job.attempts < MAX_ATTEMPTS;
+        job.status = retry ? 'pending' : 'failed';
+        job.error = error.message;
+        job.completedAt = retry ? undefined : new Date();
+        await job.save();
+
+        console.error('Scheduled draw error:', error.message);
+        if (io) {
+            io.to('admin').emit('auto-spin-failed', { scheduledDrawId: job._id, campaignId: job.campaignId, error: error.message, willRetry: retry });
+        }
+    }
+};
+
+// Run every draw that is due, then line up the schedules' next occurrences
+const processDueDraws = async (io) => {
+    if (polling) {
+        return;
+    }
+    polling = true;
+    try {
+        let job = await claimDueDraw();
+        while (job) {
+            await runScheduledDraw(job, io);
+            job = await claimDueDraw();
+        }
+        await syncDrawSchedules(io);
+    } finally {
+        polling = false;
+    }
+};
+
+// Recreate the pending draws for countdowns started before a restart
+const restoreScheduledDraws = async () => {
+    const gameSettings = await GameSettings.findOne();
+    if (gameSettings && gameSettings.autoSpin && gameSettings.countdownActive && gameSettings.gameEndTime) {
+        await syncScheduledDraw(gameSettings);
+    }
+
+    const campaigns = await Campaign.find({ status: 'active', autoSpin: true, countdownActive: true, gameEndTime: { $exists: true } });
+    for (const campaign of campaigns) {
+        await syncScheduledDraw(campaign, campaign.updatedBy, { campaignId: campaign._id });
+    }
+};
+
+const startDrawScheduler = async (io) => {
+    stopDrawScheduler();
+
+    try {
+        await restoreScheduledDraws();
+    } catch (error) {
+        console.error('Error restoring scheduled draws:', error.message);
+    }
+
+    schedulerInterval = setInterval(async () => {
+        try {
+            if (mongoose.connection.readyState !== 1) {
+                return;
+            }
+            await processDueDraws(io);
+        } catch (error) {
+            console.error('Error in draw scheduler:', error.message);
+        }
+    }, POLL_INTERVAL_MS);
+};
+
+const stopDrawScheduler = () => {
+    if (schedulerInterval) {
+        clearInterval(schedulerInterval);
+        schedulerInterval = null;
+    }
+};
+
+module.exports = {
+    INSTANCE_ID,
+    processDueDraws,
+    syncDrawSchedule,
+    startDrawScheduler,
+    stopDrawScheduler
+};
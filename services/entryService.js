@@ -0,0 +1,181 @@
+const User = require('../models/User');
+const CampaignEntry = require('../models/CampaignEntry');
+const EntryTransaction = require('../models/EntryTransaction');
+const GameSettings = require('../models/GameSettings');
+const PlatformSettings = require('../models/PlatformSettings');
+const { getOpenRound } = require('../utils/roundHelper');
+const { recordEntryChange, createEntryError } = require('../utils/entryHelper');
+const { acquireLock, releaseLock } = require('../utils/lockHelper');
+const { assertAcceptsEntries } = require('../utils/campaignHelper');
+
+// Sources that earn entries and are subject to the caps below
+const CAPPED_SOURCES = ['store_purchase', 'purchase_code', 'free_entry'];
+
+const AWARD_LOCK_TTL_MS = 10 * 1000;
+const AWARD_LOCK_WAIT_MS = 3 * 1000;
+
+// Lowest configured positive limit, or null when none is set
+const lowestLimit = (...limits) => {
+    const set = limits.filter(limit => typeof limit === 'number' && limit > 0);
+    return set.length > 0 ? Math.min(...set) : null;
+};
+
+const startOfUtcDay = (date = new Date()) => {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Work out how many of `requested` entries `userId` can receive from `source`
+// in `round` right now, and which limits clipped the rest. Writes nothing.
+// With `campaign`, the entries are for that campaign's balance and its own per-user limit.
+const planEntryAward = async ({ userId, source, requested, round, campaign = null }) => {
+    if (campaign) {
+        assertAcceptsEntries(campaign, source);
+    }
+
+    const [user, gameSettings, platformSettings, campaignBalance] = await Promise.all([
+        User.findById(userId).select('totalEntries'),
+        GameSettings.findOne(),
+        PlatformSettings.findOne(),
+        campaign ? CampaignEntry.findOne({ campaignId: campaign._id, userId }) : null
+    ]);
+
+    if (!user) {
+        throw createEntryError('User not found', 'User not found', 404);
+    }
+
+    const limits = [];
+    const balance = campaign ? (campaignBalance ? campaignBalance.entries : 0) : user.totalEntries;
+
+    // Cap on the balance a user holds in the round (the lower of both settings, or the campaign's own)
+    const maxEntriesPerUser = campaign
+        ? lowestLimit(campaign.maxEntriesPerUser)
+        : lowestLimit(gameSettings?.maxEntriesPerUser, platformSettings?.maxEntriesPerUser);
+    if (maxEntriesPerUser !== null) {
+        limits.push({
+            type: 'max_entries_per_user',
+            limit: maxEntriesPerUser,
+            remaining: Math.max(maxEntriesPerUser - balance, 0),
+            message: `A user can hold at most ${maxEntriesPerUser} entries per round`
+        });
+    }
+
+    const sourceCap = lowestLimit(gameSettings?.entrySourceCaps?.[source]);
+    if (sourceCap !== null) {
+        const earned = await EntryTransaction.aggregate([
+            { $match: { userId: user._id, roundId: round._id, reason: source } },
+            { $group: { _id: null, total: { $sum: '$delta' } } }
+        ]);
+        limits.push({
+            type: 'source_cap',
+            limit: sourceCap,
+            remaining: Math.max(sourceCap - (earned[0]?.total || 0), 0),
+            message: `At most ${sourceCap} entries per round can come from ${source.replace('_', ' ')}s`
+        });
+    }
+
+    const dailyCap = lowestLimit(gameSettings?.maxEntriesPerDay);
+    if (dailyCap !== null) {
+        const earnedToday = await EntryTransaction.aggregate([
+            { $match: { userId: user._id, campaignId: campaign ? campaign._id : null, reason: { $in: CAPPED_SOURCES }, createdAt: { $gte: startOfUtcDay() } } },
+            { $group: { _id: null, total: { $sum: '$delta' } } }
+        ]);
+        limits.push({
+            type: 'daily_cap',
+            limit: dailyCap,
+            remaining: Math.max(dailyCap - (earnedToday[0]?.total || 0), 0),
+            message: `At most ${dailyCap} entries can be earned per day`
+        });
+    }
+
+    const granted = limits.reduce((amount, limit) => Math.min(amount, limit.remaining), requested);
+    const clippedBy = limits.filter(limit => limit.remaining < requested);
+
+    return {
+        requested,
+        granted,
+        clipped: requested - granted,
+        clippedBy: clippedBy.map(limit => ({
+            type: limit.type,
+            limit: limit.limit,
+            remaining: limit.remaining,
+            message: limit.message
+        })),
+        message: granted < requested
+            ? `${granted} of ${requested} entries granted. ${clippedBy.map(limit => limit.message).join('. ')}.`
+            : `${granted} entries granted`
+    };
+};
+
+// Wait briefly for the per-user award lock so concurrent awards cannot both pass a cap
+const acquireAwardLock = async (userId) => {
+    const key = `entries:user:${userId}`;
+    const deadline = Date.now() + AWARD_LOCK_WAIT_MS;
+
+    while (Date.now() < deadline) {
+        const owner = await acquireLock(key, AWARD_LOCK_TTL_MS);
+        if (owner) {
+            return { key, owner };
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    throw createEntryError('Entries are being updated, please try again', 'Entries busy', 409);
+};
+
+// Award entries earned from a capped source, clipped to every configured limit.
+// Every store purchase, code redemption and free entry goes through here.
+// With `campaign` the entries go to that campaign's open round and balance.
+// Returns the plan (requested/granted/clipped and why) and the ledger row, if any.
+const awardEntries = async ({ userId, source, requested, sourceType, sourceId, actorId, round, campaign = null }) => {
+    if (!CAPPED_SOURCES.includes(source)) {
+        throw new Error(`Unknown entry source: ${source}`);
+    }
+
+    const awardRound = round || await getOpenRound(campaign);
+    const lock = await acquireAwardLock(userId);
+
+    try {
+        const award = await planEntryAward({ userId, source, requested, round: awardRound, campaign });
+
+        let transaction = null;
+        if (award.granted > 0) {
+            transaction = await recordEntryChange({
+                userId,
+                campaignId: campaign ? campaign._id : undefined,
+                roundId: awardRound._id,
+                delta: award.granted,
+                reason: source,
+                note: award.clipped > 0 ? award.message : undefined,
+                sourceType,
+                sourceId,
+                actorId
+            });
+        }
+
+        let balance;
+        if (transaction) {
+            balance = transaction.balanceAfter;
+        } else if (campaign) {
+            const campaignBalance = await CampaignEntry.findOne({ campaignId: campaign._id, userId });
+            balance = campaignBalance ? campaignBalance.entries : 0;
+        } else {
+            balance = (await User.findById(userId).select('totalEntries')).totalEntries;
+        }
+
+        return {
+            ...award,
+            campaignId: campaign ? campaign._id : undefined,
+            roundId: awardRound._id,
+            balance,
+            transaction
+        };
+    } finally {
+        await releaseLock(lock.key, lock.owner);
+    }
+};
+
+module.exports = {
+    CAPPED_SOURCES,
+    planEntryAward,
+    awardEntries
+};
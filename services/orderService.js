@@ -0,0 +1,276 @@
+const Purchase = require('../models/Purchase');
+const Store = require('../models/Store');
+const User = require('../models/User');
+const WheelEntry = require('../models/WheelEntry');
+const EntryTransaction = require('../models/EntryTransaction');
+const { getOpenRound } = require('../utils/roundHelper');
+const { findCampaign } = require('../utils/campaignHelper');
+const { awardEntries } = require('./entryService');
+
+// Order states each state can move to. Entries are granted on the move to
+// `paid`; cancelling an unpaid order puts its items back in stock.
+// `completed` orders predate the lifecycle and are treated as paid.
+const ORDER_TRANSITIONS = {
+    pending_payment: ['paid', 'cancelled'],
+    paid: ['fulfilled', 'shipped', 'refunded'],
+    completed: ['fulfilled', 'shipped', 'delivered', 'refunded'],
+    fulfilled: ['shipped', 'delivered', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: []
+};
+
+// How long an unpaid order holds its stock before it is cancelled
+const RESERVATION_TTL_MS = (parseInt(process.env.STOCK_RESERVATION_MINUTES) || 30) * 60 * 1000;
+// Cash orders wait for an admin to confirm the payment, so they hold their stock longer
+const CASH_RESERVATION_TTL_MS = (parseInt(process.env.CASH_RESERVATION_HOURS) || 48) * 60 * 60 * 1000;
+// An authorized payment keeps the order's stock this long for the provider to capture it
+const AUTHORIZED_RESERVATION_TTL_MS = (parseInt(process.env.AUTHORIZED_RESERVATION_HOURS) || 24) * 60 * 60 * 1000;
+
+// Timestamp set when an order enters a state
+const STATUS_TIMESTAMPS = {
+    paid: 'paidAt',
+    fulfilled: 'fulfilledAt',
+    shipped: 'shippedAt',
+    delivered: 'deliveredAt',
+    cancelled: 'cancelledAt',
+    refunded: 'refundedAt'
+};
+
+// Errors the caller should report to the client as-is (statusCode + title)
+const createOrderError = (message, title, statusCode) => {
+    const error = new Error(message);
+    error.title = title;
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Put reserved quantities back on the shelf, on the variant's stock for lines
+// that record one. Variants are matched by SKU, which stays the same when an
+// admin rewrites an item's variant list.
+const releaseStock = async (lines) => {
+    for (const line of lines) {
+        if (line.sku) {
+            await Store.updateOne(
+                { _id: line.storeItemId, 'variants.sku': line.sku },
+                { $inc: { 'variants.$.stock': line.quantity } }
+            );
+        } else {
+            await Store.updateOne({ _id: line.storeItemId }, { $inc: { stock: line.quantity } });
+        }
+    }
+};
+
+// Take a whole cart out of stock, or nothing. Each decrement only applies if
+// enough stock is left at that moment, so concurrent checkouts cannot oversell;
+// if any line falls short, the lines already taken are put back.
+const reserveStock = async (lines) => {
+    const reserved = [];
+
+    for (const line of lines) {
+        const updated = line.sku
+            ? await Store.findOneAndUpdate(
+                {
+                    _id: line.storeItemId,
+                    active: true,
+                    variants: { $elemMatch: { sku: line.sku, active: true, stock: { $gte: line.quantity } } }
+                },
+                { $inc: { 'variants.$.stock': -line.quantity } }
+            )
+            : await Store.findOneAndUpdate(
+                { _id: line.storeItemId, active: true, stock: { $gte: line.quantity } },
+                { $inc: { stock: -line.quantity } }
+            );
+        if (!updated) {
+            await releaseStock(reserved);
+            const name = line.sku ? `${line.itemName} (${line.sku})` : line.itemName;
+            throw createOrderError(`Insufficient stock for ${name}`, 'Out of stock', 400);
+        }
+        reserved.push(line);
+    }
+};
+
+// When a new order placed with `paymentMethod` stops holding its stock
+const getReservationExpiry = (paymentMethod, from = new Date()) => {
+    const ttl = paymentMethod === 'cash' ? CASH_RESERVATION_TTL_MS : RESERVATION_TTL_MS; // 'cash' is MANUAL_PAYMENT_METHOD
+    return new Date(from.getTime() + ttl);
+};
+
+// Cancel unpaid orders whose stock reservation ran out, which puts their items
+// back in stock. Orders whose payment was captured are left for the provider's
+// webhook to settle; an authorized payment only extends the reservation. Orders
+// placed before every reservation had an expiry get the cash one from their order date.
+// Returns the number of orders cancelled.
+const expireStockReservations = async () => {
+    const now = new Date();
+    const expired = await Purchase.find({
+        status: 'pending_payment',
+        'payment.status': { $ne: 'succeeded' },
+        $or: [
+            { reservationExpiresAt: { $lte: now } },
+            { reservationExpiresAt: null, purchaseDate: { $lte: new Date(now.getTime() - CASH_RESERVATION_TTL_MS) } }
+        ]
+    }).select('_id');
+
+    let cancelled = 0;
+    for (const { _id } of expired) {
+        try {
+            await transitionOrder({ purchaseId: _id, status: 'cancelled', note: 'Stock reservation expired' });
+            cancelled++;
+        } catch (error) {
+            // Paid or cancelled in the meantime
+            if (error.statusCode !== 409 && error.statusCode !== 400) {
+                throw error;
+            }
+        }
+    }
+    return cancelled;
+};
+
+const countShirts = (items) => {
+    return items.reduce((sum, item) =>
+        item.itemName.toLowerCase().includes('shirt') ? sum + item.quantity : sum, 0
+    );
+};
+
+// The award already recorded in the ledger for an order, if an earlier attempt got that far
+const findRecordedAward = async (purchase) => {
+    const transaction = await EntryTransaction.findOne({
+        sourceType: 'Purchase',
+        sourceId: purchase._id,
+        reason: 'store_purchase'
+    });
+    if (!transaction) {
+        return null;
+    }
+
+    return {
+        requested: purchase.totalEntriesEarned,
+        granted: transaction.delta,
+        clipped: purchase.totalEntriesEarned - transaction.delta,
+        clippedBy: [],
+        message: transaction.note || `${transaction.delta} entries granted`,
+        campaignId: transaction.campaignId || undefined,
+        roundId: transaction.roundId,
+        balance: transaction.balanceAfter,
+        transaction
+    };
+};
+
+// Grant a paid order's entries to the open round of its wheel, clipped to the entry caps.
+// Safe to run again after a failure: entries already in the ledger for the order are
+// not awarded twice, shirts are counted once and its wheel entries are rewritten.
+const grantOrderEntries = async (purchase, actorId) => {
+    let entryAward = await findRecordedAward(purchase);
+    if (!entryAward) {
+        const campaign = purchase.campaignId ? await findCampaign(purchase.campaignId) : null;
+        const round = await getOpenRound(campaign);
+
+        entryAward = await awardEntries({
+            userId: purchase.userId,
+            source: 'store_purchase',
+            requested: purchase.totalEntriesEarned,
+            sourceType: 'Purchase',
+            sourceId: purchase._id,
+            actorId,
+            round,
+            campaign
+        });
+    }
+
+    const shirtQuantity = countShirts(purchase.items);
+    const firstCount = await Purchase.updateOne(
+        { _id: purchase._id, shirtsCounted: { $ne: true } },
+        { shirtsCounted: true }
+    );
+    if (firstCount.modifiedCount > 0 && shirtQuantity > 0) {
+        await User.updateOne({ _id: purchase.userId }, { $inc: { totalShirtsPurchased: shirtQuantity } });
+    }
+
+    // Create wheel entries for the purchase
+    const user = await User.findById(purchase.userId).select('name');
+    await WheelEntry.deleteMany({ purchaseId: purchase._id });
+    await WheelEntry.insertMany(Array.from({ length: entryAward.granted }, () => ({
+        userId: purchase.userId,
+        roundId: entryAward.roundId,
+        purchaseId: purchase._id,
+        userName: user.name,
+        entryType: 'shirt_purchase',
+        shirtQuantity
+    })));
+
+    return { entryAward, roundId: entryAward.roundId };
+};
+
+// Move an order to `status` if the lifecycle allows it. The change is made
+// atomically from the state the order was read in, so two admins (or an admin
+// and a payment callback) cannot both pay or cancel the same order.
+// Returns the updated order and, when it became paid, the entry award.
+const transitionOrder = async ({ purchaseId, status, actorId, note, carrier, trackingNumber }) => {
+    if (!STATUS_TIMESTAMPS[status]) {
+        throw createOrderError(`Status must be one of ${Object.keys(STATUS_TIMESTAMPS).join(', ')}`, 'Invalid status', 400);
+    }
+
+    const purchase = await Purchase.findById(purchaseId);
+    if (!purchase) {
+        throw createOrderError('Order not found', 'Not Found', 404);
+    }
+
+    const from = purchase.status;
+    if (!ORDER_TRANSITIONS[from].includes(status)) {
+        throw createOrderError(`A ${from.replace('_', ' ')} order cannot be marked ${status}`, 'Invalid status change', 400);
+    }
+
+    const now = new Date();
+    const update = {
+        status,
+        [STATUS_TIMESTAMPS[status]]: now,
+        $push: { statusHistory: { from, to: status, actorId, note, at: now } }
+    };
+    if (carrier !== undefined) update.carrier = carrier;
+    if (trackingNumber !== undefined) update.trackingNumber = trackingNumber;
+
+    const updated = await Purchase.findOneAndUpdate({ _id: purchase._id, status: from }, update, { new: true });
+    if (!updated) {
+        throw createOrderError('The order was changed at the same time, please reload it', 'Order changed', 409);
+    }
+
+    let entryAward = null;
+
+    if (status === 'paid') {
+        try {
+            const granted = await grantOrderEntries(updated, actorId);
+            entryAward = granted.entryAward;
+            updated.roundId = granted.roundId;
+            updated.entriesGranted = entryAward.granted;
+            await updated.save();
+        } catch (error) {
+            // Without its entries the order is not paid yet; put it back so the payment can be retried.
+            // The retry picks up whatever part of the grant was already recorded.
+            await Purchase.updateOne(
+                { _id: updated._id, status: 'paid' },
+                { status: from, $unset: { paidAt: 1 }, $pop: { statusHistory: 1 } }
+            );
+            throw error;
+        }
+    }
+
+    if (status === 'cancelled') {
+        await releaseStock(updated.items);
+    }
+
+    return { purchase: updated, entryAward };
+};
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    RESERVATION_TTL_MS,
+    AUTHORIZED_RESERVATION_TTL_MS,
+    createOrderError,
+    getReservationExpiry,
+    reserveStock,
+    releaseStock,
+    transitionOrder,
+    expireStockReservations
+};
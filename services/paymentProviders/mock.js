@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Local mock gateway: runs the whole checkout and webhook flow offline.
+// Webhooks are signed like real gateways do: header "t=<ms>,v1=<hex>" where
+// v1 = HMAC-SHA256(MOCK_PAYMENT_SECRET, "<t>.<raw body>").
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const DEFAULT_CAPTURE_DELAY_SECONDS = 10;
+const OUTCOMES = ['success', 'failure', 'delayed'];
+
+// Errors the caller should report to the client as-is (statusCode + title)
+const createPaymentError = (message, title, statusCode) => {
+    const error = new Error(message);
+    error.title = title;
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Required: the gateway is not registered without it (see paymentService)
+const getSecret = () => {
+    const secret = process.env.MOCK_PAYMENT_SECRET;
+    if (!secret) {
+        throw createPaymentError('Mock payment secret is not configured', 'Payments unavailable', 503);
+    }
+    return secret;
+};
+
+const sign = (timestamp, rawBody) => {
+    return crypto.createHmac('sha256', getSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+};
+
+const createCheckoutSession = async ({ purchase }) => {
+    const sessionId = `mock_cs_${uuidv4()}`;
+    return {
+        sessionId,
+        // The "hosted page" is the simulate endpoint
+        checkoutUrl: `/store/payments/mock/checkout/${sessionId}`,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+        amount: purchase.totalAmount
+    };
+};
+
+// Check the signature and return the event in the shape the order code expects
+const parseWebhook = (rawBody, headers) => {
+    const header = headers[SIGNATURE_HEADER] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+
+    if (!parts.v1 || !timestamp) {
+        throw createPaymentError('Missing webhook signature', 'Invalid signature', 400);
+    }
+    if (Math.abs(Date.now() - timestamp) > SIGNATURE_TOLERANCE_MS) {
+        throw createPaymentError('Webhook signature has expired', 'Invalid signature', 400);
+    }
+
+    const expected = Buffer.from(sign(timestamp, rawBody.toString()), 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw createPaymentError('Webhook signature does not match', 'Invalid signature', 400);
+    }
+
+    return JSON.parse(rawBody.toString());
+};
+
+// Build a signed webhook the way the gateway would send it
+const buildWebhook = (event) => {
+    const rawBody = JSON.stringify({ eventId: `mock_evt_${uuidv4()}`, createdAt: new Date(), ...event });
+    const timestamp = Date.now();
+    return {
+        rawBody: Buffer.from(rawBody),
+        headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, rawBody)}` }
+    };
+};
+
+// Play the customer finishing checkout and the gateway calling back through `deliver`:
+// "success" captures at once, "failure" declines, "delayed" authorizes now and
+// captures after `delaySeconds` (in this process, so a restart drops the capture).
+const simulateCheckout = async ({ sessionId, amount, currency, outcome, delaySeconds = DEFAULT_CAPTURE_DELAY_SECONDS, deliver }) => {
+    if (!OUTCOMES.includes(outcome)) {
+        throw createPaymentError(`Outcome must be one of ${OUTCOMES.join(', ')}`, 'Invalid outcome', 400);
+    }
+
+    const paymentId = `mock_pay_${uuidv4()}`;
+    const event = { sessionId, paymentId, amount, currency };
+
+    if (outcome === 'failure') {
+        return deliver(buildWebhook({ ...event, type: 'payment.failed', failureReason: 'Card declined (simulated)' }));
+    }
+    if (outcome === 'success') {
+        return deliver(buildWebhook({ ...event, type: 'payment.succeeded' }));
+    }
+
+    const result = await deliver(buildWebhook({ ...event, type: 'payment.authorized' }));
+    setTimeout(() => {
+        deliver(buildWebhook({ ...event, type: 'payment.succeeded' }))
+            .catch(error => console.error('Mock delayed capture error:', error.message));
+    }, delaySeconds * 1000);
+    return result;
+};
+
+// Refunds always succeed on the mock gateway; the same idempotency key gives the same refund
+const refundPayment = async ({ paymentId, amount, idempotencyKey }) => {
+    const refundId = idempotencyKey
+        ? `mock_re_${crypto.createHash('sha256').update(`${paymentId}:${idempotencyKey}`).digest('hex').slice(0, 24)}`
+        : `mock_re_${uuidv4()}`;
+    return { refundId, paymentId, amount };
+};
+
+module.exports = {
+    name: 'mock',
+    createCheckoutSession,
+    parseWebhook,
+    refundPayment,
+    simulateCheckout
+};
@@ -0,0 +1,239 @@
+const Purchase = require('../models/Purchase');
+const mockProvider = require('./paymentProviders/mock');
+const { AUTHORIZED_RESERVATION_TTL_MS, transitionOrder, createOrderError } = require('./orderService');
+
+// Payment provider adapters, by name. An adapter is an object with:
+//   name
+//   createCheckoutSession({ purchase, currency, successUrl, cancelUrl })
+//     -> { sessionId, checkoutUrl, expiresAt }
+//   parseWebhook(rawBody, headers)
+//     -> { eventId, type, sessionId, paymentId, amount, currency, failureReason }
+//        where type is payment.authorized, payment.succeeded or payment.failed;
+//        throws an error with statusCode 400 when the signature does not check out
+//   refundPayment({ paymentId, amount, currency, idempotencyKey }) -> { refundId }   (optional)
+//     the same idempotencyKey must never pay out twice
+// The order code only talks to this interface, so Stripe or PayPal adapters can
+// be registered next to the mock one.
+const providers = new Map();
+
+// Orders paid outside the store (e.g. cash at an event) are marked paid by an admin
+const MANUAL_PAYMENT_METHOD = 'cash';
+const STORE_CURRENCY = process.env.STORE_CURRENCY || 'USD';
+
+const registerPaymentProvider = (provider) => {
+    providers.set(provider.name, provider);
+};
+
+// The mock gateway takes no money and lets anyone pay their own order, so it only
+// runs when switched on with ENABLE_MOCK_PAYMENTS=true, and never without its own secret
+if (process.env.ENABLE_MOCK_PAYMENTS === 'true') {
+    if (process.env.MOCK_PAYMENT_SECRET) {
+        registerPaymentProvider(mockProvider);
+    } else {
+        console.error('ENABLE_MOCK_PAYMENTS is set but MOCK_PAYMENT_SECRET is not; the mock payment gateway is disabled');
+    }
+}
+
+const getPaymentProvider = (name) => {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw createOrderError(`Unknown payment provider: ${name}`, 'Invalid payment provider', 400);
+    }
+    return provider;
+};
+
+const getDefaultPaymentMethod = () => {
+    return process.env.PAYMENT_PROVIDER || (providers.has('mock') ? 'mock' : MANUAL_PAYMENT_METHOD);
+};
+
+// Check a payment method before an order is placed with it
+const assertPaymentMethod = (paymentMethod) => {
+    if (paymentMethod !== MANUAL_PAYMENT_METHOD) {
+        getPaymentProvider(paymentMethod);
+    }
+};
+
+// Open a checkout session for an unpaid order with its payment provider.
+// A new session replaces the previous one (e.g. after a declined card).
+const startCheckout = async (purchase, { successUrl, cancelUrl } = {}) => {
+    if (purchase.status !== 'pending_payment') {
+        throw createOrderError('Only orders awaiting payment can be checked out', 'Order not payable', 400);
+    }
+    if (purchase.paymentMethod === MANUAL_PAYMENT_METHOD) {
+        throw createOrderError('This order is paid offline and confirmed by an admin', 'Manual payment', 400);
+    }
+    // A new session would replace the one the money is on, and its capture webhook would be lost
+    if (purchase.payment && ['authorized', 'succeeded', 'review'].includes(purchase.payment.status)) {
+        throw createOrderError('A payment for this order is already in progress', 'Payment in progress', 409);
+    }
+    if (purchase.reservationExpiresAt && purchase.reservationExpiresAt <= new Date()) {
+        throw createOrderError('This order no longer holds its items; please place a new order', 'Reservation expired', 400);
+    }
+
+    const provider = getPaymentProvider(purchase.paymentMethod);
+    const session = await provider.createCheckoutSession({ purchase, currency: STORE_CURRENCY, successUrl, cancelUrl });
+    // The session is only good for as long as the order holds its stock
+    const expiresAt = purchase.reservationExpiresAt && purchase.reservationExpiresAt < session.expiresAt
+        ? purchase.reservationExpiresAt
+        : session.expiresAt;
+
+    purchase.payment = {
+        provider: provider.name,
+        sessionId: session.sessionId,
+        checkoutUrl: session.checkoutUrl,
+        status: 'pending',
+        amount: purchase.totalAmount,
+        currency: STORE_CURRENCY,
+        expiresAt,
+        events: []
+    };
+    await purchase.save();
+
+    return {
+        provider: provider.name,
+        sessionId: session.sessionId,
+        checkoutUrl: session.checkoutUrl,
+        expiresAt
+    };
+};
+
+// Amounts are compared in cents so float rounding cannot fail a payment
+const amountMatches = (event, payment) => {
+    return Math.round(Number(event.amount) * 100) === Math.round(payment.amount * 100)
+        && String(event.currency).toUpperCase() === payment.currency.toUpperCase();
+};
+
+// Apply a provider's webhook to its order. Events are recorded by ID so a
+// redelivered webhook is a no-op; a successful payment marks the order paid,
+// which grants its entries.
+const handlePaymentWebhook = async (providerName, rawBody, headers) => {
+    const provider = getPaymentProvider(providerName);
+    if (!rawBody || rawBody.length === 0) {
+        throw createOrderError('Webhook body is empty', 'Invalid webhook', 400);
+    }
+
+    const event = provider.parseWebhook(rawBody, headers);
+
+    const purchase = await Purchase.findOneAndUpdate(
+        {
+            'payment.provider': provider.name,
+            'payment.sessionId': event.sessionId,
+            'payment.events.eventId': { $ne: event.eventId }
+        },
+        { $push: { 'payment.events': { eventId: event.eventId, type: event.type, at: new Date() } } },
+        { new: true }
+    );
+
+    if (!purchase) {
+        const known = await Purchase.exists({ 'payment.provider': provider.name, 'payment.sessionId': event.sessionId });
+        return { handled: false, reason: known ? 'duplicate_event' : 'unknown_session' };
+    }
+
+    const payment = purchase.payment;
+    payment.paymentId = event.paymentId || payment.paymentId;
+
+    if (event.type === 'payment.authorized' && payment.status === 'pending') {
+        payment.status = 'authorized';
+        // Hold the stock while the provider captures, but not forever
+        const holdUntil = new Date(Date.now() + AUTHORIZED_RESERVATION_TTL_MS);
+        if (!purchase.reservationExpiresAt || purchase.reservationExpiresAt < holdUntil) {
+            purchase.reservationExpiresAt = holdUntil;
+        }
+    } else if (event.type === 'payment.failed' && payment.status !== 'succeeded') {
+        payment.status = 'failed';
+        payment.failureReason = event.failureReason;
+    } else if (event.type === 'payment.succeeded') {
+        if (!amountMatches(event, payment)) {
+            payment.status = 'review';
+            payment.reviewReason = `Paid ${event.amount} ${event.currency}, expected ${payment.amount} ${payment.currency}`;
+        } else {
+            payment.status = 'succeeded';
+            payment.capturedAt = new Date();
+            if (purchase.status !== 'pending_payment') {
+                // e.g. cancelled while the customer was paying; the money has to go back
+                payment.reviewReason = `Payment captured while the order was ${purchase.status}`;
+            }
+        }
+    }
+    await purchase.save();
+
+    if (payment.status === 'succeeded' && purchase.status === 'pending_payment') {
+        try {
+            await transitionOrder({
+                purchaseId: purchase._id,
+                status: 'paid',
+                actorId: purchase.userId,
+                note: `Paid via ${provider.name} (${payment.paymentId})`
+            });
+        } catch (error) {
+            // Forget the event so the provider's retry marks the order paid
+            await Purchase.updateOne({ _id: purchase._id }, { $pull: { 'payment.events': { eventId: event.eventId } } });
+            throw error;
+        }
+    }
+
+    const updated = await Purchase.findById(purchase._id).select('status payment.status');
+    return {
+        handled: true,
+        purchaseId: purchase._id,
+        orderStatus: updated.status,
+        paymentStatus: updated.payment.status
+    };
+};
+
+// Send `amount` back through the provider that took the order's payment.
+// Returns the provider's refund ID, or null when the money is returned offline
+// (cash orders, or a provider without refunds). Retrying with the same
+// `idempotencyKey` returns the first refund instead of paying out again.
+const refundOrderPayment = async (purchase, amount, idempotencyKey) => {
+    const payment = purchase.payment;
+    if (!payment || payment.status !== 'succeeded' || !payment.paymentId) {
+        return null;
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+    if (!provider.refundPayment) {
+        return null;
+    }
+
+    const refund = await provider.refundPayment({
+        paymentId: payment.paymentId,
+        amount,
+        currency: payment.currency,
+        idempotencyKey
+    });
+    return refund.refundId;
+};
+
+// Drive the mock gateway's checkout page: deliver its signed webhooks to ourselves
+const simulateMockCheckout = async ({ sessionId, userId, outcome, delaySeconds }) => {
+    const provider = getPaymentProvider(mockProvider.name);
+
+    const purchase = await Purchase.findOne({ 'payment.provider': provider.name, 'payment.sessionId': sessionId });
+    if (!purchase || purchase.userId.toString() !== userId.toString()) {
+        throw createOrderError('Checkout session not found', 'Not Found', 404);
+    }
+    if (purchase.payment.expiresAt && purchase.payment.expiresAt < new Date()) {
+        throw createOrderError('This checkout session has expired; start a new checkout', 'Session expired', 400);
+    }
+
+    return provider.simulateCheckout({
+        sessionId,
+        amount: purchase.payment.amount,
+        currency: purchase.payment.currency,
+        outcome,
+        delaySeconds,
+        deliver: ({ rawBody, headers }) => handlePaymentWebhook(provider.name, rawBody, headers)
+    });
+};
+
+module.exports = {
+    MANUAL_PAYMENT_METHOD,
+    registerPaymentProvider,
+    getDefaultPaymentMethod,
+    assertPaymentMethod,
+    startCheckout,
+    handlePaymentWebhook,
+    refundOrderPayment,
+    simulateMockCheckout
+};
@@ -0,0 +1,281 @@
+const Purchase = require('../models/Purchase');
+const User = require('../models/User');
+const Round = require('../models/Round');
+const Winner = require('../models/Winner');
+const CampaignEntry = require('../models/CampaignEntry');
+const EntryTransaction = require('../models/EntryTransaction');
+const { recordEntryChange } = require('../utils/entryHelper');
+const { acquireLock, releaseLock } = require('../utils/lockHelper');
+const { ORDER_TRANSITIONS, createOrderError, releaseStock, transitionOrder } = require('./orderService');
+const { refundOrderPayment } = require('./paymentService');
+
+const REFUND_LOCK_TTL_MS = 30 * 1000;
+// A main wheel balance never drops below the entry every account gets on registration
+const REGISTRATION_ENTRIES = 1;
+
+// Work out which lines and quantities to refund: everything not yet refunded,
+// or the requested `{ lineId, quantity }` pairs
+const resolveRefundLines = (purchase, items) => {
+    if (!items || items.length === 0) {
+        return purchase.items
+            .filter(line => line.quantity > line.refundedQuantity)
+            .map(line => ({ line, quantity: line.quantity - line.refundedQuantity }));
+    }
+
+    if (!Array.isArray(items)) {
+        throw createOrderError('Items must be a list of { lineId, quantity }', 'Invalid refund', 400);
+    }
+
+    return items.map(({ lineId, quantity }) => {
+        const line = purchase.items.find(item => item._id.toString() === String(lineId));
+        if (!line) {
+            throw createOrderError(`Order has no line ${lineId}`, 'Invalid refund', 400);
+        }
+        const refundable = line.quantity - line.refundedQuantity;
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > refundable) {
+            throw createOrderError(`Up to ${refundable} of ${line.itemName} can be refunded`, 'Invalid refund', 400);
+        }
+        return { line, quantity };
+    });
+};
+
+// Entries the order was actually granted (after caps), per the ledger
+const getGrantedEntries = async (purchase) => {
+    const granted = await EntryTransaction.aggregate([
+        { $match: { sourceType: 'Purchase', sourceId: purchase._id, reason: 'store_purchase' } },
+        { $group: { _id: null, total: { $sum: '$delta' } } }
+    ]);
+    return granted[0]?.total || 0;
+};
+
+// Take up to the refund's due entries back from the buyer's balance on the
+// order's wheel, leaving the registration entry in place. The ledger row names
+// the refund, so a retried refund never takes them twice. Returns how many were removed.
+const clawBackEntries = async (purchase, refund, actorId) => {
+    const note = `Refund ${refund._id}`;
+    const recorded = await EntryTransaction.findOne({
+        sourceType: 'Purchase',
+        sourceId: purchase._id,
+        reason: 'purchase_refund',
+        note
+    });
+    if (recorded) {
+        return -recorded.delta;
+    }
+
+    const balance = purchase.campaignId
+        ? (await CampaignEntry.findOne({ campaignId: purchase.campaignId, userId: purchase.userId }))?.entries || 0
+        : (await User.findById(purchase.userId).select('totalEntries'))?.totalEntries || 0;
+    const floor = purchase.campaignId ? 0 : REGISTRATION_ENTRIES;
+    const removed = Math.min(refund.entriesDue, Math.max(balance - floor, 0));
+
+    if (removed > 0) {
+        await recordEntryChange({
+            userId: purchase.userId,
+            campaignId: purchase.campaignId,
+            roundId: purchase.roundId,
+            delta: -removed,
+            reason: 'purchase_refund',
+            note,
+            sourceType: 'Purchase',
+            sourceId: purchase._id,
+            actorId
+        });
+    }
+    return removed;
+};
+
+// Carry out a recorded refund. Each step is marked on the refund once done, so
+// after a failure the same refund can be finished without paying out, restocking
+// or taking entries twice; the provider gets the refund's ID as idempotency key.
+const completeRefund = async (purchase, refund, actorId) => {
+    if (!refund.providerRefundId) {
+        refund.providerRefundId = await refundOrderPayment(purchase, refund.amount, `refund_${refund._id}`);
+        await purchase.save();
+    }
+
+    if (!refund.stockReleased) {
+        await releaseStock(refund.items.map(item => ({
+            storeItemId: purchase.items.id(item.lineId).storeItemId,
+            sku: item.sku,
+            quantity: item.quantity
+        })));
+        refund.stockReleased = true;
+        await purchase.save();
+    }
+
+    if (refund.entriesRemoved == null) {
+        refund.entriesRemoved = refund.roundDrawn ? 0 : await clawBackEntries(purchase, refund, actorId);
+        await purchase.save();
+    }
+
+    if (!refund.shirtsAdjusted) {
+        const shirtsRefunded = refund.items.reduce((sum, item) =>
+            item.itemName.toLowerCase().includes('shirt') ? sum + item.quantity : sum, 0
+        );
+        if (shirtsRefunded > 0) {
+            await User.updateOne({ _id: purchase.userId }, { $inc: { totalShirtsPurchased: -shirtsRefunded } });
+        }
+        refund.shirtsAdjusted = true;
+    }
+
+    refund.status = 'completed';
+    await purchase.save();
+};
+
+// Whether a refund request is a retry of `refund`: the same lines and quantities,
+// or no lines when that refund took everything that was left
+const isRetryOf = (refund, purchase, items) => {
+    if (!items || items.length === 0) {
+        return purchase.items.every(line => line.refundedQuantity >= line.quantity);
+    }
+    if (!Array.isArray(items) || items.length !== refund.items.length) {
+        return false;
+    }
+    return items.every(({ lineId, quantity }) =>
+        refund.items.some(item => item.lineId.toString() === String(lineId) && item.quantity === quantity)
+    );
+};
+
+// Mark the order refunded once every line has been refunded
+const finishOrder = async (purchase, refund, reason, actorId, io) => {
+    const fullyRefunded = purchase.items.every(line => line.refundedQuantity >= line.quantity);
+    const order = fullyRefunded
+        ? (await transitionOrder({ purchaseId: purchase._id, status: 'refunded', actorId, note: reason })).purchase
+        : purchase;
+
+    if (io && refund.roundDrawn) {
+        io.to('admin').emit('refund-flagged', {
+            purchaseId: purchase._id,
+            refundId: refund._id,
+            userId: purchase.userId,
+            roundId: refund.roundId,
+            reviewRequired: refund.reviewStatus === 'pending'
+        });
+    }
+
+    return { purchase: order, refund, fullyRefunded };
+};
+
+// Refund a paid order in full or by line item: return the money through its
+// payment provider, restock the items and take back the proportional share of
+// the entries it was granted. Entries in a round that was already closed or
+// drawn stay where they are and the refund is flagged; if the buyer won that round an
+// admin has to review the win.
+// The refund is recorded before anything is paid out. If an earlier refund of
+// the order stopped partway, the call finishes that one first; a retry of it ends
+// there, any other request is then refunded as usual.
+const refundOrder = async ({ purchaseId, items, reason, actorId, io }) => {
+    const lockKey = `purchase:${purchaseId}`;
+    const lockOwner = await acquireLock(lockKey, REFUND_LOCK_TTL_MS);
+    if (!lockOwner) {
+        throw createOrderError('This order is already being refunded', 'Refund in progress', 409);
+    }
+
+    try {
+        const purchase = await Purchase.findById(purchaseId);
+        if (!purchase) {
+            throw createOrderError('Order not found', 'Not Found', 404);
+        }
+
+        const unfinished = purchase.refunds.find(refund => refund.status === 'pending');
+        if (unfinished) {
+            await completeRefund(purchase, unfinished, actorId);
+            const resumed = await finishOrder(purchase, unfinished, unfinished.reason, actorId, io);
+            if (isRetryOf(unfinished, purchase, items)) {
+                return resumed;
+            }
+            if (resumed.fullyRefunded) {
+                throw createOrderError('Everything in this order has already been refunded', 'Nothing to refund', 400);
+            }
+        }
+
+        if (!ORDER_TRANSITIONS[purchase.status].includes('refunded')) {
+            throw createOrderError(`A ${purchase.status.replace('_', ' ')} order cannot be refunded`, 'Order not refundable', 400);
+        }
+
+        const lines = resolveRefundLines(purchase, items);
+        if (lines.length === 0) {
+            // Every line was refunded but the order was never marked so
+            if (purchase.refunds.length > 0) {
+                const last = purchase.refunds[purchase.refunds.length - 1];
+                return finishOrder(purchase, last, last.reason, actorId, io);
+            }
+            throw createOrderError('Everything in this order has already been refunded', 'Nothing to refund', 400);
+        }
+
+        const amount = Math.round(lines.reduce((sum, { line, quantity }) => sum + line.price * quantity, 0) * 100) / 100;
+        const refundedEarned = lines.reduce((sum, { line, quantity }) => sum + (line.entriesEarned / line.quantity) * quantity, 0);
+
+        // Proportional share, computed on the running total so partial refunds add up to the whole grant
+        const granted = await getGrantedEntries(purchase);
+        const previouslyEarned = purchase.items.reduce((sum, line) => sum + (line.entriesEarned / line.quantity) * line.refundedQuantity, 0);
+        const previouslyDue = purchase.refunds.reduce((sum, refund) => sum + (refund.entriesDue || 0), 0);
+        const entriesDue = purchase.totalEntriesEarned > 0
+            ? Math.max(Math.round(granted * (previouslyEarned + refundedEarned) / purchase.totalEntriesEarned) - previouslyDue, 0)
+            : 0;
+
+        const round = purchase.roundId ? await Round.findById(purchase.roundId) : null;
+        const roundDrawn = Boolean(round && ['closed', 'drawn'].includes(round.status));
+        const wonRound = roundDrawn && await Winner.exists({
+            roundId: round._id,
+            userId: purchase.userId,
+            claimStatus: { $ne: 'voided' }
+        });
+
+        for (const { line, quantity } of lines) {
+            line.refundedQuantity += quantity;
+        }
+        purchase.refundedAmount = Math.round((purchase.refundedAmount + amount) * 100) / 100;
+        purchase.refunds.push({
+            items: lines.map(({ line, quantity }) => ({
+                lineId: line._id,
+                itemName: line.itemName,
+                sku: line.sku,
+                quantity,
+                amount: line.price * quantity
+            })),
+            amount,
+            reason,
+            status: 'pending',
+            entriesDue,
+            roundId: purchase.roundId,
+            roundDrawn,
+            reviewStatus: wonRound ? 'pending' : 'none',
+            reviewReason: wonRound ? 'The buyer won the round these entries were drawn in' : undefined,
+            actorId
+        });
+        await purchase.save();
+
+        const refund = purchase.refunds[purchase.refunds.length - 1];
+        await completeRefund(purchase, refund, actorId);
+        return finishOrder(purchase, refund, reason, actorId, io);
+    } finally {
+        await releaseLock(lockKey, lockOwner);
+    }
+};
+
+// Close the admin review of a refund whose buyer won the round
+const resolveRefundReview = async ({ purchaseId, refundId, note, actorId }) => {
+    const purchase = await Purchase.findOneAndUpdate(
+        { _id: purchaseId, refunds: { $elemMatch: { _id: refundId, reviewStatus: 'pending' } } },
+        {
+            $set: {
+                'refunds.$.reviewStatus': 'resolved',
+                'refunds.$.reviewNote': note,
+                'refunds.$.reviewedBy': actorId,
+                'refunds.$.reviewedAt': new Date()
+            }
+        },
+        { new: true }
+    );
+    if (!purchase) {
+        throw createOrderError('No refund awaiting review was found', 'Not Found', 404);
+    }
+    return purchase;
+};
+
+module.exports = {
+    refundOrder,
+    resolveRefundReview
+};
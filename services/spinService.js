@@ -0,0 +1,863 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Spin = require('../models/Spin');
+const Winner = require('../models/Winner');
+const Prize = require('../models/Prize');
+const Round = require('../models/Round');
+const EntryTransaction = require('../models/EntryTransaction');
+const GameSettings = require('../models/GameSettings');
+const Campaign = require('../models/Campaign');
+const PlatformSettings = require('../models/PlatformSettings');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { sendWinnerEmail } = require('../utils/emailHelper');
+const {
+    FAIRNESS_ALGORITHM,
+    generateServerSeed,
+    hashServerSeed,
+    orderParticipants,
+    hashSnapshot,
+    computeWinnerIndex,
+    drawWinners
+} = require('../utils/fairnessHelper');
+const { buildPrefixSums, findIndexByTicket, buildSpinAnimation } = require('../utils/wheelHelper');
+const { findRoundForDraw, freezeRoundSnapshot, getRoundEntries } = require('../utils/roundHelper');
+const { getClaimDeadline } = require('../utils/claimHelper');
+const { acquireLock, releaseLock } = require('../utils/lockHelper');
+const { applyEligibilityRules } = require('../utils/eligibilityHelper');
+const { recordEntryChanges } = require('../utils/entryHelper');
+const { getWheelRoom, findCampaign } = require('../utils/campaignHelper');
+const { v4: uuidv4 } = require('uuid');
+
+// Errors the caller should report to the client as-is (statusCode + title)
+const createSpinError = (message, title, statusCode) => {
+    const error = new Error(message);
+    error.title = title;
+    error.statusCode = statusCode;
+    return error;
+};
+
+const MAX_SIMULATION_ITERATIONS = 100000;
+const DEVIATION_Z_THRESHOLD = 4; // |z| above this is practically impossible for a fair draw
+
+// Draw pool from round entries: entrants with entries, in the canonical fairness order
+const buildDrawPool = (entries) => {
+    return orderParticipants(
+        entries
+            .filter(entry => entry.entryCount > 0)
+            .map(entry => ({
+                userId: entry.userId,
+                userName: entry.userName,
+                instagramHandle: entry.instagramHandle,
+                entryCount: entry.entryCount
+            }))
+    );
+};
+
+// Draw pool after the eligibility rules: who can win, and who was excluded and why
+const buildEligibleDrawPool = async (entries, { roundId, session } = {}) => {
+    const { eligible, excluded, rules } = await applyEligibilityRules(
+        entries.filter(entry => entry.entryCount > 0),
+        { roundId, session }
+    );
+    return { participants: buildDrawPool(eligible), excluded, rules };
+};
+
+// Refuse to draw from an empty pool. When there were entrants but the eligibility
+// rules excluded all of them, say which rules did it so the admin can fix the settings.
+const assertDrawablePool = (participants, excluded) => {
+    const totalEntries = participants.reduce((sum, participant) => sum + participant.entryCount, 0);
+    if (totalEntries > 0) {
+        return totalEntries;
+    }
+
+    if (excluded.length > 0) {
+        const ruleCounts = {};
+        for (const exclusion of excluded) {
+            for (const rule of exclusion.rules) {
+                ruleCounts[rule] = (ruleCounts[rule] || 0) + 1;
+            }
+        }
+        const summary = Object.entries(ruleCounts).map(([rule, count]) => `${rule}: ${count}`).join(', ');
+        throw createSpinError(
+            `The eligibility rules exclude all ${excluded.length} entrants (${summary}); no one can win this draw`,
+            'No eligible entrants',
+            409
+        );
+    }
+    throw createSpinError('No eligible entries available for spinning', 'No entries found', 400);
+};
+
+// Entries a draw of the main wheel leaves each entrant: the registration entry.
+// Campaign balances have no registration entry, so a campaign draw spends them all.
+const MAIN_WHEEL_KEPT_ENTRIES = 1;
+
+// Ledger changes that spend every entrant's round entries, excluded or not;
+// anything earned after the snapshot froze carries into the next round
+const getDrawSpendChanges = (round, excluded, { spinId, actorId }) => {
+    const keptEntries = round.campaignId ? 0 : MAIN_WHEEL_KEPT_ENTRIES;
+    return round.entrySnapshot
+        .filter(entry =>
+            entry.entryCount > 0 && !excluded.some(exclusion => exclusion.userId.equals(entry.userId) && exclusion.rules.includes('account_missing'))
+        )
+        .map(participant => ({
+            userId: participant.userId,
+            campaignId: round.campaignId,
+            roundId: round._id,
+            delta: Math.min(keptEntries - participant.entryCount, 0),
+            reason: 'draw_spent',
+            sourceType: 'Spin',
+            sourceId: spinId,
+            actorId
+        }));
+};
+
+// How long a spin may hold its round lock; also when an unfinished idempotency key can be retried
+const SPIN_LOCK_TTL_MS = 2 * 60 * 1000;
+
+// Reserve an idempotency key for this spin. Returns the stored result when the
+// key already completed, or the new in-progress record otherwise.
+const reserveIdempotencyKey = async (key, createdBy) => {
+    try {
+        const record = await IdempotencyKey.create({ scope: 'spin', key, createdBy });
+        return { record };
+    } catch (err) {
+        if (err.code !== 11000) {
+            throw err;
+        }
+    }
+
+    const existing = await IdempotencyKey.findOne({ scope: 'spin', key });
+    if (!existing) {
+        return reserveIdempotencyKey(key, createdBy);
+    }
+
+    if (existing.status === 'completed') {
+        return { response: existing.response };
+    }
+
+    // A request that died mid-spin leaves its key behind; take it over once its lock has expired
+    const takenOver = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'in_progress', createdAt: { $lte: new Date(Date.now() - SPIN_LOCK_TTL_MS) } },
+        { createdAt: new Date(), createdBy },
+        { new: true }
+    );
+    if (takenOver) {
+        return { record: takenOver };
+    }
+
+    throw createSpinError('A spin with this idempotency key is already in progress', 'Spin in progress', 409);
+};
+
+// Redraw committed for the round's latest void, if any
+const getPendingRedraw = (round) => {
+    const voidedSpinId = round && round.voidedSpinIds.length > 0 ? round.voidedSpinIds[round.voidedSpinIds.length - 1] : null;
+    return voidedSpinId ? round.redraws.find(committed => committed.voidedSpinId.equals(voidedSpinId)) || null : null;
+};
+
+// Draw the round and write every result inside `session`'s transaction.
+// Safe to re-run: the transaction driver retries this on transient errors.
+const drawRound = async (roundId, { triggeredBy, spinType, session }) => {
+    const round = await Round.findById(roundId).select('+redraws.serverSeed').session(session);
+    if (!round || !['open', 'closed'].includes(round.status)) {
+        throw createSpinError('This round has already been drawn', 'Round already drawn', 409);
+    }
+
+    // Draw from the round's frozen entry snapshot (closing the open round if needed)
+    if (round.status === 'open') {
+        await freezeRoundSnapshot(round, session);
+    }
+
+    if (round.entrySnapshot.length === 0) {
+        throw createSpinError('No users available for spinning', 'No users found', 400);
+    }
+
+    // A draw after a void runs from the seed and pool committed when the spin was voided
+    const voidedSpinId = round.voidedSpinIds.length > 0 ? round.voidedSpinIds[round.voidedSpinIds.length - 1] : null;
+    const redraw = getPendingRedraw(round);
+    if (voidedSpinId && (!redraw || !redraw.serverSeed)) {
+        throw createSpinError(
+            'This round was voided without a committed redraw seed, so it cannot be redrawn fairly',
+            'No seed committed',
+            409
+        );
+    }
+
+    const { participants, excluded, rules } = redraw
+        ? { participants: redraw.participants, excluded: redraw.exclusions, rules: redraw.eligibilityRules }
+        : await buildEligibleDrawPool(round.entrySnapshot, { roundId: round._id, session });
+    const totalEntries = assertDrawablePool(participants, excluded);
+
+    let gameSettings = null;
+    let serverSeed;
+    let serverSeedHash;
+    let seedCommittedAt;
+
+    if (redraw) {
+        serverSeed = redraw.serverSeed;
+        serverSeedHash = redraw.serverSeedHash;
+        seedCommittedAt = redraw.seedCommittedAt;
+    } else {
+        // Reveal the seed committed before the round's entries froze (the campaign's for a
+        // campaign round), so nobody who knew it could have shaped the snapshot
+        if (round.campaignId) {
+            gameSettings = await Campaign.findById(round.campaignId).select('+serverSeed').session(session);
+            if (!gameSettings) {
+                throw createSpinError('Campaign not found', 'Not Found', 404);
+            }
+        } else {
+            gameSettings = await GameSettings.findOne().select('+serverSeed').session(session);
+        }
+
+        const committedBeforeFreeze = gameSettings
+            && gameSettings.serverSeed
+            && gameSettings.seedCommittedAt
+            && gameSettings.seedCommittedAt <= round.snapshotFrozenAt
+            && (!round.serverSeedHash || round.serverSeedHash === gameSettings.serverSeedHash);
+        if (!committedBeforeFreeze) {
+            throw createSpinError(
+                'The draw seed must be committed (by starting a countdown) before the round\'s entries freeze',
+                'No seed committed',
+                409
+            );
+        }
+        serverSeed = gameSettings.serverSeed;
+        serverSeedHash = gameSettings.serverSeedHash;
+        seedCommittedAt = gameSettings.seedCommittedAt;
+    }
+
+    // One slot per prize unit in tier order; without a catalog, a single round prize
+    const prizes = await Prize.find({ roundId: round._id, active: true })
+        .sort({ tier: 1, value: -1 })
+        .session(session);
+    const prizeSlots = [];
+    for (const prize of prizes) {
+        for (let i = prize.awarded; i < prize.quantity; i++) {
+            prizeSlots.push({ prize, prizeName: prize.name, tier: prize.tier });
+        }
+    }
+    if (prizeSlots.length === 0) {
+        prizeSlots.push({ prize: null, prizeName: round.prize || 'Mystery Prize', tier: 1 });
+    }
+
+    // Select distinct winners from the seed and the snapshot
+    const snapshotHash = hashSnapshot(participants);
+    const draws = drawWinners(serverSeed, snapshotHash, participants, prizeSlots.length);
+
+    const winners = draws.map((draw, index) => ({
+        position: index + 1,
+        userId: draw.participant.userId,
+        userName: draw.participant.userName,
+        instagramHandle: draw.participant.instagramHandle,
+        entryCount: draw.participant.entryCount,
+        prizeId: prizeSlots[index].prize ? prizeSlots[index].prize._id : undefined,
+        prizeName: prizeSlots[index].prizeName,
+        tier: prizeSlots[index].tier,
+        winnerIndex: draw.winnerIndex,
+        poolTotalEntries: draw.poolTotalEntries
+    }));
+    const winner = winners[0];
+
+    // Create the spin with its winners and the revealed seed
+    const completedAt = new Date();
+    const spin = new Spin({
+        spinId: uuidv4(),
+        roundId: round._id,
+        triggeredBy,
+        spinType,
+        totalEntries,
+        participants,
+        exclusions: excluded,
+        eligibilityRules: rules,
+        winner: {
+            userId: winner.userId,
+            userName: winner.userName,
+            entryCount: winner.entryCount
+        },
+        winners,
+        fairness: {
+            algorithm: FAIRNESS_ALGORITHM,
+            serverSeedHash,
+            serverSeed,
+            seedCommittedAt,
+            snapshotHash,
+            winnerIndex: winner.winnerIndex
+        },
+        status: 'completed',
+        completedAt
+    });
+
+    // A draw after a void re-runs the round; link both spins
+    if (voidedSpinId) {
+        const linked = await Spin.updateOne(
+            { _id: voidedSpinId, status: 'voided', redrawSpinId: { $exists: false } },
+            { redrawSpinId: spin._id },
+            { session }
+        );
+        if (linked.modifiedCount > 0) {
+            spin.redrawOf = voidedSpinId;
+        }
+    }
+
+    // Create one winner record per prize, each with a claim deadline
+    const claimDeadline = await getClaimDeadline(completedAt);
+    for (const spinWinner of winners) {
+        const winnerRecord = new Winner({
+            userId: spinWinner.userId,
+            userName: spinWinner.userName,
+            spinId: spin._id,
+            roundId: round._id,
+            prize: spinWinner.prizeName,
+            prizeId: spinWinner.prizeId,
+            tier: spinWinner.tier,
+            position: spinWinner.position,
+            claimDeadline
+        });
+        await winnerRecord.save({ session });
+
+        spin.claimHistory.push({
+            event: 'drawn',
+            winnerId: winnerRecord._id,
+            userId: winnerRecord.userId,
+            userName: winnerRecord.userName,
+            position: winnerRecord.position,
+            prizeName: winnerRecord.prize
+        });
+    }
+    await spin.save({ session });
+
+    // The seed is spent: the redraw is marked drawn, or the next countdown commits a new wheel seed
+    if (redraw) {
+        redraw.spinId = spin._id;
+    } else {
+        gameSettings.serverSeed = undefined;
+        gameSettings.serverSeedHash = undefined;
+        gameSettings.seedCommittedAt = undefined;
+        await gameSettings.save({ session });
+    }
+
+    for (const prize of prizes) {
+        const awardedNow = winners.filter(spinWinner => spinWinner.prizeId && spinWinner.prizeId.equals(prize._id)).length;
+        if (awardedNow > 0) {
+            prize.awarded += awardedNow;
+            await prize.save({ session });
+        }
+    }
+
+    // Mark the round as drawn; its snapshot stays as the permanent record
+    round.status = 'drawn';
+    round.drawnAt = completedAt;
+    round.spinId = spin._id;
+    await round.save({ session });
+
+    // Update users as winners
+    await User.updateMany({ _id: { $in: winners.map(spinWinner => spinWinner.userId) } }, {
+        isWinner: true,
+        lastWinDate: completedAt,
+        congratsShown: false // Reset to show congrats on next login
+    }, { session });
+
+    await recordEntryChanges(getDrawSpendChanges(round, excluded, { spinId: spin._id, actorId: triggeredBy }), { session });
+
+    // Reset shirts purchased count for the next round of the main wheel
+    if (!round.campaignId) {
+        await User.updateMany({ role: 'user' }, { totalShirtsPurchased: 0 }, { session });
+    }
+
+    const winnerList = winners.map(spinWinner => ({
+        position: spinWinner.position,
+        userId: spinWinner.userId,
+        userName: spinWinner.userName,
+        instagramHandle: spinWinner.instagramHandle,
+        prizeId: spinWinner.prizeId,
+        prize: spinWinner.prizeName,
+        tier: spinWinner.tier,
+        claimDeadline
+    }));
+
+    return {
+        spinId: spin.spinId,
+        winner: {
+            userId: winner.userId,
+            userName: winner.userName,
+            instagramHandle: winner.instagramHandle
+        },
+        winners: winnerList,
+        totalEntries,
+        participants: participants.length,
+        excluded,
+        eligibilityRules: rules,
+        campaignId: round.campaignId,
+        roundId: round._id,
+        redrawOf: spin.redrawOf,
+        prize: winner.prizeName,
+        spinTime: spin.spinTime,
+        fairness: {
+            serverSeedHash,
+            serverSeed,
+            snapshotHash,
+            draws: winners.map(spinWinner => ({
+                position: spinWinner.position,
+                winnerIndex: spinWinner.winnerIndex,
+                poolTotalEntries: spinWinner.poolTotalEntries
+            }))
+        }
+    };
+};
+
+const DEFAULT_WHEEL_SPIN_DURATION = 5; // Seconds, when platform settings have none
+const MIN_WHEEL_ROTATIONS = 3;
+
+// Live spin for the wheel room: `spin-started` carries everything a client needs
+// to play the same animation in sync, and `spin-completed` with the winners goes
+// out at `revealAt`, when the animation ends, so no viewer sees them early.
+const broadcastSpin = async (io, result) => {
+    const room = getWheelRoom(result.campaignId);
+    const completedEvent = {
+        spinId: result.spinId,
+        winner: result.winner,
+        winners: result.winners,
+        totalEntries: result.totalEntries,
+        participants: result.participants,
+        campaignId: result.campaignId,
+        roundId: result.roundId,
+        redrawOf: result.redrawOf,
+        serverSeedHash: result.fairness.serverSeedHash,
+        winnerIndex: result.fairness.draws[0].winnerIndex
+    };
+
+    let duration;
+    try {
+        const [spin, platformSettings] = await Promise.all([
+            Spin.findOne({ spinId: result.spinId }).select('participants'),
+            PlatformSettings.findOne().select('wheelSpinDuration')
+        ]);
+        duration = platformSettings && platformSettings.wheelSpinDuration > 0
+            ? platformSettings.wheelSpinDuration
+            : DEFAULT_WHEEL_SPIN_DURATION;
+        const animation = buildSpinAnimation(spin.participants, completedEvent.winnerIndex, {
+            duration,
+            rotations: Math.max(MIN_WHEEL_ROTATIONS, Math.round(duration))
+        });
+
+        const serverTime = Date.now();
+        io.to(room).emit('spin-started', {
+            spinId: result.spinId,
+            campaignId: result.campaignId,
+            roundId: result.roundId,
+            ...animation,
+            serverTime,
+            revealAt: serverTime + duration * 1000
+        });
+    } catch (err) {
+        // Never hold back the result because the animation could not be prepared
+        console.error('Spin animation error:', err);
+        io.to(room).emit('spin-completed', completedEvent);
+        return;
+    }
+
+    setTimeout(() => {
+        io.to(room).emit('spin-completed', completedEvent);
+    }, duration * 1000);
+};
+
+// Run a draw for the current round of the main wheel, or of `campaignId`'s wheel,
+// and return the spin result.
+// Used by POST /wheel/spin and POST /campaigns/admin/:campaignId/spin (manual) and the auto-spin scheduler (timer).
+// Only one spin per round can run at a time, and all of its writes commit together.
+// With an `idempotencyKey`, a repeated call returns the original result with `replayed: true`.
+// `roundId` draws that round instead of the next one due (used to redraw a voided spin).
+const executeSpin = async ({ triggeredBy, spinType = 'manual', io, idempotencyKey, roundId, campaignId }) => {
+    let idempotencyRecord;
+    if (idempotencyKey) {
+        const reservation = await reserveIdempotencyKey(idempotencyKey, triggeredBy);
+        if (reservation.response) {
+            return { ...reservation.response, replayed: true };
+        }
+        idempotencyRecord = reservation.record;
+    }
+
+    let result;
+    try {
+        const campaign = campaignId ? await findCampaign(campaignId) : null;
+        const candidateRound = roundId ? await Round.findById(roundId) : await findRoundForDraw({ campaign });
+        if (!candidateRound) {
+            throw createSpinError('No users available for spinning', 'No users found', 400);
+        }
+
+        const lockKey = `spin:round:${candidateRound._id}`;
+        const lockOwner = await acquireLock(lockKey, SPIN_LOCK_TTL_MS);
+        if (!lockOwner) {
+            throw createSpinError('A spin is already in progress for this round', 'Spin in progress', 409);
+        }
+
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                result = await drawRound(candidateRound._id, { triggeredBy, spinType, session });
+
+                // Stored in the same transaction, so a committed spin always has its replay
+                if (idempotencyRecord) {
+                    await IdempotencyKey.updateOne(
+                        { _id: idempotencyRecord._id },
+                        { status: 'completed', response: result },
+                        { session }
+                    );
+                }
+            });
+        } finally {
+            await session.endSession();
+            await releaseLock(lockKey, lockOwner);
+        }
+    } catch (err) {
+        // Nothing was drawn; free the key so the client can retry it
+        if (idempotencyRecord) {
+            await IdempotencyKey.deleteOne({ _id: idempotencyRecord._id, status: 'in_progress' });
+        }
+        throw err;
+    }
+
+    // Start the live spin for viewers before anything slower happens; the winners follow when it ends
+    if (io) {
+        await broadcastSpin(io, result);
+    }
+
+    // Send winner notification emails
+    for (const spinWinner of result.winners) {
+        try {
+            const winnerUser = await User.findById(spinWinner.userId);
+            if (winnerUser) {
+                await sendWinnerEmail(winnerUser, {
+                    spinId: result.spinId,
+                    winDate: new Date(),
+                    prize: spinWinner.prize
+                });
+            }
+        } catch (emailError) {
+            console.error('Error sending winner email:', emailError);
+        }
+    }
+
+    return result;
+};
+
+// Commit the redraw of a voided round inside `session`'s transaction: a new seed,
+// published only as its hash, and the eligible pool frozen at the same moment.
+// Nobody can know the redraw's winner before it runs, and changing eligibility
+// afterwards no longer changes who it is drawn from.
+const commitRoundRedraw = async (round, voidedSpinId, session) => {
+    const { participants, excluded, rules } = await buildEligibleDrawPool(round.entrySnapshot, { roundId: round._id, session });
+    const serverSeed = generateServerSeed();
+    const seedCommittedAt = new Date();
+
+    round.redraws.push({
+        voidedSpinId,
+        serverSeed,
+        serverSeedHash: hashServerSeed(serverSeed),
+        seedCommittedAt,
+        participants,
+        exclusions: excluded,
+        eligibilityRules: rules,
+        poolHash: hashSnapshot(participants)
+    });
+    await round.save({ session });
+
+    const committed = round.redraws[round.redraws.length - 1];
+    return {
+        serverSeedHash: committed.serverSeedHash,
+        seedCommittedAt,
+        poolHash: committed.poolHash,
+        participants: participants.length,
+        totalEntries: participants.reduce((sum, participant) => sum + participant.entryCount, 0)
+    };
+};
+
+// Undo a completed spin inside `session`'s transaction: void the spin and its
+// winner records, give back the entries the draw spent and put the round back
+// to closed (snapshot untouched) with a committed redraw, so it can be drawn again.
+const voidSpinRecords = async (spinObjectId, { reason, disqualifyWinners, actorId, session }) => {
+    const spin = await Spin.findById(spinObjectId).session(session);
+    if (!spin || spin.status !== 'completed') {
+        throw createSpinError('Only completed spins can be voided', 'Spin not voidable', 409);
+    }
+
+    const voidedAt = new Date();
+    const winners = await Winner.find({ spinId: spin._id, claimStatus: { $ne: 'voided' } }).session(session);
+    for (const winner of winners) {
+        winner.claimStatus = 'voided';
+        winner.voidedAt = voidedAt;
+        winner.voidReason = reason;
+        await winner.save({ session });
+
+        spin.claimHistory.push({
+            event: 'voided',
+            winnerId: winner._id,
+            userId: winner.userId,
+            userName: winner.userName,
+            position: winner.position,
+            prizeName: winner.prize,
+            at: voidedAt
+        });
+    }
+
+    // Prize units drawn by this spin become available again
+    for (const spinWinner of spin.winners) {
+        if (spinWinner.prizeId) {
+            await Prize.updateOne(
+                { _id: spinWinner.prizeId, awarded: { $gt: 0 } },
+                { $inc: { awarded: -1 } },
+                { session }
+            );
+        }
+    }
+
+    // Give back exactly what the draw spent, per the ledger
+    const spentTransactions = await EntryTransaction.find({ sourceType: 'Spin', sourceId: spin._id, reason: 'draw_spent' }).session(session);
+    await recordEntryChanges(spentTransactions.map(transaction => ({
+        userId: transaction.userId,
+        campaignId: transaction.campaignId,
+        roundId: transaction.roundId,
+        delta: -transaction.delta,
+        reason: 'draw_voided',
+        note: reason,
+        sourceType: 'Spin',
+        sourceId: spin._id,
+        actorId
+    })), { session });
+
+    // Users stay winners only if they hold another live win
+    const winnerUserIds = [...new Set(winners.map(winner => winner.userId.toString()))];
+    for (const userId of winnerUserIds) {
+        const otherWin = await Winner.exists({ userId, claimStatus: { $nin: ['expired', 'voided'] } }).session(session);
+        if (!otherWin) {
+            await User.updateOne({ _id: userId }, { isWinner: false }, { session });
+        }
+    }
+
+    let round = null;
+    if (spin.roundId) {
+        round = await Round.findById(spin.roundId).session(session);
+    }
+    if (round) {
+        if (round.status === 'drawn' && round.spinId && round.spinId.equals(spin._id)) {
+            round.status = 'closed';
+            round.drawnAt = undefined;
+            round.spinId = undefined;
+        }
+        round.voidedSpinIds.push(spin._id);
+        if (disqualifyWinners) {
+            for (const userId of winnerUserIds) {
+                if (!round.disqualifiedUserIds.some(disqualifiedId => disqualifiedId.toString() === userId)) {
+                    round.disqualifiedUserIds.push(userId);
+                }
+            }
+        }
+        await round.save({ session });
+    }
+
+    let redrawCommitment = null;
+    if (round && round.status === 'closed') {
+        redrawCommitment = await commitRoundRedraw(round, spin._id, session);
+    }
+
+    spin.status = 'voided';
+    spin.voidedAt = voidedAt;
+    spin.voidedBy = actorId;
+    spin.voidReason = reason;
+    await spin.save({ session });
+
+    return {
+        spinId: spin.spinId,
+        campaignId: round ? round.campaignId : undefined,
+        roundId: spin.roundId,
+        roundStatus: round ? round.status : null,
+        voidedAt,
+        reason,
+        voidedWinners: winners.map(winner => ({
+            winnerId: winner._id,
+            userId: winner.userId,
+            userName: winner.userName,
+            prize: winner.prize
+        })),
+        disqualifiedUserIds: disqualifyWinners && round ? winnerUserIds : [],
+        redrawCommitment,
+        entriesRestored: spentTransactions.reduce((sum, transaction) => sum - transaction.delta, 0),
+        usersRestored: spentTransactions.length
+    };
+};
+
+// Void a completed spin (e.g. a fraudulent or ineligible winner). With
+// `disqualifyWinners` its winners are left out of the round's redraw; with
+// `redraw` the round is drawn again straight away and the new spin links back.
+const voidSpin = async ({ spinId, reason, disqualifyWinners = false, redraw = false, actorId, io }) => {
+    const existing = await Spin.findOne({ spinId }).select('_id roundId status');
+    if (!existing) {
+        throw createSpinError('Spin not found', 'Not Found', 404);
+    }
+    if (existing.status !== 'completed') {
+        throw createSpinError('Only completed spins can be voided', 'Spin not voidable', 409);
+    }
+    if (redraw && !existing.roundId) {
+        throw createSpinError('Only round draws can be redrawn', 'Redraw unavailable', 400);
+    }
+
+    // Same lock as a spin, so a void never interleaves with a draw of the round
+    const lockKey = existing.roundId ? `spin:round:${existing.roundId}` : `spin:void:${existing._id}`;
+    const lockOwner = await acquireLock(lockKey, SPIN_LOCK_TTL_MS);
+    if (!lockOwner) {
+        throw createSpinError('A spin is already in progress for this round', 'Spin in progress', 409);
+    }
+
+    let result;
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            result = await voidSpinRecords(existing._id, { reason, disqualifyWinners, actorId, session });
+        });
+    } finally {
+        await session.endSession();
+        await releaseLock(lockKey, lockOwner);
+    }
+
+    if (io) {
+        const voidedEvent = {
+            spinId: result.spinId,
+            campaignId: result.campaignId,
+            roundId: result.roundId,
+            reason: result.reason,
+            redrawCommitment: result.redrawCommitment,
+            voidedWinners: result.voidedWinners.map(winner => ({ userId: winner.userId, userName: winner.userName, prize: winner.prize }))
+        };
+        io.to(getWheelRoom(result.campaignId)).emit('spin-voided', voidedEvent);
+        io.to('admin').emit('spin-voided', voidedEvent);
+    }
+
+    // The void stands even if the redraw fails; the round can still be drawn later
+    if (redraw) {
+        try {
+            result.redraw = await executeSpin({ triggeredBy: actorId, spinType: 'manual', io, roundId: result.roundId });
+        } catch (err) {
+            if (!err.statusCode) {
+                console.error('Redraw after void error:', err);
+            }
+            result.redrawError = err.statusCode ? err.message : 'Redraw failed';
+        }
+    }
+
+    return result;
+};
+
+// Dry run: build the pool the next spin would draw from (a voided round's committed
+// redraw pool, if it has one) and run `iterations`
+// single-winner draws with fresh seeds, comparing each participant's empirical
+// win rate with entryCount / totalEntries. Nothing is written.
+const simulateSpin = async ({ iterations, campaignId }) => {
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_SIMULATION_ITERATIONS) {
+        throw createSpinError(`Iterations must be a whole number between 1 and ${MAX_SIMULATION_ITERATIONS}`, 'Validation Error', 400);
+    }
+
+    const campaign = campaignId ? await findCampaign(campaignId) : null;
+    const round = await findRoundForDraw({ create: false, campaign });
+    const entries = await getRoundEntries(round, campaign ? campaign._id : null);
+    const redraw = round && round.status === 'closed' ? getPendingRedraw(round) : null;
+    const { participants, excluded, rules } = redraw
+        ? { participants: redraw.participants, excluded: redraw.exclusions, rules: redraw.eligibilityRules }
+        : await buildEligibleDrawPool(entries, { roundId: round ? round._id : undefined });
+    const totalEntries = assertDrawablePool(participants, excluded);
+
+    // Flag entrants and pool members that suggest the eligibility filters are not doing their job
+    const anomalies = [];
+    for (const entry of entries) {
+        if (!(entry.entryCount > 0)) {
+            anomalies.push({
+                type: 'zero_entries',
+                userId: entry.userId,
+                userName: entry.userName,
+                entryCount: entry.entryCount,
+                message: 'Entrant has no entries and is left out of the draw'
+            });
+        }
+    }
+
+    const users = await User.find({ _id: { $in: participants.map(participant => participant.userId) } }).select('role blocked');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    for (const participant of participants) {
+        const user = usersById.get(participant.userId.toString());
+        const subject = { userId: participant.userId, userName: participant.userName, entryCount: participant.entryCount };
+
+        if (!user) {
+            anomalies.push({ type: 'user_not_found', ...subject, message: 'Account no longer exists but is still in the draw pool' });
+            continue;
+        }
+        if (user.blocked) {
+            anomalies.push({ type: 'blocked', ...subject, message: 'Participant is blocked but still in the draw pool' });
+        }
+        if (user.role !== 'user') {
+            anomalies.push({ type: 'not_a_user', ...subject, message: `Participant has the ${user.role} role` });
+        }
+    }
+
+    // Same index derivation as the live draw, with a fresh seed per iteration
+    const snapshotHash = hashSnapshot(participants);
+    const prefixSums = buildPrefixSums(participants);
+    const wins = new Array(participants.length).fill(0);
+    for (let i = 0; i < iterations; i++) {
+        const winnerIndex = computeWinnerIndex(generateServerSeed(), snapshotHash, totalEntries);
+        wins[findIndexByTicket(prefixSums, winnerIndex)]++;
+    }
+
+    const results = participants.map((participant, index) => {
+        const theoreticalProbability = participant.entryCount / totalEntries;
+        const empiricalRate = wins[index] / iterations;
+        const standardError = Math.sqrt(iterations * theoreticalProbability * (1 - theoreticalProbability));
+        const zScore = standardError > 0 ? (wins[index] - iterations * theoreticalProbability) / standardError : 0;
+
+        if (Math.abs(zScore) > DEVIATION_Z_THRESHOLD) {
+            anomalies.push({
+                type: 'rate_deviation',
+                userId: participant.userId,
+                userName: participant.userName,
+                entryCount: participant.entryCount,
+                message: `Empirical win rate is ${zScore.toFixed(2)} standard deviations from the expected rate`
+            });
+        }
+
+        return {
+            userId: participant.userId,
+            userName: participant.userName,
+            instagramHandle: participant.instagramHandle,
+            entryCount: participant.entryCount,
+            wins: wins[index],
+            theoreticalProbability: Number(theoreticalProbability.toFixed(6)),
+            empiricalRate: Number(empiricalRate.toFixed(6)),
+            difference: Number((empiricalRate - theoreticalProbability).toFixed(6)),
+            zScore: Number(zScore.toFixed(3))
+        };
+    });
+
+    results.sort((a, b) => b.entryCount - a.entryCount);
+
+    return {
+        roundId: round ? round._id : null,
+        roundStatus: round ? round.status : null,
+        frozen: Boolean(round && round.snapshotFrozenAt),
+        iterations,
+        totalEntries,
+        participants: participants.length,
+        snapshotHash,
+        results,
+        excluded,
+        eligibilityRules: rules,
+        anomalies
+    };
+};
+
+module.exports = {
+    createSpinError,
+    buildDrawPool,
+    buildEligibleDrawPool,
+    assertDrawablePool,
+    getDrawSpendChanges,
+    executeSpin,
+    voidSpin,
+    simulateSpin
+};
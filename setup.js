@@ -1,6 +1,11 @@
 // Setup script to create .env file with correct configuration
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+
+// Ed25519 key that signs draw transcripts (keep it: a new key cannot verify older transcripts)
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+const transcriptSigningKey = privateKey.export({ type: 'pkcs8', format: 'pem' }).trim().replace(/\n/g, '\\n');
 
 const envContent = `# Database
 MONGO_USER=basit
@@ -10,6 +15,19 @@ DATABASE_NAME=farmhomedev
 # JWT
 JWT_SECRET=5h8ek389e784+eje&
 
+# Draw transcript signing key (Ed25519, PKCS#8 PEM)
+TRANSCRIPT_SIGNING_KEY="${transcriptSigningKey}"
+
+# Payments. The mock gateway lets anyone pay their own order for free:
+# only set ENABLE_MOCK_PAYMENTS=true (and PAYMENT_PROVIDER=mock) on a local machine
+PAYMENT_PROVIDER=cash
+STORE_CURRENCY=USD
+STOCK_RESERVATION_MINUTES=30
+CASH_RESERVATION_HOURS=48
+AUTHORIZED_RESERVATION_HOURS=24
+ENABLE_MOCK_PAYMENTS=false
+MOCK_PAYMENT_SECRET=${crypto.randomBytes(32).toString('hex')}
+
 # Server
 PORT=5000
 NODE_ENV=development
@@ -0,0 +1,84 @@
+// Run with: npm run test:unit (no database needed)
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { buildDrawPool, assertDrawablePool, getDrawSpendChanges } = require('../services/spinService');
+
+const campaignId = new mongoose.Types.ObjectId();
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+
+// Freeze a round from the balances the way a draw does, then apply its spend
+const drawRound = (balances, { campaignId: roundCampaignId } = {}) => {
+    const round = {
+        _id: new mongoose.Types.ObjectId(),
+        campaignId: roundCampaignId,
+        entrySnapshot: [...balances.entries()]
+            .filter(([, entries]) => entries > 0)
+            .map(([userId, entries]) => ({ userId: new mongoose.Types.ObjectId(userId), userName: userId, entryCount: entries }))
+    };
+    const pool = buildDrawPool(round.entrySnapshot);
+    const changes = getDrawSpendChanges(round, [], { spinId: new mongoose.Types.ObjectId() });
+    for (const change of changes) {
+        balances.set(change.userId.toString(), balances.get(change.userId.toString()) + change.delta);
+    }
+    return { pool, changes };
+};
+
+test('a campaign draw spends every entry, so past entrants leave the next pool', () => {
+    const balances = new Map([[alice.toString(), 5], [bob.toString(), 1]]);
+
+    const first = drawRound(balances, { campaignId });
+    assert.deepStrictEqual(first.pool.map(participant => participant.entryCount).sort((a, b) => a - b), [1, 5]);
+    assert.ok(first.changes.every(change => change.campaignId === campaignId && change.reason === 'draw_spent'));
+    assert.strictEqual(balances.get(alice.toString()), 0);
+    assert.strictEqual(balances.get(bob.toString()), 0);
+
+    // Only entries earned after the first draw count in the second
+    balances.set(bob.toString(), balances.get(bob.toString()) + 2);
+    const second = drawRound(balances, { campaignId });
+    assert.strictEqual(second.pool.length, 1);
+    assert.ok(second.pool[0].userId.equals(bob));
+    assert.strictEqual(second.pool[0].entryCount, 2);
+    assert.strictEqual(balances.get(bob.toString()), 0);
+});
+
+test('a main wheel draw keeps the registration entry', () => {
+    const balances = new Map([[alice.toString(), 5], [bob.toString(), 1]]);
+
+    const first = drawRound(balances);
+    assert.strictEqual(first.changes.find(change => change.userId.equals(alice)).delta, -4);
+    assert.strictEqual(first.changes.find(change => change.userId.equals(bob)).delta, 0);
+    assert.strictEqual(balances.get(alice.toString()), 1);
+    assert.strictEqual(balances.get(bob.toString()), 1);
+
+    const second = drawRound(balances);
+    assert.strictEqual(second.pool.length, 2);
+    assert.strictEqual(balances.get(alice.toString()), 1);
+});
+
+test('entrants whose account is gone spend nothing', () => {
+    const round = {
+        _id: new mongoose.Types.ObjectId(),
+        campaignId,
+        entrySnapshot: [{ userId: alice, entryCount: 3 }, { userId: bob, entryCount: 2 }]
+    };
+    const changes = getDrawSpendChanges(round, [{ userId: bob, rules: ['account_missing'] }], { spinId: new mongoose.Types.ObjectId() });
+    assert.strictEqual(changes.length, 1);
+    assert.ok(changes[0].userId.equals(alice));
+    assert.strictEqual(changes[0].delta, -3);
+});
+
+test('a draw where the eligibility rules exclude everyone is refused with the rules named', () => {
+    const excluded = [
+        { userId: alice, rules: ['unverified'] },
+        { userId: bob, rules: ['unverified', 'staff'] }
+    ];
+    assert.throws(() => assertDrawablePool([], excluded), error => {
+        assert.strictEqual(error.statusCode, 409);
+        assert.strictEqual(error.title, 'No eligible entrants');
+        assert.match(error.message, /all 2 entrants \(unverified: 2, staff: 1\)/);
+        return true;
+    });
+    assert.strictEqual(assertDrawablePool([{ userId: alice, entryCount: 3 }], excluded.slice(1)), 3);
+});
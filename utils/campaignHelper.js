@@ -0,0 +1,53 @@
+const Campaign = require('../models/Campaign');
+
+// Errors the caller should report to the client as-is (statusCode + title)
+const createCampaignError = (message, title, statusCode) => {
+    const error = new Error(message);
+    error.title = title;
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Socket room for a wheel's live events: `wheel` for the main wheel, `wheel:<campaignId>` for a campaign
+const getWheelRoom = (campaignId) => {
+    return campaignId ? `wheel:${campaignId}` : 'wheel';
+};
+
+// Load a campaign by ID (with its committed seed when `withSeed` is set), or fail with a 404
+const findCampaign = async (campaignId, { withSeed = false } = {}) => {
+    const query = Campaign.findById(campaignId);
+    if (withSeed) {
+        query.select('+serverSeed');
+    }
+    const campaign = await query;
+    if (!campaign) {
+        throw createCampaignError('Campaign not found', 'Not Found', 404);
+    }
+    return campaign;
+};
+
+// Check that a campaign can take entries from `source` right now
+const assertAcceptsEntries = (campaign, source) => {
+    if (campaign.status !== 'active') {
+        throw createCampaignError(`The ${campaign.name} campaign is not accepting entries`, 'Campaign not active', 400);
+    }
+    if (source && !campaign.entrySources.includes(source)) {
+        throw createCampaignError(`The ${campaign.name} campaign does not accept entries from ${source.replace('_', ' ')}s`, 'Entry source not allowed', 400);
+    }
+};
+
+// Public view of a campaign: never the unrevealed seed
+const toPublicCampaign = (campaign) => {
+    const publicCampaign = campaign.toObject();
+    delete publicCampaign.serverSeed;
+    publicCampaign.room = getWheelRoom(campaign._id);
+    return publicCampaign;
+};
+
+module.exports = {
+    createCampaignError,
+    getWheelRoom,
+    findCampaign,
+    assertAcceptsEntries,
+    toPublicCampaign
+};
@@ -0,0 +1,290 @@
+const Winner = require('../models/Winner');
+const Spin = require('../models/Spin');
+const Round = require('../models/Round');
+const User = require('../models/User');
+const GameSettings = require('../models/GameSettings');
+const { sendWinnerEmail } = require('./emailHelper');
+const { getWheelRoom } = require('./campaignHelper');
+const { acquireLock, releaseLock } = require('./lockHelper');
+const {
+    generateServerSeed,
+    hashServerSeed,
+    orderParticipants,
+    hashSnapshot,
+    computeWinnerIndex,
+    findParticipantByIndex
+} = require('./fairnessHelper');
+const { applyEligibilityRules } = require('./eligibilityHelper');
+
+const DEFAULT_CLAIM_DEADLINE_HOURS = 168;
+const REDRAW_LOCK_TTL_MS = 60 * 1000;
+
+// Deadline for a prize won at `from`, using the configured claim window
+const getClaimDeadline = async (from = new Date()) => {
+    const gameSettings = await GameSettings.findOne();
+    const hours = gameSettings?.claimDeadlineHours || DEFAULT_CLAIM_DEADLINE_HOURS;
+    return new Date(from.getTime() + hours * 60 * 60 * 1000);
+};
+
+// Commit the redraw of a forfeited prize: a new seed, of which only the hash is
+// published, and the pool frozen at the same moment from the round's snapshot.
+// Everyone who already won in this spin (including the forfeiting user) is left out,
+// and so is anyone the draw's eligibility rules exclude right now.
+const commitRedraw = async (expiredWinner, spin) => {
+    const round = expiredWinner.roundId ? await Round.findById(expiredWinner.roundId) : null;
+
+    const previousWinners = await Winner.find({ spinId: spin._id }).select('userId');
+    const excludedUserIds = [...new Set(previousWinners.map(previous => previous.userId.toString()))];
+
+    const snapshot = round && round.snapshotFrozenAt ? round.entrySnapshot : [];
+    const candidates = snapshot.filter(entry => entry.entryCount > 0 && !excludedUserIds.includes(entry.userId.toString()));
+
+    const { eligible, excluded } = await applyEligibilityRules(candidates, { roundId: expiredWinner.roundId });
+    const pool = orderParticipants(
+        eligible
+            .map(entry => ({
+                userId: entry.userId,
+                userName: entry.userName,
+                instagramHandle: entry.instagramHandle,
+                entryCount: entry.entryCount
+            }))
+    );
+
+    const serverSeed = generateServerSeed();
+    expiredWinner.redrawCommitment = {
+        serverSeed,
+        serverSeedHash: hashServerSeed(serverSeed),
+        committedAt: new Date(),
+        pool,
+        poolHash: hashSnapshot(pool),
+        excludedUserIds: [...excludedUserIds, ...excluded.map(exclusion => exclusion.userId.toString())]
+    };
+    await expiredWinner.save();
+    return expiredWinner.redrawCommitment;
+};
+
+// Add the commitment to the claim chain, unless an earlier attempt already did
+const publishRedrawCommitment = async (expiredWinner, spin) => {
+    const published = spin.claimHistory.some(event =>
+        event.event === 'redraw_committed' && event.replacedWinnerId && event.replacedWinnerId.equals(expiredWinner._id)
+    );
+    if (published) {
+        return;
+    }
+
+    const commitment = expiredWinner.redrawCommitment;
+    spin.claimHistory.push({
+        event: 'redraw_committed',
+        replacedWinnerId: expiredWinner._id,
+        position: expiredWinner.position,
+        prizeName: expiredWinner.prize,
+        serverSeedHash: commitment.serverSeedHash,
+        poolHash: commitment.poolHash,
+        poolTotalEntries: commitment.pool.reduce((sum, participant) => sum + participant.entryCount, 0),
+        excludedUserIds: commitment.excludedUserIds,
+        at: commitment.committedAt
+    });
+    await spin.save();
+};
+
+// Redraw a forfeited prize from its committed seed and pool (committing them first
+// if that has not happened yet). `expiredWinner` must be loaded with
+// +redrawCommitment.serverSeed. Running it again after a failure picks the same winner.
+const redrawWinner = async (expiredWinner, spin) => {
+    // An earlier attempt already saved the new winner
+    const existing = await Winner.findOne({ redrawOf: expiredWinner._id });
+    if (existing) {
+        expiredWinner.replacedBy = existing._id;
+        expiredWinner.redrawStatus = 'redrawn';
+        await expiredWinner.save();
+        return { winner: existing, instagramHandle: null };
+    }
+
+    const commitment = expiredWinner.redrawCommitment && expiredWinner.redrawCommitment.serverSeedHash
+        ? expiredWinner.redrawCommitment
+        : await commitRedraw(expiredWinner, spin);
+    if (!commitment.serverSeed) {
+        throw new Error('Redraw seed not loaded');
+    }
+    await publishRedrawCommitment(expiredWinner, spin);
+    const pool = commitment.pool;
+
+    if (pool.length === 0) {
+        spin.claimHistory.push({
+            event: 'redraw_unavailable',
+            replacedWinnerId: expiredWinner._id,
+            position: expiredWinner.position,
+            prizeName: expiredWinner.prize,
+            excludedUserIds: commitment.excludedUserIds
+        });
+        await spin.save();
+        expiredWinner.redrawStatus = 'unavailable';
+        await expiredWinner.save();
+        return null;
+    }
+
+    const serverSeed = commitment.serverSeed;
+    const poolTotalEntries = pool.reduce((sum, participant) => sum + participant.entryCount, 0);
+    const winnerIndex = computeWinnerIndex(serverSeed, commitment.poolHash, poolTotalEntries);
+    const participant = findParticipantByIndex(pool, winnerIndex);
+
+    const winDate = new Date();
+    const newWinner = new Winner({
+        userId: participant.userId,
+        userName: participant.userName,
+        spinId: spin._id,
+        roundId: expiredWinner.roundId,
+        winDate,
+        prize: expiredWinner.prize,
+        prizeId: expiredWinner.prizeId,
+        tier: expiredWinner.tier,
+        position: expiredWinner.position,
+        claimDeadline: await getClaimDeadline(winDate),
+        redrawOf: expiredWinner._id
+    });
+    await newWinner.save();
+
+    spin.claimHistory.push({
+        event: 'redrawn',
+        winnerId: newWinner._id,
+        userId: newWinner.userId,
+        userName: newWinner.userName,
+        position: newWinner.position,
+        prizeName: newWinner.prize,
+        replacedWinnerId: expiredWinner._id,
+        serverSeed,
+        serverSeedHash: commitment.serverSeedHash,
+        poolHash: commitment.poolHash,
+        winnerIndex,
+        poolTotalEntries,
+        excludedUserIds: commitment.excludedUserIds
+    });
+    await spin.save();
+
+    expiredWinner.replacedBy = newWinner._id;
+    expiredWinner.redrawStatus = 'redrawn';
+    await expiredWinner.save();
+
+    await User.findByIdAndUpdate(newWinner.userId, {
+        isWinner: true,
+        lastWinDate: winDate,
+        congratsShown: false // Reset to show congrats on next login
+    });
+
+    try {
+        const winnerUser = await User.findById(newWinner.userId);
+        if (winnerUser) {
+            await sendWinnerEmail(winnerUser, {
+                spinId: spin.spinId,
+                winDate,
+                prize: newWinner.prize
+            });
+        }
+    } catch (emailError) {
+        console.error('Error sending winner email:', emailError);
+    }
+
+    return { winner: newWinner, instagramHandle: participant.instagramHandle };
+};
+
+// Redraw one forfeited prize under a lock, so parallel servers never redraw it twice,
+// and tell the wheel. A failure leaves it pending for the next run.
+const processPendingRedraw = async (expiredWinner, io) => {
+    const lockKey = `redraw:${expiredWinner._id}`;
+    const lockOwner = await acquireLock(lockKey, REDRAW_LOCK_TTL_MS);
+    if (!lockOwner) {
+        return;
+    }
+
+    try {
+        const current = await Winner.findOne({ _id: expiredWinner._id, redrawStatus: 'pending' }).select('+redrawCommitment.serverSeed');
+        if (!current) {
+            return;
+        }
+        const spin = await Spin.findById(current.spinId);
+        if (!spin) {
+            current.redrawStatus = 'unavailable';
+            await current.save();
+            return;
+        }
+
+        const redraw = await redrawWinner(current, spin);
+
+        if (io) {
+            io.to('admin').emit('claim-expired', {
+                spinId: spin.spinId,
+                winnerId: current._id,
+                userName: current.userName,
+                prize: current.prize,
+                redrawWinnerId: redraw ? redraw.winner._id : null
+            });
+
+            if (redraw) {
+                const round = current.roundId ? await Round.findById(current.roundId).select('campaignId') : null;
+                io.to(getWheelRoom(round ? round.campaignId : null)).emit('winner-redrawn', {
+                    spinId: spin.spinId,
+                    prize: redraw.winner.prize,
+                    position: redraw.winner.position,
+                    forfeitedUserName: current.userName,
+                    winner: {
+                        userId: redraw.winner.userId,
+                        userName: redraw.winner.userName,
+                        instagramHandle: redraw.instagramHandle
+                    }
+                });
+            }
+        }
+    } catch (error) {
+        console.error(`Redraw of forfeited prize ${expiredWinner._id} failed, will retry:`, error.message);
+    } finally {
+        await releaseLock(lockKey, lockOwner);
+    }
+};
+
+// Forfeit every unclaimed prize past its deadline and redraw it.
+// Claims are taken one at a time with an atomic update so parallel servers never share one;
+// each is marked redraw pending in the same update, and pending redraws (including ones
+// that failed on an earlier run) are retried until they finish.
+const processExpiredClaims = async (io) => {
+    const now = new Date();
+    let processed = 0;
+
+    while (true) {
+        const expiredWinner = await Winner.findOneAndUpdate(
+            { claimStatus: 'pending', claimDeadline: { $lte: now } },
+            { claimStatus: 'expired', expiredAt: now, redrawStatus: 'pending' },
+            { new: true }
+        );
+
+        if (!expiredWinner) {
+            break;
+        }
+        processed++;
+
+        await Spin.updateOne({ _id: expiredWinner.spinId }, {
+            $push: {
+                claimHistory: {
+                    event: 'expired',
+                    winnerId: expiredWinner._id,
+                    userId: expiredWinner.userId,
+                    userName: expiredWinner.userName,
+                    position: expiredWinner.position,
+                    prizeName: expiredWinner.prize
+                }
+            }
+        });
+    }
+
+    const pendingRedraws = await Winner.find({ claimStatus: 'expired', redrawStatus: 'pending' }).select('_id');
+    for (const pending of pendingRedraws) {
+        await processPendingRedraw(pending, io);
+    }
+
+    return processed;
+};
+
+module.exports = {
+    getClaimDeadline,
+    redrawWinner,
+    processExpiredClaims
+};
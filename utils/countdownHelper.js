@@ -0,0 +1,70 @@
+const ScheduledDraw = require('../models/ScheduledDraw');
+const { generateServerSeed, hashServerSeed } = require('./fairnessHelper');
+
+// Start a countdown ending at `endTime` on the game settings or a campaign (caller saves).
+// Commits to the draw seed now; only its hash is public until the spin. A seed
+// already committed is kept (e.g. when a countdown is restarted), so the draw
+// cannot be rerolled by starting over.
+const startCountdownUntil = (gameSettings, endTime) => {
+    const now = new Date();
+
+    gameSettings.gameStartTime = now;
+    gameSettings.gameEndTime = endTime;
+    gameSettings.countdownActive = true;
+    gameSettings.nextSpinDate = endTime;
+
+    if (!gameSettings.serverSeedHash) {
+        const serverSeed = generateServerSeed();
+        gameSettings.serverSeed = serverSeed;
+        gameSettings.serverSeedHash = hashServerSeed(serverSeed);
+        gameSettings.seedCommittedAt = now;
+    }
+
+    return gameSettings;
+};
+
+// Start a countdown of `totalMinutes` on the game settings or a campaign (caller saves)
+const startGameCountdown = (gameSettings, totalMinutes) => {
+    return startCountdownUntil(gameSettings, new Date(Date.now() + (totalMinutes * 60 * 1000)));
+};
+
+// Keep the pending automatic draw in line with the game settings: one at
+// gameEndTime while autoSpin and the countdown are on. Draws already due are
+// left to the scheduler (which re-checks autoSpin) unless autoSpin is off.
+// With `campaignId`, `gameSettings` is that campaign and only its draws are touched.
+// Draws of a recurring schedule are left to the scheduler, but count as the draw at gameEndTime.
+const syncScheduledDraw = async (gameSettings, createdBy, { campaignId = null } = {}) => {
+    const now = new Date();
+    const wantsDraw = gameSettings.autoSpin && gameSettings.countdownActive && gameSettings.gameEndTime;
+
+    const pending = await ScheduledDraw.find({ status: 'pending', campaignId });
+    const matching = wantsDraw
+        ? pending.find(job => job.runAt.getTime() === gameSettings.gameEndTime.getTime())
+        : null;
+
+    const stale = pending
+        .filter(job => !job.drawScheduleId && job !== matching && (!gameSettings.autoSpin || job.runAt > now))
+        .map(job => job._id);
+    if (stale.length > 0) {
+        await ScheduledDraw.updateMany(
+            { _id: { $in: stale }, status: 'pending' },
+            { status: 'cancelled', error: 'Replaced by updated game settings' }
+        );
+    }
+
+    if (wantsDraw && !matching) {
+        return ScheduledDraw.create({
+            campaignId: campaignId || undefined,
+            runAt: gameSettings.gameEndTime,
+            createdBy: createdBy || gameSettings.updatedBy
+        });
+    }
+
+    return matching;
+};
+
+module.exports = {
+    startCountdownUntil,
+    startGameCountdown,
+    syncScheduledDraw
+};
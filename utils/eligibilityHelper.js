@@ -0,0 +1,164 @@
+const User = require('../models/User');
+const Round = require('../models/Round');
+const Winner = require('../models/Winner');
+const GameSettings = require('../models/GameSettings');
+
+// Eligibility rule settings in force, with defaults for unset fields
+const getEligibilityRules = async (session) => {
+    const gameSettings = await GameSettings.findOne().session(session || null);
+    const eligibility = gameSettings?.eligibility || {};
+    return {
+        excludeBlocked: true,
+        winnerCooldownRounds: eligibility.winnerCooldownRounds || 0,
+        winnerCooldownDays: eligibility.winnerCooldownDays || 0,
+        excludeUnverified: Boolean(eligibility.excludeUnverified),
+        excludeStaff: Boolean(eligibility.excludeStaff)
+    };
+};
+
+const normalizeCountry = (country) => (country || '').trim().toLowerCase();
+
+// Whether a country may take part in a round under its allow/deny lists
+const isCountryAllowed = (country, round) => {
+    if (!round) {
+        return true;
+    }
+    const normalized = normalizeCountry(country);
+    const allowed = (round.allowedCountries || []).map(normalizeCountry);
+    const denied = (round.deniedCountries || []).map(normalizeCountry);
+
+    if (allowed.length > 0 && !allowed.includes(normalized)) {
+        return false;
+    }
+    return !denied.includes(normalized);
+};
+
+// Plain-language explanation of each exclusion rule, shown to users and admins
+const RULE_MESSAGES = {
+    account_missing: 'The account no longer exists',
+    blocked: 'Your account is blocked',
+    unverified: 'Your email address has not been verified',
+    staff: 'Staff accounts cannot win',
+    recent_winner_rounds: 'You won in one of the most recent rounds',
+    recent_winner_days: 'You won a prize recently',
+    country_restricted: 'This giveaway is not available in your country',
+    disqualified: 'You were disqualified from this round'
+};
+
+const describeRules = (rules) => rules.map(rule => ({ rule, message: RULE_MESSAGES[rule] || rule }));
+
+// Users who won (and did not forfeit or have the win voided) in the last N drawn rounds, other than `roundId`
+const getRecentRoundWinnerIds = async (rounds, roundId, session) => {
+    const query = { status: 'drawn' };
+    if (roundId) {
+        query._id = { $ne: roundId };
+    }
+    const recentRounds = await Round.find(query)
+        .select('_id')
+        .sort({ drawnAt: -1 })
+        .limit(rounds)
+        .session(session || null);
+
+    const winners = await Winner.find({
+        roundId: { $in: recentRounds.map(round => round._id) },
+        claimStatus: { $nin: ['expired', 'voided'] }
+    }).select('userId').session(session || null);
+
+    return new Set(winners.map(winner => winner.userId.toString()));
+};
+
+// Users who won (and did not forfeit or have the win voided) a prize in the last N days, including manual declarations
+const getRecentWinnerIdsByDays = async (days, session) => {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const winners = await Winner.find({ winDate: { $gte: since }, claimStatus: { $nin: ['expired', 'voided'] } })
+        .select('userId')
+        .session(session || null);
+    return new Set(winners.map(winner => winner.userId.toString()));
+};
+
+// Split round entries into the eligible draw pool and the excluded entrants.
+// Each exclusion lists every rule that applied to it. The round's country
+// lists apply when `roundId` is given.
+const applyEligibilityRules = async (entries, { roundId, rules, session } = {}) => {
+    const activeRules = rules || await getEligibilityRules(session);
+
+    const round = roundId
+        ? await Round.findById(roundId).select('allowedCountries deniedCountries disqualifiedUserIds').session(session || null)
+        : null;
+
+    const users = await User.find({ _id: { $in: entries.map(entry => entry.userId) } })
+        .select('blocked emailVerified staff country')
+        .session(session || null);
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const roundWinners = activeRules.winnerCooldownRounds > 0
+        ? await getRecentRoundWinnerIds(activeRules.winnerCooldownRounds, roundId, session)
+        : new Set();
+    const dayWinners = activeRules.winnerCooldownDays > 0
+        ? await getRecentWinnerIdsByDays(activeRules.winnerCooldownDays, session)
+        : new Set();
+
+    const eligible = [];
+    const excluded = [];
+    for (const entry of entries) {
+        const userId = entry.userId.toString();
+        const user = usersById.get(userId);
+        const applied = [];
+
+        if (!user) {
+            applied.push('account_missing');
+        } else {
+            if (activeRules.excludeBlocked && user.blocked) {
+                applied.push('blocked');
+            }
+            if (activeRules.excludeUnverified && !user.emailVerified) {
+                applied.push('unverified');
+            }
+            if (activeRules.excludeStaff && user.staff) {
+                applied.push('staff');
+            }
+            if (!isCountryAllowed(user.country, round)) {
+                applied.push('country_restricted');
+            }
+        }
+        if (round && (round.disqualifiedUserIds || []).some(disqualifiedId => disqualifiedId.toString() === userId)) {
+            applied.push('disqualified');
+        }
+        if (roundWinners.has(userId)) {
+            applied.push('recent_winner_rounds');
+        }
+        if (dayWinners.has(userId)) {
+            applied.push('recent_winner_days');
+        }
+
+        if (applied.length > 0) {
+            excluded.push({
+                userId: entry.userId,
+                userName: entry.userName,
+                entryCount: entry.entryCount,
+                rules: applied
+            });
+        } else {
+            eligible.push(entry);
+        }
+    }
+
+    return {
+        eligible,
+        excluded,
+        rules: {
+            ...activeRules,
+            allowedCountries: round ? round.allowedCountries || [] : [],
+            deniedCountries: round ? round.deniedCountries || [] : [],
+            disqualifiedUserIds: round ? round.disqualifiedUserIds || [] : []
+        }
+    };
+};
+
+module.exports = {
+    RULE_MESSAGES,
+    isCountryAllowed,
+    describeRules,
+    getEligibilityRules,
+    applyEligibilityRules
+};
@@ -79,6 +79,32 @@ const sendWinnerEmail = async (user, spinDetails) => {
     return sendEmail(user.email, subject, text, html);
 };
 
+// Send the link that verifies a user's email address
+const sendVerificationEmail = async (user, verificationToken) => {
+    const verifyUrl = `${process.env.FRONT_END_URL}/verify-email?token=${verificationToken}`;
+    const subject = 'Verify your email address';
+    const text = `Hello ${user.name}, please verify your email address by opening this link: ${verifyUrl}`;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+            <h2 style="color: #333;">Verify your email address</h2>
+            <p>Hello <strong>${user.name}</strong>,</p>
+            <p>Please confirm that this is your email address. Some giveaways only draw from verified accounts.</p>
+            <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+                <a href="${verifyUrl}" style="background: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; margin: 10px 0;">
+                    Verify Email
+                </a>
+                <p style="font-size: 12px; color: #666; margin-top: 15px;">
+                    This link will expire in 24 hours.
+                </p>
+            </div>
+            <hr style="margin: 20px 0;">
+            <p style="color: #666; font-size: 12px;">© ${new Date().getFullYear()} The Wheel Decides. All rights reserved.</p>
+        </div>
+    `;
+    
+    return sendEmail(user.email, subject, text, html);
+};
+
 // Send password reset email
 const sendPasswordResetEmail = async (user, resetToken) => {
     const resetUrl = `${process.env.FRONT_END_URL}/admin/reset-password?token=${resetToken}`;
@@ -116,3 +142,4 @@ module.exports.sendEmail = sendEmail;
 module.exports.sendWelcomeEmail = sendWelcomeEmail;
 module.exports.sendWinnerEmail = sendWinnerEmail;
 module.exports.sendPasswordResetEmail = sendPasswordResetEmail;
+module.exports.sendVerificationEmail = sendVerificationEmail;
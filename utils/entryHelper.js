@@ -0,0 +1,256 @@
+const User = require('../models/User');
+const CampaignEntry = require('../models/CampaignEntry');
+const EntryTransaction = require('../models/EntryTransaction');
+
+// Errors the caller should report to the client as-is (statusCode + title)
+const createEntryError = (message, title, statusCode) => {
+    const error = new Error(message);
+    error.title = title;
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Update a user's campaign balance, creating it on the first entries earned.
+// Returns the new balance, or null when it would go below zero.
+const incrementCampaignEntries = async ({ campaignId, userId, delta, session }) => {
+    if (!(await User.exists({ _id: userId }).session(session || null))) {
+        throw createEntryError('User not found', 'User not found', 404);
+    }
+
+    const filter = { campaignId, userId };
+    if (delta < 0) {
+        filter.entries = { $gte: -delta };
+    }
+
+    const balance = await CampaignEntry.findOneAndUpdate(
+        filter,
+        { $inc: { entries: delta }, $set: { updatedAt: new Date() } },
+        { new: true, upsert: delta > 0, session }
+    );
+    return balance ? balance.entries : null;
+};
+
+// Change one user's entries and record why. The cached balance (the main wheel's,
+// or the campaign's with `campaignId`) is updated first, refusing to go below zero;
+// if the ledger write then fails, a rebuild undoes it.
+// Returns the ledger row, whose balanceAfter is the new balance.
+const recordEntryChange = async ({ userId, campaignId, roundId, delta, reason, note, sourceType, sourceId, actorId, session }) => {
+    let balanceAfter;
+    if (campaignId) {
+        balanceAfter = await incrementCampaignEntries({ campaignId, userId, delta, session });
+        if (balanceAfter === null) {
+            throw createEntryError('Entries cannot go below zero', 'Insufficient entries', 400);
+        }
+    } else {
+        const filter = { _id: userId };
+        if (delta < 0) {
+            filter.totalEntries = { $gte: -delta };
+        }
+
+        const user = await User.findOneAndUpdate(
+            filter,
+            { $inc: { totalEntries: delta } },
+            { new: true, session }
+        ).select('totalEntries');
+
+        if (!user) {
+            const exists = await User.exists({ _id: userId }).session(session || null);
+            if (!exists) {
+                throw createEntryError('User not found', 'User not found', 404);
+            }
+            throw createEntryError('Entries cannot go below zero', 'Insufficient entries', 400);
+        }
+        balanceAfter = user.totalEntries;
+    }
+
+    const [transaction] = await EntryTransaction.create([{
+        userId,
+        campaignId,
+        roundId,
+        delta,
+        reason,
+        note,
+        sourceType,
+        sourceId,
+        actorId,
+        balanceAfter
+    }], { session });
+
+    return transaction;
+};
+
+// Apply many changes at once (draw spending, game reset). Zero deltas are skipped.
+const recordEntryChanges = async (changes, { session } = {}) => {
+    const nonZero = changes.filter(change => change.delta !== 0);
+    if (nonZero.length === 0) {
+        return [];
+    }
+
+    const mainChanges = nonZero.filter(change => !change.campaignId);
+    if (mainChanges.length > 0) {
+        await User.bulkWrite(mainChanges.map(change => ({
+            updateOne: {
+                filter: { _id: change.userId },
+                update: { $inc: { totalEntries: change.delta } }
+            }
+        })), { session });
+    }
+
+    const campaignChanges = nonZero.filter(change => change.campaignId);
+    if (campaignChanges.length > 0) {
+        await CampaignEntry.bulkWrite(campaignChanges.map(change => ({
+            updateOne: {
+                filter: { campaignId: change.campaignId, userId: change.userId },
+                update: { $inc: { entries: change.delta }, $set: { updatedAt: new Date() } },
+                upsert: true
+            }
+        })), { session });
+    }
+
+    return EntryTransaction.insertMany(nonZero.map(change => ({
+        userId: change.userId,
+        campaignId: change.campaignId,
+        roundId: change.roundId,
+        delta: change.delta,
+        reason: change.reason,
+        note: change.note,
+        sourceType: change.sourceType,
+        sourceId: change.sourceId,
+        actorId: change.actorId
+    })), { session });
+};
+
+// Ledger balance of one user on the main wheel, or in `campaignId` (sum of every delta)
+const getLedgerBalance = async (userId, campaignId = null) => {
+    const totals = await EntryTransaction.aggregate([
+        { $match: { userId, campaignId } },
+        { $group: { _id: null, balance: { $sum: '$delta' }, transactions: { $sum: 1 } } }
+    ]);
+    return {
+        balance: totals[0]?.balance || 0,
+        transactions: totals[0]?.transactions || 0
+    };
+};
+
+// Reset campaign balances (of one user, or everyone) to their ledger totals
+const rebuildCampaignBalances = async (userId) => {
+    const match = { campaignId: { $ne: null } };
+    if (userId) {
+        match.userId = userId;
+    }
+    const ledgerTotals = await EntryTransaction.aggregate([
+        { $match: match },
+        { $group: { _id: { campaignId: '$campaignId', userId: '$userId' }, balance: { $sum: '$delta' } } }
+    ]);
+    const balances = await CampaignEntry.find(userId ? { userId } : {});
+    const cached = new Map(balances.map(balance => [`${balance.campaignId}:${balance.userId}`, balance.entries]));
+
+    const corrections = [];
+    const negativeLedgers = [];
+    for (const total of ledgerTotals) {
+        const key = `${total._id.campaignId}:${total._id.userId}`;
+        const from = cached.get(key) || 0;
+        if (total.balance < 0) {
+            // The ledger is missing history; leave the balance for an admin to look at
+            negativeLedgers.push({ campaignId: total._id.campaignId, userId: total._id.userId, balance: from, ledgerBalance: total.balance });
+        } else if (from !== total.balance) {
+            corrections.push({ campaignId: total._id.campaignId, userId: total._id.userId, from, to: total.balance });
+        }
+        cached.delete(key);
+    }
+    // Balances with no ledger rows at all
+    for (const balance of balances) {
+        if (cached.has(`${balance.campaignId}:${balance.userId}`) && balance.entries !== 0) {
+            corrections.push({ campaignId: balance.campaignId, userId: balance.userId, from: balance.entries, to: 0 });
+        }
+    }
+
+    if (corrections.length > 0) {
+        await CampaignEntry.bulkWrite(corrections.map(correction => ({
+            updateOne: {
+                filter: { campaignId: correction.campaignId, userId: correction.userId },
+                update: { entries: correction.to, updatedAt: new Date() },
+                upsert: true
+            }
+        })));
+    }
+
+    return { corrections, negativeLedgers };
+};
+
+// Reset cached balances to the ledger.
+// Accounts created before the ledger (no registration or opening balance row) may
+// already have rows written since, e.g. draw spending, but never recorded what they
+// started with. They first get an opening balance row for the difference between
+// their current count and those rows, so nothing is lost.
+// A ledger that adds up to less than zero is reported and never applied.
+// Campaign balances only ever change through the ledger, so they are simply recomputed.
+const rebuildEntryBalances = async ({ userId, actorId } = {}) => {
+    const users = await User.find(userId ? { _id: userId } : {}).select('totalEntries');
+    const match = userId ? { userId: users[0]?._id, campaignId: null } : { campaignId: null };
+    const ledgerTotals = await EntryTransaction.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$userId',
+                balance: { $sum: '$delta' },
+                // Rows that mean the ledger holds the user's whole history
+                starts: { $sum: { $cond: [{ $in: ['$reason', ['registration', 'opening_balance']] }, 1, 0] } }
+            }
+        }
+    ]);
+    const totals = new Map(ledgerTotals.map(total => [total._id.toString(), total]));
+
+    const openingBalances = [];
+    const corrections = [];
+    const negativeLedgers = [];
+    for (const user of users) {
+        const total = totals.get(user._id.toString());
+        const ledgerBalance = total ? total.balance : 0;
+
+        if (!total || total.starts === 0) {
+            // Recorded even when zero, so later rebuilds trust the ledger for this user
+            openingBalances.push({
+                userId: user._id,
+                delta: user.totalEntries - ledgerBalance,
+                reason: 'opening_balance',
+                actorId,
+                balanceAfter: user.totalEntries
+            });
+        } else if (ledgerBalance < 0) {
+            negativeLedgers.push({ userId: user._id, balance: user.totalEntries, ledgerBalance });
+        } else if (ledgerBalance !== user.totalEntries) {
+            corrections.push({ userId: user._id, from: user.totalEntries, to: ledgerBalance });
+        }
+    }
+
+    if (openingBalances.length > 0) {
+        await EntryTransaction.insertMany(openingBalances);
+    }
+    if (corrections.length > 0) {
+        await User.bulkWrite(corrections.map(correction => ({
+            updateOne: {
+                filter: { _id: correction.userId },
+                update: { totalEntries: correction.to }
+            }
+        })));
+    }
+
+    const campaign = await rebuildCampaignBalances(userId ? users[0]?._id : undefined);
+
+    return {
+        usersChecked: users.length,
+        openingBalancesRecorded: openingBalances.length,
+        corrections,
+        campaignCorrections: campaign.corrections,
+        negativeLedgers: [...negativeLedgers, ...campaign.negativeLedgers]
+    };
+};
+
+module.exports = {
+    createEntryError,
+    recordEntryChange,
+    recordEntryChanges,
+    getLedgerBalance,
+    rebuildEntryBalances
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { buildPrefixSums, findIndexByTicket } = require('./wheelHelper');
+
+// Provably fair draw helpers (commit-reveal scheme)
+//
+// 1. When a countdown starts a random server seed is generated and only its
+//    SHA-256 hash is published (the commitment).
+// 2. At spin time the participants are snapshotted in a fixed order and the
+//    snapshot is hashed.
+// 3. The winning ticket is HMAC-SHA256(serverSeed, snapshotHash), read as a
+//    52-bit integer and scaled to the total number of entries.
+// 4. For multi-winner spins draw N (N >= 1) uses the message
+//    "snapshotHash:N" over the pool with earlier winners removed.
+// 5. The seed is revealed on the spin so anyone can recompute steps 2-4.
+// 6. Redraws (after a void or a forfeited prize) commit a new seed the same
+//    way, together with the pool they will be drawn from.
+
+const FAIRNESS_ALGORITHM = 'hmac-sha256-commit-reveal-v1';
+
+const generateServerSeed = () => {
+    return crypto.randomBytes(32).toString('hex');
+};
+
+const hashServerSeed = (serverSeed) => {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+};
+
+// Participants sorted by userId so the order never depends on query order
+const orderParticipants = (participants) => {
+    return [...participants].sort((a, b) => {
+        const left = a.userId.toString();
+        const right = b.userId.toString();
+        return left < right ? -1 : left > right ? 1 : 0;
+    });
+};
+
+// Canonical string of the ordered snapshot: "userId:entryCount" joined by "|"
+const serializeSnapshot = (participants) => {
+    return participants
+        .map(participant => `${participant.userId.toString()}:${participant.entryCount}`)
+        .join('|');
+};
+
+const hashSnapshot = (participants) => {
+    return crypto.createHash('sha256').update(serializeSnapshot(participants)).digest('hex');
+};
+
+// Winning ticket in the range [0, totalEntries)
+const computeWinnerIndex = (serverSeed, snapshotHash, totalEntries, drawNumber = 0) => {
+    const message = drawNumber === 0 ? snapshotHash : `${snapshotHash}:${drawNumber}`;
+    const digest = crypto.createHmac('sha256', serverSeed).update(message).digest('hex');
+    const value = parseInt(digest.slice(0, 13), 16); // 52 bits, exact in a JS number
+    return Math.floor((value / Math.pow(2, 52)) * totalEntries);
+};
+
+// Map a ticket index onto the ordered participants (ranges are contiguous)
+const findParticipantByIndex = (participants, winnerIndex) => {
+    const index = findIndexByTicket(buildPrefixSums(participants), winnerIndex);
+    return index === -1 ? null : participants[index];
+};
+
+// Draw up to `count` distinct winners, removing each one before the next pick
+const drawWinners = (serverSeed, snapshotHash, participants, count) => {
+    let pool = [...participants];
+    const draws = [];
+
+    for (let drawNumber = 0; drawNumber < count && pool.length > 0; drawNumber++) {
+        const poolTotalEntries = pool.reduce((sum, participant) => sum + participant.entryCount, 0);
+        const winnerIndex = computeWinnerIndex(serverSeed, snapshotHash, poolTotalEntries, drawNumber);
+        const participant = findParticipantByIndex(pool, winnerIndex);
+
+        draws.push({ drawNumber, winnerIndex, poolTotalEntries, participant });
+        pool = pool.filter(entry => entry !== participant);
+    }
+
+    return draws;
+};
+
+// Recompute a draw from its revealed data and report each check.
+// `publishedSeedHash` is the commitment published before the draw (on its round);
+// without one there is nothing to prove the seed was chosen in advance.
+const verifyDraw = ({ serverSeed, serverSeedHash, publishedSeedHash, snapshotHash, participants, draws }) => {
+    const expectedSnapshotHash = hashSnapshot(participants);
+    const expectedDraws = drawWinners(serverSeed, expectedSnapshotHash, participants, draws.length);
+
+    const drawChecks = draws.map((draw, index) => {
+        const expected = expectedDraws[index];
+        return {
+            drawNumber: index,
+            winnerIndexMatches: !!expected && expected.winnerIndex === draw.winnerIndex,
+            winnerMatches: !!expected && expected.participant.userId.toString() === draw.userId.toString(),
+            expectedWinnerIndex: expected ? expected.winnerIndex : null,
+            expectedWinnerUserId: expected ? expected.participant.userId : null
+        };
+    });
+
+    const checks = {
+        seedMatchesCommitment: hashServerSeed(serverSeed) === serverSeedHash,
+        commitmentWasPublished: Boolean(publishedSeedHash) && publishedSeedHash === serverSeedHash,
+        snapshotHashMatches: expectedSnapshotHash === snapshotHash,
+        winnersMatch: drawChecks.every(check => check.winnerIndexMatches && check.winnerMatches)
+    };
+
+    return {
+        valid: Object.values(checks).every(Boolean),
+        checks,
+        draws: drawChecks
+    };
+};
+
+// Participants in snapshot order with the ticket range each one owned
+const getTicketRanges = (participants) => {
+    let rangeStart = 0;
+    return participants.map(participant => {
+        const entry = {
+            userId: participant.userId,
+            userName: participant.userName,
+            entryCount: participant.entryCount,
+            rangeStart,
+            rangeEnd: rangeStart + participant.entryCount - 1
+        };
+        rangeStart += participant.entryCount;
+        return entry;
+    });
+};
+
+// A spin's draws in order, as verifyDraw takes them.
+// Spins drawn before multi-winner support only have the single winner.
+const getSpinDraws = (spin) => {
+    if (spin.winners && spin.winners.length > 0) {
+        return spin.winners.map(spinWinner => ({
+            position: spinWinner.position,
+            userId: spinWinner.userId,
+            userName: spinWinner.userName,
+            prize: spinWinner.prizeName,
+            tier: spinWinner.tier,
+            winnerIndex: spinWinner.winnerIndex,
+            poolTotalEntries: spinWinner.poolTotalEntries
+        }));
+    }
+    return [{
+        position: 1,
+        userId: spin.winner.userId,
+        userName: spin.winner.userName,
+        winnerIndex: spin.fairness.winnerIndex,
+        poolTotalEntries: spin.totalEntries
+    }];
+};
+
+module.exports = {
+    FAIRNESS_ALGORITHM,
+    generateServerSeed,
+    hashServerSeed,
+    orderParticipants,
+    serializeSnapshot,
+    hashSnapshot,
+    computeWinnerIndex,
+    findParticipantByIndex,
+    drawWinners,
+    verifyDraw,
+    getTicketRanges,
+    getSpinDraws
+};
@@ -0,0 +1,33 @@
+const Lock = require('../models/Lock');
+const { v4: uuidv4 } = require('uuid');
+
+// Take the lock `key` for `ttlMs`. Returns an owner token, or null if someone else holds it.
+// An expired lock is taken over; a live one makes the upsert hit the unique key.
+const acquireLock = async (key, ttlMs) => {
+    const owner = uuidv4();
+    const now = new Date();
+
+    try {
+        await Lock.findOneAndUpdate(
+            { key, expiresAt: { $lte: now } },
+            { key, owner, expiresAt: new Date(now.getTime() + ttlMs) },
+            { upsert: true, new: true }
+        );
+        return owner;
+    } catch (err) {
+        if (err.code === 11000) {
+            return null;
+        }
+        throw err;
+    }
+};
+
+// Release the lock only if we still own it
+const releaseLock = async (key, owner) => {
+    await Lock.deleteOne({ key, owner });
+};
+
+module.exports = {
+    acquireLock,
+    releaseLock
+};
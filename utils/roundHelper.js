@@ -0,0 +1,179 @@
+const Round = require('../models/Round');
+const User = require('../models/User');
+const CampaignEntry = require('../models/CampaignEntry');
+const GameSettings = require('../models/GameSettings');
+const Campaign = require('../models/Campaign');
+const { orderParticipants, hashSnapshot } = require('./fairnessHelper');
+
+// Errors the caller should report to the client as-is (statusCode + title)
+const createRoundError = (message, title, statusCode) => {
+    const error = new Error(message);
+    error.title = title;
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Users who take part in a round's draw pool
+const PARTICIPANT_QUERY = { role: 'user', blocked: false, totalEntries: { $gt: 0 } };
+
+// Get the open round of the main wheel, or of `campaign` when given,
+// opening a new one from its settings if none exists. A unique index allows one
+// open round per wheel, so when two callers race to open it the loser reads the winner's.
+const getOpenRound = async (campaign = null) => {
+    const campaignId = campaign ? campaign._id : null;
+    let round = await Round.findOne({ status: 'open', campaignId }).sort({ startDate: -1 });
+    if (round) {
+        return round;
+    }
+
+    const gameSettings = campaign || await GameSettings.findOne();
+    const now = new Date();
+    round = new Round({
+        campaignId: campaignId || undefined,
+        title: `${campaign ? campaign.name : 'Giveaway'} ${now.toISOString().slice(0, 10)}`,
+        prize: gameSettings?.currentPrize || 'Mystery Prize',
+        description: gameSettings?.prizeDescription,
+        startDate: now,
+        endDate: gameSettings?.countdownActive ? gameSettings.gameEndTime : undefined,
+        status: 'open',
+        openedAt: now
+    });
+
+    try {
+        await round.save();
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+        round = await Round.findOne({ status: 'open', campaignId });
+        if (!round) {
+            throw error;
+        }
+    }
+    return round;
+};
+
+// Live entry balance of every participant, in the order a snapshot stores them.
+// Campaign balances come from CampaignEntry, the main wheel's from User.totalEntries.
+const getLiveEntries = async (session, campaignId = null) => {
+    if (campaignId) {
+        const balances = await CampaignEntry.find({ campaignId, entries: { $gt: 0 } })
+            .sort({ userId: 1 })
+            .session(session || null);
+        const users = await User.find({ _id: { $in: balances.map(balance => balance.userId) }, role: 'user', blocked: false })
+            .select('name instagramHandle country')
+            .session(session || null);
+        const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+        return balances
+            .filter(balance => usersById.has(balance.userId.toString()))
+            .map(balance => {
+                const user = usersById.get(balance.userId.toString());
+                return {
+                    userId: user._id,
+                    userName: user.name,
+                    instagramHandle: user.instagramHandle,
+                    country: user.country,
+                    entryCount: balance.entries
+                };
+            });
+    }
+
+    const users = await User.find(PARTICIPANT_QUERY)
+        .select('name instagramHandle country totalEntries')
+        .sort({ _id: 1 })
+        .session(session || null);
+
+    return users.map(user => ({
+        userId: user._id,
+        userName: user.name,
+        instagramHandle: user.instagramHandle,
+        country: user.country,
+        entryCount: user.totalEntries
+    }));
+};
+
+// Close a round and freeze every participant's entry count.
+// The wheel's draw seed must already be committed: the round records its hash
+// next to the snapshot's, so the draw is bound to a seed chosen before the entries froze.
+// Pass `session` to freeze inside a transaction.
+const freezeRoundSnapshot = async (round, session) => {
+    const wheel = round.campaignId
+        ? await Campaign.findById(round.campaignId).select('serverSeedHash seedCommittedAt').session(session || null)
+        : await GameSettings.findOne().select('serverSeedHash seedCommittedAt').session(session || null);
+    if (!wheel || !wheel.serverSeedHash) {
+        throw createRoundError('Start a countdown to commit the draw seed before the round closes', 'No seed committed', 409);
+    }
+
+    const entries = await getLiveEntries(session, round.campaignId);
+
+    round.entrySnapshot = entries;
+    round.snapshotHash = hashSnapshot(orderParticipants(entries));
+    round.serverSeedHash = wheel.serverSeedHash;
+    round.seedCommittedAt = wheel.seedCommittedAt;
+    round.totalEntries = entries.reduce((sum, entry) => sum + entry.entryCount, 0);
+    round.totalParticipants = entries.length;
+    round.snapshotFrozenAt = new Date();
+    round.closedAt = round.snapshotFrozenAt;
+    round.status = 'closed';
+    await round.save({ session });
+    return round;
+};
+
+// Entries a round is drawn from: its frozen snapshot, or the live balances a draw would freeze
+// (of `campaignId`'s wheel when there is no round)
+const getRoundEntries = async (round, campaignId = null) => {
+    if (round && round.snapshotFrozenAt) {
+        return round.entrySnapshot;
+    }
+    return getLiveEntries(null, round ? round.campaignId : campaignId);
+};
+
+// Round to draw next on the main wheel, or on `campaign` when given: a closed round
+// waiting for its spin, else the open round (the spin freezes it). Returns null when
+// there is nobody to draw from. With `create: false` nothing is written, so no open round is started.
+const findRoundForDraw = async ({ create = true, campaign = null } = {}) => {
+    const campaignId = campaign ? campaign._id : null;
+    const closedRound = await Round.findOne({ status: 'closed', campaignId, totalParticipants: { $gt: 0 } }).sort({ closedAt: 1 });
+    if (closedRound) {
+        return closedRound;
+    }
+
+    if (!create) {
+        return Round.findOne({ status: 'open', campaignId }).sort({ startDate: -1 });
+    }
+
+    const participantCount = campaignId
+        ? await CampaignEntry.countDocuments({ campaignId, entries: { $gt: 0 } })
+        : await User.countDocuments(PARTICIPANT_QUERY);
+    if (participantCount === 0) {
+        return null;
+    }
+
+    return getOpenRound(campaign);
+};
+
+// Seed commitment a round published before `spinId` was drawn from it: the one its
+// snapshot froze under, or, for a redraw after a void, the one the void committed.
+// Null for spins without a round or drawn before rounds recorded their commitment.
+const getPublishedSeedHash = async (roundId, spinId) => {
+    if (!roundId) {
+        return null;
+    }
+    const round = await Round.findById(roundId).select('serverSeedHash redraws.spinId redraws.serverSeedHash');
+    if (!round) {
+        return null;
+    }
+    const redraw = round.redraws.find(committed => committed.spinId && committed.spinId.equals(spinId));
+    return redraw ? redraw.serverSeedHash : round.serverSeedHash || null;
+};
+
+module.exports = {
+    PARTICIPANT_QUERY,
+    createRoundError,
+    getOpenRound,
+    freezeRoundSnapshot,
+    getRoundEntries,
+    findRoundForDraw,
+    getPublishedSeedHash
+};
@@ -0,0 +1,259 @@
+const DrawSchedule = require('../models/DrawSchedule');
+
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far back to look for a postponed occurrence that still lies ahead
+// (a postponement never goes past the following occurrence, at most a month)
+const LOOKBACK_DAYS = 32;
+const LOOKAHEAD_DAYS = 400;
+
+// Errors the caller should report to the client as-is (statusCode + title)
+const createScheduleError = (message, title, statusCode) => {
+    const error = new Error(message);
+    error.title = title;
+    error.statusCode = statusCode;
+    return error;
+};
+
+// One formatter per time zone; building them is slow
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Wall-clock date and time of an instant in `timeZone`
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') {
+            parts[type] = Number(value);
+        }
+    }
+    return parts;
+};
+
+// Milliseconds `timeZone` is ahead of UTC at an instant
+const getTimeZoneOffset = (timestamp, timeZone) => {
+    const instant = timestamp - (timestamp % 1000);
+    const { year, month, day, hour, minute, second } = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - instant;
+};
+
+// The instant a wall-clock time happens in `timeZone`. A time skipped by a DST
+// change moves forward by the gap (01:30 becomes 02:30); a time that happens
+// twice when clocks go back resolves to the first one.
+const zonedTimeToUtc = ({ year, month, day, hour, minute }, timeZone) => {
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetBefore = getTimeZoneOffset(wallTime - DAY_MS, timeZone);
+    const offsetAfter = getTimeZoneOffset(wallTime + DAY_MS, timeZone);
+
+    const candidates = [...new Set([wallTime - offsetBefore, wallTime - offsetAfter])]
+        .filter(candidate => candidate + getTimeZoneOffset(candidate, timeZone) === wallTime)
+        .sort((a, b) => a - b);
+
+    return new Date(candidates.length > 0 ? candidates[0] : wallTime - offsetBefore);
+};
+
+const parseTime = (time) => {
+    const match = TIME_PATTERN.exec(time);
+    return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+};
+
+// Whether the rule draws on a local calendar date
+const matchesRule = (schedule, year, month, day) => {
+    if (schedule.frequency === 'weekly') {
+        return schedule.daysOfWeek.includes(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+    }
+    if (schedule.frequency === 'monthly') {
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        return day === Math.min(schedule.dayOfMonth, daysInMonth);
+    }
+    return true;
+};
+
+// Occurrences the rule gives in [from, to), before exceptions
+const listRuleOccurrences = (schedule, from, to) => {
+    const { hour, minute } = parseTime(schedule.time);
+    const start = getZonedParts(from, schedule.timeZone);
+    const occurrences = [];
+
+    for (let offset = 0; ; offset++) {
+        const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+        const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+        if (date.getTime() - DAY_MS > to.getTime()) {
+            break;
+        }
+        if (!matchesRule(schedule, year, month, day)) {
+            continue;
+        }
+        const occurrence = zonedTimeToUtc({ year, month, day, hour, minute }, schedule.timeZone);
+        if (occurrence >= from && occurrence < to) {
+            occurrences.push(occurrence);
+        }
+    }
+
+    return occurrences;
+};
+
+const findException = (schedule, occurrence) => {
+    return (schedule.exceptions || []).find(exception => exception.occurrence.getTime() === occurrence.getTime());
+};
+
+// Upcoming draws of a schedule after `after`, with skips removed and postponements applied.
+// `occurrence` is the rule's time (what exceptions refer to), `runAt` when the draw happens.
+const listOccurrences = (schedule, { after = new Date(), limit = 5 } = {}) => {
+    const from = new Date(after.getTime() - LOOKBACK_DAYS * DAY_MS);
+    const to = new Date(after.getTime() + LOOKAHEAD_DAYS * DAY_MS);
+    const draws = [];
+
+    for (const occurrence of listRuleOccurrences(schedule, from, to)) {
+        const exception = findException(schedule, occurrence);
+        if (exception && exception.action === 'skip') {
+            continue;
+        }
+        const postponed = Boolean(exception && exception.action === 'postpone');
+        const runAt = postponed ? exception.postponedTo : occurrence;
+        if (runAt > after) {
+            draws.push({ occurrence, runAt, postponed });
+        }
+    }
+
+    return draws.sort((a, b) => a.runAt - b.runAt).slice(0, limit);
+};
+
+const getNextOccurrence = (schedule, after = new Date()) => {
+    return listOccurrences(schedule, { after, limit: 1 })[0] || null;
+};
+
+// Check that `date` is one of the rule's occurrences; returns it with the one that follows
+const findRuleOccurrence = (schedule, date) => {
+    const occurrences = listRuleOccurrences(schedule, date, new Date(date.getTime() + LOOKAHEAD_DAYS * DAY_MS));
+    if (occurrences.length === 0 || occurrences[0].getTime() !== date.getTime()) {
+        throw createScheduleError('The date is not an occurrence of this schedule', 'Invalid occurrence', 400);
+    }
+    return { occurrence: occurrences[0], following: occurrences[1] || null };
+};
+
+// Copy the editable rule fields from a request body. Returns a validation message, or null.
+const applyScheduleFields = (schedule, body) => {
+    const { name, frequency, daysOfWeek, dayOfMonth, time, timeZone, active } = body;
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return 'Name cannot be empty';
+        }
+        schedule.name = name.trim();
+    }
+    if (frequency !== undefined) {
+        if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+            return `Frequency must be one of ${SCHEDULE_FREQUENCIES.join(', ')}`;
+        }
+        schedule.frequency = frequency;
+    }
+    if (daysOfWeek !== undefined) {
+        if (!Array.isArray(daysOfWeek) || daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            return 'Days of week must be a list of numbers from 0 (Sunday) to 6 (Saturday)';
+        }
+        schedule.daysOfWeek = [...new Set(daysOfWeek)].sort();
+    }
+    if (dayOfMonth !== undefined) {
+        if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+            return 'Day of month must be a number from 1 to 31';
+        }
+        schedule.dayOfMonth = dayOfMonth;
+    }
+    if (time !== undefined) {
+        if (!parseTime(time)) {
+            return 'Time must be in HH:mm format';
+        }
+        schedule.time = time;
+    }
+    if (timeZone !== undefined) {
+        if (!isValidTimeZone(timeZone)) {
+            return 'Time zone must be an IANA time zone such as Europe/London';
+        }
+        schedule.timeZone = timeZone;
+    }
+    if (active !== undefined) {
+        if (typeof active !== 'boolean') {
+            return 'active must be a boolean';
+        }
+        schedule.active = active;
+    }
+
+    if (!schedule.name || !schedule.frequency || !schedule.time || !schedule.timeZone) {
+        return 'Name, frequency, time and time zone are required';
+    }
+    if (schedule.frequency === 'weekly' && (!schedule.daysOfWeek || schedule.daysOfWeek.length === 0)) {
+        return 'Weekly schedules need at least one day of the week';
+    }
+    if (schedule.frequency === 'monthly' && !schedule.dayOfMonth) {
+        return 'Monthly schedules need a day of the month';
+    }
+    return null;
+};
+
+// Local wall-clock time of a draw in its schedule's time zone, e.g. "2026-10-23 20:00"
+const formatZonedTime = (date, timeZone) => {
+    const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}`;
+};
+
+// Next draws of a wheel's active schedules, soonest first (public)
+const getUpcomingDraws = async (campaignId = null, limit = 5) => {
+    const schedules = await DrawSchedule.find({ active: true, campaignId });
+    const now = new Date();
+
+    return schedules
+        .flatMap(schedule => listOccurrences(schedule, { after: now, limit }).map(draw => ({
+            drawScheduleId: schedule._id,
+            scheduleName: schedule.name,
+            scheduledFor: draw.occurrence,
+            runAt: draw.runAt,
+            localTime: formatZonedTime(draw.runAt, schedule.timeZone),
+            timeZone: schedule.timeZone,
+            postponed: draw.postponed
+        })))
+        .sort((a, b) => a.runAt - b.runAt)
+        .slice(0, limit);
+};
+
+module.exports = {
+    SCHEDULE_FREQUENCIES,
+    createScheduleError,
+    isValidTimeZone,
+    zonedTimeToUtc,
+    listOccurrences,
+    getNextOccurrence,
+    findRuleOccurrence,
+    applyScheduleFields,
+    formatZonedTime,
+    getUpcomingDraws
+};
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const Spin = require('../models/Spin');
+const { verifyDraw, getTicketRanges, getSpinDraws } = require('./fairnessHelper');
+const { getPublishedSeedHash } = require('./roundHelper');
+
+// Signed draw transcripts
+//
+// A transcript is a self-contained record of one spin. It is signed with the
+// server's Ed25519 key (TRANSCRIPT_SIGNING_KEY, a PKCS#8 PEM private key) over
+// its canonical JSON: every key sorted, no whitespace, the `signature` field left
+// out. Anyone holding the public key can check that a copy was not edited.
+
+const TRANSCRIPT_VERSION = 1;
+const SIGNATURE_ALGORITHM = 'ed25519';
+
+// Errors the caller should report to the client as-is (statusCode + title)
+const createTranscriptError = (message, title, statusCode) => {
+    const error = new Error(message);
+    error.title = title;
+    error.statusCode = statusCode;
+    return error;
+};
+
+let signingKeys;
+
+// Load the signing key pair once; PEM newlines may be written as \n in env files
+const getSigningKeys = () => {
+    if (signingKeys) {
+        return signingKeys;
+    }
+
+    const pem = process.env.TRANSCRIPT_SIGNING_KEY;
+    if (!pem) {
+        throw createTranscriptError('Transcript signing key is not configured', 'Signing unavailable', 503);
+    }
+
+    const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+        throw createTranscriptError('Transcript signing key must be an Ed25519 key', 'Signing unavailable', 503);
+    }
+
+    const publicKey = crypto.createPublicKey(privateKey);
+    const publicKeyDer = publicKey.export({ type: 'spki', format: 'der' });
+    signingKeys = {
+        privateKey,
+        publicKey,
+        publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+        keyId: crypto.createHash('sha256').update(publicKeyDer).digest('hex').slice(0, 16)
+    };
+    return signingKeys;
+};
+
+// Public half of the signing key, for verifying transcripts offline
+const getTranscriptPublicKey = () => {
+    const { keyId, publicKeyPem } = getSigningKeys();
+    return { algorithm: SIGNATURE_ALGORITHM, keyId, publicKey: publicKeyPem };
+};
+
+// JSON with object keys sorted at every level, so the bytes signed never depend on key order
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+// Build a spin's transcript, before signing. ObjectIds and dates become strings
+// so the document reads back from JSON exactly as it was signed.
+const buildTranscript = async (spinId) => {
+    const spin = await Spin.findOne({ spinId })
+        .populate('triggeredBy', 'name email role')
+        .populate('voidedBy', 'name email')
+        .populate({ path: 'roundId', select: 'title prize campaignId', populate: { path: 'campaignId', select: 'name' } });
+
+    if (!spin) {
+        throw createTranscriptError('Spin not found', 'Not Found', 404);
+    }
+    if (!['completed', 'voided'].includes(spin.status)) {
+        throw createTranscriptError('Only drawn spins have a transcript', 'Spin not drawn', 400);
+    }
+
+    const round = spin.roundId;
+    const draws = getSpinDraws(spin);
+    const seedRevealed = Boolean(spin.fairness && spin.fairness.serverSeed);
+    const publishedSeedHash = round ? await getPublishedSeedHash(round._id, spin._id) : null;
+
+    const transcript = {
+        transcriptVersion: TRANSCRIPT_VERSION,
+        spinId: spin.spinId,
+        status: spin.status,
+        spinType: spin.spinType,
+        // Timer spins run by the scheduler have no triggering admin
+        triggeredBy: spin.triggeredBy ? {
+            userId: spin.triggeredBy._id,
+            name: spin.triggeredBy.name,
+            email: spin.triggeredBy.email
+        } : null,
+        round: round ? {
+            roundId: round._id,
+            title: round.title,
+            prize: round.prize
+        } : null,
+        campaign: round && round.campaignId ? {
+            campaignId: round.campaignId._id,
+            name: round.campaignId.name
+        } : null,
+        timestamps: {
+            seedCommittedAt: spin.fairness?.seedCommittedAt || null,
+            spinTime: spin.spinTime,
+            completedAt: spin.completedAt || null,
+            voidedAt: spin.voidedAt || null,
+            generatedAt: new Date()
+        },
+        fairness: {
+            algorithm: spin.fairness?.algorithm || null,
+            serverSeedHash: spin.fairness?.serverSeedHash || null,
+            publishedSeedHash,
+            serverSeed: seedRevealed ? spin.fairness.serverSeed : null,
+            snapshotHash: spin.fairness?.snapshotHash || null,
+            winnerIndex: spin.fairness?.winnerIndex ?? null
+        },
+        totalEntries: spin.totalEntries,
+        participants: getTicketRanges(spin.participants),
+        exclusions: (spin.exclusions || []).map(exclusion => ({
+            userId: exclusion.userId,
+            userName: exclusion.userName,
+            entryCount: exclusion.entryCount,
+            rules: exclusion.rules
+        })),
+        eligibilityRules: spin.eligibilityRules || null,
+        winners: draws,
+        // Recomputed from the revealed seed when the transcript was generated
+        fairnessCheck: seedRevealed ? verifyDraw({
+            serverSeed: spin.fairness.serverSeed,
+            serverSeedHash: spin.fairness.serverSeedHash,
+            publishedSeedHash,
+            snapshotHash: spin.fairness.snapshotHash,
+            participants: spin.participants,
+            draws
+        }) : null,
+        void: spin.status === 'voided' ? {
+            reason: spin.voidReason,
+            voidedBy: spin.voidedBy ? { userId: spin.voidedBy._id, name: spin.voidedBy.name } : null,
+            redrawSpinId: spin.redrawSpinId || null
+        } : null,
+        redrawOf: spin.redrawOf || null
+    };
+
+    return JSON.parse(JSON.stringify(transcript));
+};
+
+// Sign a transcript; the signature covers everything except itself
+const signTranscript = (transcript) => {
+    const { privateKey, keyId } = getSigningKeys();
+    const value = crypto.sign(null, Buffer.from(canonicalize(transcript)), privateKey).toString('base64');
+
+    return {
+        ...transcript,
+        signature: { algorithm: SIGNATURE_ALGORITHM, keyId, value }
+    };
+};
+
+// Check a transcript against this server's key. A transcript signed with any
+// other key is reported invalid, whatever key it names.
+const verifyTranscript = (transcript) => {
+    const { publicKey, keyId } = getSigningKeys();
+
+    if (!transcript || typeof transcript !== 'object' || Array.isArray(transcript)) {
+        return { valid: false, reason: 'Transcript must be a JSON object' };
+    }
+    const { signature, ...document } = transcript;
+    if (!signature || typeof signature.value !== 'string') {
+        return { valid: false, reason: 'Transcript is not signed' };
+    }
+    if (signature.algorithm !== SIGNATURE_ALGORITHM || signature.keyId !== keyId) {
+        return { valid: false, keyId, reason: 'Transcript was not signed with this server\'s key' };
+    }
+
+    const valid = crypto.verify(null, Buffer.from(canonicalize(document)), publicKey, Buffer.from(signature.value, 'base64'));
+    return valid
+        ? { valid: true, keyId, spinId: document.spinId, generatedAt: document.timestamps?.generatedAt }
+        : { valid: false, keyId, reason: 'Signature does not match; the transcript was modified' };
+};
+
+const escapeHtml = (value) => {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+const renderRows = (rows) => {
+    return rows.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+};
+
+// Printable page for a signed transcript. The signed JSON is embedded as-is so
+// a saved copy can still be verified.
+const renderTranscriptHtml = (transcript) => {
+    const { round, campaign, timestamps, fairness } = transcript;
+    const title = `Draw transcript ${transcript.spinId}`;
+    const embeddedJson = JSON.stringify(transcript, null, 2).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 2em; color: #222; }
+h1 { font-size: 1.4em; }
+h2 { font-size: 1.1em; margin-top: 1.5em; }
+table { border-collapse: collapse; width: 100%; margin-top: 0.5em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 0.9em; }
+th { background: #f3f3f3; }
+code { word-break: break-all; }
+.voided { color: #b00020; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${transcript.status === 'voided' ? `<p class="voided">This draw was voided: ${escapeHtml(transcript.void?.reason)}</p>` : ''}
+<table>
+${renderRows([
+        ['Wheel', campaign ? campaign.name : 'Main wheel'],
+        ['Round', round ? round.title : ''],
+        ['Prize', round ? round.prize : ''],
+        ['Spin type', transcript.spinType],
+        ['Triggered by', transcript.triggeredBy ? `${transcript.triggeredBy.name} (${transcript.triggeredBy.email})` : 'Automatic draw'],
+        ['Seed committed', timestamps.seedCommittedAt],
+        ['Spin time', timestamps.spinTime],
+        ['Completed', timestamps.completedAt],
+        ['Transcript generated', timestamps.generatedAt],
+        ['Total entries', transcript.totalEntries]
+    ])}
+</table>
+
+<h2>Winners</h2>
+<table>
+<tr><th>Position</th><th>Name</th><th>User ID</th><th>Prize</th><th>Winning ticket</th><th>Pool entries</th></tr>
+${renderRows(transcript.winners.map(winner => [winner.position, winner.userName, winner.userId, winner.prize || (round && round.prize), winner.winnerIndex, winner.poolTotalEntries]))}
+</table>
+
+<h2>Randomness</h2>
+<table>
+${renderRows([
+        ['Algorithm', fairness.algorithm],
+        ['Seed commitment (SHA-256)', fairness.serverSeedHash],
+        ['Commitment published by the round', fairness.publishedSeedHash],
+        ['Revealed seed', fairness.serverSeed],
+        ['Snapshot hash', fairness.snapshotHash],
+        ['Fairness check', transcript.fairnessCheck ? (transcript.fairnessCheck.valid ? 'Passed' : 'Failed') : 'Seed not revealed']
+    ])}
+</table>
+
+<h2>Participants (${transcript.participants.length})</h2>
+<table>
+<tr><th>Name</th><th>User ID</th><th>Entries</th><th>Tickets</th></tr>
+${renderRows(transcript.participants.map(participant => [participant.userName, participant.userId, participant.entryCount, `${participant.rangeStart}-${participant.rangeEnd}`]))}
+</table>
+
+<h2>Excluded from the draw (${transcript.exclusions.length})</h2>
+<table>
+<tr><th>Name</th><th>User ID</th><th>Entries</th><th>Rules</th></tr>
+${renderRows(transcript.exclusions.map(exclusion => [exclusion.userName, exclusion.userId, exclusion.entryCount, (exclusion.rules || []).join(', ')]))}
+</table>
+
+<h2>Signature</h2>
+<p>${escapeHtml(transcript.signature.algorithm)} key <code>${escapeHtml(transcript.signature.keyId)}</code></p>
+<p><code>${escapeHtml(transcript.signature.value)}</code></p>
+<p>Submit the JSON below to <code>POST /wheel/transcripts/verify</code> to check it has not been edited.</p>
+<script type="application/json" id="transcript">
+${embeddedJson}
+</script>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+    createTranscriptError,
+    getTranscriptPublicKey,
+    canonicalize,
+    buildTranscript,
+    signTranscript,
+    verifyTranscript,
+    renderTranscriptHtml
+};
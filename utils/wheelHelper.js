@@ -0,0 +1,111 @@
+// Weighted wheel helpers - entries are never expanded into one slot each
+
+// Running totals of entryCount: prefixSums[i] is the first ticket after participant i
+const buildPrefixSums = (participants) => {
+    const prefixSums = [];
+    let runningTotal = 0;
+    for (const participant of participants) {
+        runningTotal += participant.entryCount;
+        prefixSums.push(runningTotal);
+    }
+    return prefixSums;
+};
+
+// Binary search for the participant owning ticket (0 <= ticket < total)
+const findIndexByTicket = (prefixSums, ticket) => {
+    let low = 0;
+    let high = prefixSums.length - 1;
+
+    if (high < 0 || ticket < 0 || ticket >= prefixSums[high]) {
+        return -1;
+    }
+
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (ticket < prefixSums[mid]) {
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+    return low;
+};
+
+// Pick a participant with probability entryCount / totalEntries
+const pickWeighted = (participants, random = Math.random) => {
+    const prefixSums = buildPrefixSums(participants);
+    const totalEntries = prefixSums.length ? prefixSums[prefixSums.length - 1] : 0;
+    if (totalEntries === 0) {
+        return null;
+    }
+    const ticket = Math.floor(random() * totalEntries);
+    return participants[findIndexByTicket(prefixSums, ticket)];
+};
+
+// One segment per user with their share of the whole wheel
+const buildSegments = (users, totalEntries) => {
+    return users.map(user => ({
+        userId: user._id,
+        userName: user.name,
+        instagramHandle: user.instagramHandle,
+        entryCount: user.totalEntries,
+        share: totalEntries > 0 ? Number((user.totalEntries / totalEntries).toFixed(6)) : 0
+    }));
+};
+
+// Wheel layout for a drawn pool: segments in draw order, angles in degrees
+// clockwise from the pointer. The wheel stops with the winning ticket's centre
+// (targetAngle) under the pointer after `rotations` full turns.
+const buildSpinAnimation = (participants, winnerIndex, { duration, rotations }) => {
+    const totalEntries = participants.reduce((sum, participant) => sum + participant.entryCount, 0);
+    const toAngle = (ticket) => Number(((ticket / totalEntries) * 360).toFixed(4));
+
+    let startTicket = 0;
+    const segments = participants.map(participant => {
+        const segment = {
+            userId: participant.userId,
+            userName: participant.userName,
+            entryCount: participant.entryCount,
+            startAngle: toAngle(startTicket),
+            endAngle: toAngle(startTicket + participant.entryCount)
+        };
+        startTicket += participant.entryCount;
+        return segment;
+    });
+
+    return {
+        segments,
+        totalEntries,
+        targetAngle: toAngle(winnerIndex + 0.5),
+        rotations,
+        duration
+    };
+};
+
+// Rank of an entry count among everyone else's (1 = most entries, ties share a rank)
+// and how many more entries would draw level with the next place up
+const rankEntryCount = (entryCount, otherEntryCounts) => {
+    let rank = 1;
+    let nextHigher = null;
+    for (const count of otherEntryCounts) {
+        if (count > entryCount) {
+            rank++;
+            if (nextHigher === null || count < nextHigher) {
+                nextHigher = count;
+            }
+        }
+    }
+    return {
+        rank,
+        entriesToNextRank: nextHigher === null ? null : nextHigher - entryCount
+    };
+};
+
+module.exports = {
+    buildPrefixSums,
+    findIndexByTicket,
+    pickWeighted,
+    buildSegments,
+    buildSpinAnimation,
+    rankEntryCount
+};